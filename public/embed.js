@@ -0,0 +1,69 @@
+/**
+ * Market Widget embed loader
+ *
+ *   <div data-market-widget="market" data-embed="<embed id>"
+ *        data-instruments="gold,silver" data-theme="dark"></div>
+ *   <script async src="https://<dashboard host>/embed.js"></script>
+ *
+ * Replaces each placeholder with an iframe of /embed/<widget>, passing its
+ * other data-* attributes as query parameters, and keeps the iframe as tall
+ * as the widget. The iframe keeps the widget's styles and the host page's
+ * apart. Pages that add placeholders later can call
+ * window.MarketWidgetEmbed.mount().
+ */
+(function () {
+  var script = document.currentScript;
+  var base = script ? new URL(script.src).origin : window.location.origin;
+
+  // Height before the widget reports its own
+  var DEFAULT_HEIGHTS = { market: 180, performance: 560, news: 420, headlines: 560 };
+  var frames = [];
+
+  function mountOne(el) {
+    if (el.dataset.marketWidgetMounted) return;
+    el.dataset.marketWidgetMounted = 'true';
+
+    var widget = el.dataset.marketWidget;
+    var params = new URLSearchParams();
+    Object.keys(el.dataset).forEach(function (key) {
+      if (key !== 'marketWidget' && key !== 'marketWidgetMounted') {
+        params.set(key, el.dataset[key]);
+      }
+    });
+
+    var iframe = document.createElement('iframe');
+    iframe.src = base + '/embed/' + encodeURIComponent(widget) + '?' + params.toString();
+    iframe.title = el.getAttribute('title') || 'Market widget: ' + widget;
+    iframe.loading = 'lazy';
+    iframe.style.cssText = 'display:block;width:100%;border:0;background:transparent;height:' +
+      (DEFAULT_HEIGHTS[widget] || 400) + 'px';
+
+    frames.push(iframe);
+    el.appendChild(iframe);
+  }
+
+  function mount(root) {
+    var placeholders = (root || document).querySelectorAll('[data-market-widget]');
+    Array.prototype.forEach.call(placeholders, mountOne);
+  }
+
+  // Embed pages post their height whenever it changes
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (event.origin !== base || !data || data.type !== 'market-widget:resize') return;
+
+    frames.forEach(function (frame) {
+      if (frame.contentWindow === event.source) {
+        frame.style.height = Math.ceil(data.height) + 'px';
+      }
+    });
+  });
+
+  window.MarketWidgetEmbed = { mount: mount };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', function () { mount(); });
+  } else {
+    mount();
+  }
+})();
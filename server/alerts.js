@@ -0,0 +1,431 @@
+/**
+ * Price Alerts
+ *
+ * Server-side alert rules, evaluated on every price refresh so nobody has
+ * to watch the screen:
+ * - price: instrument crosses above/below a threshold
+ * - change: instrument moves at least `percent` % over `windowMinutes`
+ *   (or since the previous close if no window is given)
+ * - ratio: a ratio key or expression (see ratios.js) crosses above/below a threshold
+ *
+ * Hysteresis: a rule fires once when its condition becomes true, then stays
+ * disarmed until the value moves back past the threshold by `hysteresis`
+ * (default 0.5% of the threshold for price/ratio rules, a quarter of
+ * `percent` for change rules). Prices hovering around a threshold don't
+ * fire repeatedly.
+ *
+ * Fired alerts go to each of the rule's delivery channels (see
+ * server/notifiers) and are kept in a searchable history. Rules, their
+ * armed state and history are persisted to DATA_DIR/alerts.json.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { getInstrument } = require('./instruments');
+const { resolveRatio, compileExpression } = require('./ratios');
+const { deliver, listChannels } = require('./notifiers');
+
+const MAX_HISTORY = 1000;
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const DEFAULT_CHANNELS = ['toast'];
+
+const TYPES = ['price', 'change', 'ratio'];
+const CROSS_DIRECTIONS = ['above', 'below'];
+const MOVE_DIRECTIONS = ['up', 'down', 'either'];
+
+const store = createJsonStore('alerts.json', () => ({ rules: [], history: [] }));
+
+// Observed prices per instrument for windowed change rules: key -> [{ time, price }]
+// In memory only, so windows restart empty after a restart
+const samples = new Map();
+
+let loopTimer = null;
+
+const newId = () => crypto.randomBytes(6).toString('hex');
+
+const formatNumber = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+/**
+ * Validate and normalise a rule from the API
+ *
+ * @param {Object} input - Request body
+ * @returns {{ rule?: Object, error?: string }}
+ */
+function validateRule(input = {}) {
+  const { type, name, instrument, expression, direction, threshold, percent, windowMinutes,
+    hysteresis, channels = DEFAULT_CHANNELS, webhookUrl, email, enabled = true } = input;
+
+  if (!TYPES.includes(type)) {
+    return { error: `type must be one of ${TYPES.join(', ')}` };
+  }
+
+  const rule = { type, enabled: enabled !== false };
+
+  if (type === 'ratio') {
+    try {
+      compileRatio(String(expression || ''));
+    } catch (error) {
+      return { error: error.message };
+    }
+    rule.expression = String(expression);
+  } else {
+    const inst = getInstrument(instrument);
+    if (!inst) return { error: `Unknown instrument: ${instrument}` };
+    rule.instrument = inst.key;
+  }
+
+  if (type === 'change') {
+    if (!MOVE_DIRECTIONS.includes(direction || 'either')) {
+      return { error: `direction must be one of ${MOVE_DIRECTIONS.join(', ')}` };
+    }
+    if (!(Number(percent) > 0)) return { error: 'percent must be a positive number' };
+    if (windowMinutes !== undefined && windowMinutes !== null
+      && !(Number(windowMinutes) > 0 && Number(windowMinutes) <= MAX_WINDOW_MINUTES)) {
+      return { error: `windowMinutes must be between 1 and ${MAX_WINDOW_MINUTES}` };
+    }
+    rule.direction = direction || 'either';
+    rule.percent = Number(percent);
+    rule.windowMinutes = windowMinutes ? Number(windowMinutes) : null;
+  } else {
+    if (!CROSS_DIRECTIONS.includes(direction)) {
+      return { error: `direction must be one of ${CROSS_DIRECTIONS.join(', ')}` };
+    }
+    if (!isFinite(threshold) || threshold === null || threshold === '') {
+      return { error: 'threshold must be a number' };
+    }
+    rule.direction = direction;
+    rule.threshold = Number(threshold);
+  }
+
+  if (hysteresis !== undefined && hysteresis !== null) {
+    if (!(Number(hysteresis) >= 0)) return { error: 'hysteresis must be zero or positive' };
+    rule.hysteresis = Number(hysteresis);
+  }
+
+  const available = listChannels();
+  if (!Array.isArray(channels) || channels.length === 0
+    || channels.some(channel => !available.includes(channel))) {
+    return { error: `channels must be a non-empty list of: ${available.join(', ')}` };
+  }
+  rule.channels = [...new Set(channels)];
+  if (webhookUrl) rule.webhookUrl = String(webhookUrl);
+  if (email) rule.email = String(email);
+
+  rule.name = name ? String(name).slice(0, 200) : describeRule(rule);
+  return { rule };
+}
+
+/**
+ * Compile a rule's ratio key (e.g. 'gold-silver') or expression
+ */
+function compileRatio(expression) {
+  return compileExpression(resolveRatio(expression).expression);
+}
+
+/**
+ * Default human-readable name, e.g. "gold above 3000"
+ */
+function describeRule(rule) {
+  if (rule.type === 'change') {
+    const window = rule.windowMinutes ? `in ${rule.windowMinutes} min` : 'today';
+    return `${rule.instrument} moves ${rule.direction === 'either' ? '' : `${rule.direction} `}${rule.percent}% ${window}`;
+  }
+  return `${rule.type === 'ratio' ? rule.expression : rule.instrument} ${rule.direction} ${rule.threshold}`;
+}
+
+function defaultHysteresis(rule) {
+  return rule.type === 'change' ? rule.percent * 0.25 : Math.abs(rule.threshold) * 0.005;
+}
+
+/**
+ * Instrument keys a set of rules needs prices for. A ratio rule whose
+ * expression no longer compiles (e.g. an instrument was removed) is logged
+ * and skipped so the other rules keep being evaluated.
+ */
+function ruleInstrumentKeys(rules) {
+  const keys = new Set();
+  rules.forEach(rule => {
+    if (rule.type !== 'ratio') {
+      keys.add(rule.instrument);
+      return;
+    }
+    try {
+      compileRatio(rule.expression).operands.forEach(key => keys.add(key));
+    } catch (error) {
+      console.error(`[Error] Alert rule ${rule.id}:`, error.message);
+    }
+  });
+  return [...keys];
+}
+
+/**
+ * Remember fresh prices for windowed change rules
+ */
+function recordSamples(quotes, rules, now) {
+  const longestWindow = Math.max(0, ...rules.map(rule => rule.windowMinutes || 0));
+  const cutoff = now - (longestWindow + 5) * 60000;
+
+  Object.entries(quotes).forEach(([key, quote]) => {
+    if (!quote || quote.stale) return;
+    const series = samples.get(key) || [];
+    const last = series[series.length - 1];
+    if (!last || last.price !== quote.price || now - last.time > 60000) {
+      series.push({ time: now, price: quote.price });
+    }
+    samples.set(key, series.filter(sample => sample.time >= cutoff));
+  });
+}
+
+/**
+ * Current value a rule compares against its threshold
+ * (a % move for change rules); null if it can't be evaluated yet
+ */
+function ruleValue(rule, quotes, now) {
+  if (rule.type === 'ratio') {
+    const compiled = compileRatio(rule.expression);
+    if (compiled.operands.some(key => !quotes[key] || quotes[key].stale)) return null;
+    return compiled.evaluate(Object.fromEntries(compiled.operands.map(key => [key, quotes[key].price])));
+  }
+
+  const quote = quotes[rule.instrument];
+  if (!quote || quote.stale || typeof quote.price !== 'number') return null;
+
+  if (rule.type === 'price') return quote.price;
+
+  if (!rule.windowMinutes) return quote.changePercent ?? null;
+
+  // Latest sample at or before the start of the window
+  const windowStart = now - rule.windowMinutes * 60000;
+  const base = (samples.get(rule.instrument) || []).filter(sample => sample.time <= windowStart).pop();
+  return base ? ((quote.price - base.price) / base.price) * 100 : null;
+}
+
+/**
+ * Whether the condition holds, and whether the value has moved back far
+ * enough to re-arm the rule
+ */
+function checkCondition(rule, value) {
+  const band = rule.hysteresis ?? defaultHysteresis(rule);
+
+  if (rule.type === 'change') {
+    const move = rule.direction === 'up' ? value : rule.direction === 'down' ? -value : Math.abs(value);
+    return { triggered: move >= rule.percent, rearm: move < rule.percent - band };
+  }
+
+  if (rule.direction === 'above') {
+    return { triggered: value >= rule.threshold, rearm: value < rule.threshold - band };
+  }
+  return { triggered: value <= rule.threshold, rearm: value > rule.threshold + band };
+}
+
+function alertMessage(rule, value, quotes) {
+  const subject = rule.type === 'ratio'
+    ? resolveRatio(rule.expression).name
+    : quotes[rule.instrument]?.name || rule.instrument;
+
+  if (rule.type === 'change') {
+    const window = rule.windowMinutes ? `in ${rule.windowMinutes} min` : 'since the previous close';
+    return `${subject} moved ${value >= 0 ? '+' : ''}${value.toFixed(2)}% ${window} (alert at ${rule.percent}%)`;
+  }
+
+  const verb = rule.direction === 'above' ? 'rose above' : 'fell below';
+  return `${subject} ${verb} ${formatNumber(rule.threshold)} (now ${formatNumber(value)})`;
+}
+
+/**
+ * Record a fired alert and deliver it
+ */
+async function fire(rule, value, quotes, state) {
+  const alert = {
+    id: newId(),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    type: rule.type,
+    instrument: rule.instrument,
+    expression: rule.expression,
+    direction: rule.direction,
+    threshold: rule.type === 'change' ? rule.percent : rule.threshold,
+    value,
+    message: alertMessage(rule, value, quotes),
+    firedAt: new Date().toISOString(),
+    deliveries: []
+  };
+
+  console.log(`[Alert] ${alert.message}`);
+  state.history.unshift(alert);
+  state.history.length = Math.min(state.history.length, MAX_HISTORY);
+
+  alert.deliveries = await deliver(alert, rule);
+  store.save();
+  return alert;
+}
+
+/**
+ * Evaluate every enabled rule against fresh quotes
+ *
+ * @param {Object} quotes - /api/prices data (USD) keyed by instrument key
+ * @returns {Promise<Object[]>} Alerts fired this round
+ */
+async function evaluate(quotes, now = Date.now()) {
+  const state = store.load();
+  const rules = state.rules.filter(rule => rule.enabled);
+  recordSamples(quotes, rules, now);
+
+  const fired = [];
+  let changed = false;
+
+  for (const rule of rules) {
+    let value;
+    try {
+      value = ruleValue(rule, quotes, now);
+    } catch (error) {
+      console.error(`[Error] Alert rule ${rule.id}:`, error.message);
+      continue;
+    }
+    if (value === null || !isFinite(value)) continue;
+
+    const { triggered, rearm } = checkCondition(rule, value);
+    rule.state.lastValue = value;
+    rule.state.lastEvaluatedAt = new Date(now).toISOString();
+
+    if (rule.state.armed && triggered) {
+      rule.state.armed = false;
+      rule.state.lastFiredAt = new Date(now).toISOString();
+      fired.push(await fire(rule, value, quotes, state));
+    } else if (!rule.state.armed && rearm) {
+      rule.state.armed = true;
+      changed = true;
+    }
+  }
+
+  // Last values change every round; only write when something meaningful did
+  if (changed && fired.length === 0) store.save();
+  return fired;
+}
+
+/**
+ * Start evaluating rules on an interval
+ *
+ * @param {Function} getQuotes - async (keys) => /api/prices data for those instruments (USD)
+ * @param {number} interval - Milliseconds between evaluations
+ */
+function startAlerts(getQuotes, interval) {
+  if (loopTimer) return;
+
+  const tick = async () => {
+    const rules = store.load().rules.filter(rule => rule.enabled);
+    if (rules.length === 0) return;
+
+    try {
+      await evaluate(await getQuotes(ruleInstrumentKeys(rules)));
+    } catch (error) {
+      console.error('[Error] Alert evaluation:', error.message);
+    }
+  };
+
+  console.log(`[Alert] Evaluating alert rules every ${interval / 1000}s`);
+  loopTimer = setInterval(tick, interval);
+  tick();
+}
+
+// ----- Rule CRUD -----
+
+function listRules() {
+  return store.load().rules;
+}
+
+function getRule(id) {
+  return store.load().rules.find(rule => rule.id === id) || null;
+}
+
+/**
+ * @returns {{ rule?: Object, error?: string }}
+ */
+function createRule(input) {
+  const { rule, error } = validateRule(input);
+  if (error) return { error };
+
+  const now = new Date().toISOString();
+  const created = {
+    id: newId(),
+    ...rule,
+    createdAt: now,
+    updatedAt: now,
+    state: { armed: true, lastValue: null, lastEvaluatedAt: null, lastFiredAt: null }
+  };
+
+  store.load().rules.push(created);
+  store.save();
+  return { rule: created };
+}
+
+/**
+ * Replace a rule's definition; its armed state is reset
+ *
+ * @returns {{ rule?: Object, error?: string, notFound?: boolean }}
+ */
+function updateRule(id, input) {
+  const state = store.load();
+  const index = state.rules.findIndex(rule => rule.id === id);
+  if (index === -1) return { notFound: true };
+
+  const { rule, error } = validateRule(input);
+  if (error) return { error };
+
+  const existing = state.rules[index];
+  state.rules[index] = {
+    id,
+    ...rule,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+    state: { armed: true, lastValue: null, lastEvaluatedAt: null, lastFiredAt: existing.state.lastFiredAt }
+  };
+  store.save();
+  return { rule: state.rules[index] };
+}
+
+function deleteRule(id) {
+  const state = store.load();
+  const before = state.rules.length;
+  state.rules = state.rules.filter(rule => rule.id !== id);
+  if (state.rules.length === before) return false;
+  store.save();
+  return true;
+}
+
+/**
+ * Search fired alerts, newest first
+ *
+ * @param {Object} query - { q?, ruleId?, instrument?, from?, to?, limit?, offset? }
+ * @returns {{ total: number, items: Object[] }}
+ */
+function searchHistory({ q, ruleId, instrument, from, to, limit, offset } = {}) {
+  const text = q ? String(q).toLowerCase() : null;
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+
+  const matches = store.load().history.filter(alert => {
+    const firedAt = Date.parse(alert.firedAt);
+    if (ruleId && alert.ruleId !== ruleId) return false;
+    if (instrument && alert.instrument !== instrument && !alert.expression?.includes(instrument)) return false;
+    if (fromTime && firedAt < fromTime) return false;
+    if (toTime && firedAt > toTime) return false;
+    if (text && !`${alert.message} ${alert.ruleName}`.toLowerCase().includes(text)) return false;
+    return true;
+  });
+
+  const start = Math.max(parseInt(offset) || 0, 0);
+  const count = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+  return { total: matches.length, items: matches.slice(start, start + count) };
+}
+
+module.exports = {
+  startAlerts,
+  evaluate,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  searchHistory
+};
@@ -0,0 +1,173 @@
+/**
+ * Authentication & Roles
+ *
+ * Management routes (editing talking points, alerts, news overrides, users)
+ * require a role; the read-only dashboard routes stay public.
+ *
+ * Callers authenticate with `Authorization: Bearer <token>`, where the
+ * token is either:
+ * - a session JWT from POST /api/auth/login (signed with AUTH_SECRET,
+ *   valid for AUTH_TOKEN_TTL, default 12h), or
+ * - ADMIN_API_TOKEN, a static admin token for scripts and integrations
+ *
+ * The price stream is an EventSource, which can't send headers, so signed-in
+ * clients exchange their bearer token for a short-lived stream ticket
+ * (query parameter) that only the stream accepts.
+ *
+ * Roles: viewer (read management data), editor (change content),
+ * admin (also manage users and embeds). See users.js for accounts.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hasRole, describeUser, getUser, authenticate } = require('./users');
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+const API_TOKEN = process.env.ADMIN_API_TOKEN || null;
+
+// Stream tickets are only checked when the stream connects
+const STREAM_TICKET_TTL = '60s';
+const STREAM_TICKET_SCOPE = 'stream';
+const API_TOKEN_USER = { id: 'api-token', username: 'api-token', role: 'admin' };
+
+// Failed logins allowed per username and client before it must wait out the window
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  // Sessions still work, but end whenever the server restarts
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('[Auth] AUTH_SECRET not set; sessions will not survive a restart');
+}
+
+// 'username|client IP' -> { count, since }
+const failedLogins = new Map();
+
+/**
+ * Constant-time comparison against ADMIN_API_TOKEN
+ */
+function isApiToken(token) {
+  if (!API_TOKEN) return false;
+  const expected = crypto.createHash('sha256').update(API_TOKEN).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Session token for a user
+ *
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function issueToken(user) {
+  const token = jwt.sign({ sub: user.id, ver: user.tokenVersion }, secret, { expiresIn: TOKEN_TTL });
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+}
+
+/**
+ * Who a bearer token belongs to
+ *
+ * @returns {Object|null} { id, username, role }, or null if the token is
+ *   invalid, expired, or its user was deleted or changed since
+ */
+function verifyToken(token) {
+  if (!token) return null;
+  if (isApiToken(token)) return API_TOKEN_USER;
+
+  try {
+    const { sub, ver, scope } = jwt.verify(token, secret);
+    // Stream tickets aren't sessions
+    if (scope) return null;
+    const user = getUser(sub);
+    if (!user || user.tokenVersion !== ver) return null;
+    return describeUser(user);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stream ticket for a signed-in user (req.user)
+ *
+ * @returns {{ ticket: string, expiresAt: string }}
+ */
+function issueStreamTicket(user) {
+  const ticket = jwt.sign({ sub: user.id, scope: STREAM_TICKET_SCOPE }, secret, { expiresIn: STREAM_TICKET_TTL });
+  return { ticket, expiresAt: new Date(jwt.decode(ticket).exp * 1000).toISOString() };
+}
+
+/**
+ * Whether a stream ticket is valid and its user (still) has at least `role`
+ */
+function verifyStreamTicket(ticket, role) {
+  if (!ticket) return false;
+
+  try {
+    const { sub, scope } = jwt.verify(String(ticket), secret);
+    if (scope !== STREAM_TICKET_SCOPE) return false;
+    const user = sub === API_TOKEN_USER.id && API_TOKEN ? API_TOKEN_USER : getUser(sub);
+    return Boolean(user) && hasRole(user.role, role);
+  } catch (error) {
+    return false;
+  }
+}
+
+const bearerToken = (req) => req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1] || null;
+
+/**
+ * Middleware: reject requests without at least `role`
+ * (401 if not signed in, 403 if the role is too low). Sets req.user.
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = verifyToken(bearerToken(req));
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Sign in required' });
+    }
+    if (!hasRole(user.role, role)) {
+      return res.status(403).json({ success: false, error: `Requires ${role} role` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Forget failures whose window has passed
+ */
+function pruneFailedLogins(now) {
+  failedLogins.forEach((entry, key) => {
+    if (now - entry.since > FAILED_LOGIN_WINDOW_MS) failedLogins.delete(key);
+  });
+}
+
+/**
+ * Check credentials, throttling each username per client IP, so one
+ * client guessing passwords can't lock everyone else out of an account
+ *
+ * @param {string} clientIp - req.ip (set `trust proxy` behind a proxy)
+ * @returns {{ user?: Object, token?: string, expiresAt?: string, error?: string, status?: number }}
+ */
+function login(clientIp, username, password) {
+  const now = Date.now();
+  const key = `${String(username || '').trim().toLowerCase()}|${clientIp}`;
+  pruneFailedLogins(now);
+  if (failedLogins.get(key)?.count >= MAX_FAILED_LOGINS) {
+    return { status: 429, error: 'Too many failed sign-ins, try again later' };
+  }
+
+  const user = username && password ? authenticate(username, password) : null;
+  if (!user) {
+    const entry = failedLogins.get(key) || { count: 0, since: now };
+    entry.count += 1;
+    failedLogins.set(key, entry);
+    console.log(`[Auth] Failed sign-in for ${username || '(no username)'} from ${clientIp}`);
+    return { status: 401, error: 'Invalid username or password' };
+  }
+
+  failedLogins.delete(key);
+  console.log(`[Auth] ${user.username} signed in`);
+  return { user: describeUser(user), ...issueToken(user) };
+}
+
+module.exports = { requireRole, verifyToken, login, issueStreamTicket, verifyStreamTicket };
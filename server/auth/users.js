@@ -0,0 +1,197 @@
+/**
+ * Local User Accounts
+ *
+ * Users are persisted to DATA_DIR/users.json with scrypt password hashes
+ * ("scrypt$<salt>$<hash>", both hex). Each user has a role (see ROLES) and a
+ * tokenVersion that is bumped on password or role changes, which signs out
+ * their existing sessions.
+ *
+ * The first admin can be created with ADMIN_USERNAME/ADMIN_PASSWORD (only
+ * while there is no admin) or `npm run create-user`.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('../jsonStore');
+
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 10;
+const KEY_LENGTH = 64;
+
+const store = createJsonStore('users.json', () => ({ users: [] }));
+
+const newId = () => crypto.randomBytes(6).toString('hex');
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * A user without their password hash, safe to return from the API
+ */
+function describeUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Validate a user request
+ *
+ * @param {Object} input - { username?, password?, role? }
+ * @param {boolean} creating - username, password and role are required
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUser({ username, password, role } = {}, creating) {
+  if (creating || username !== undefined) {
+    if (!/^[a-z0-9._-]{3,40}$/i.test(username || '')) {
+      return 'username must be 3-40 letters, digits, dots, dashes or underscores';
+    }
+  }
+  if (creating || password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+  }
+  if (creating || role !== undefined) {
+    if (!ROLES.includes(role)) return `role must be one of ${ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+const findUser = (predicate) => store.load().users.find(predicate) || null;
+
+function getUser(id) {
+  return findUser(user => user.id === id);
+}
+
+function listUsers() {
+  return store.load().users.map(describeUser);
+}
+
+/**
+ * Check a username and password
+ *
+ * @returns {Object|null} The user, or null if the credentials are wrong
+ */
+function authenticate(username, password) {
+  const user = findUser(candidate => candidate.username.toLowerCase() === String(username).toLowerCase());
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) return null;
+  return user;
+}
+
+/**
+ * @returns {{ user?: Object, error?: string }}
+ */
+function createUser(input) {
+  const error = validateUser(input, true);
+  if (error) return { error };
+
+  const { username, password, role } = input;
+  if (findUser(user => user.username.toLowerCase() === username.toLowerCase())) {
+    return { error: `User already exists: ${username}` };
+  }
+
+  const now = new Date().toISOString();
+  const user = {
+    id: newId(),
+    username,
+    role,
+    passwordHash: hashPassword(password),
+    tokenVersion: 1,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.load().users.push(user);
+  store.save();
+  console.log(`[Auth] Created ${role} ${username}`);
+  return { user: describeUser(user) };
+}
+
+/**
+ * Change a user's password and/or role; signs out their sessions
+ *
+ * @returns {{ user?: Object, error?: string, notFound?: boolean }}
+ */
+function updateUser(id, { password, role } = {}) {
+  const user = getUser(id);
+  if (!user) return { notFound: true };
+
+  const error = validateUser({ password, role }, false);
+  if (error) return { error };
+
+  if (role !== undefined && role !== 'admin' && user.role === 'admin' && countAdmins() === 1) {
+    return { error: 'Cannot demote the last admin' };
+  }
+
+  if (password !== undefined) user.passwordHash = hashPassword(password);
+  if (role !== undefined) user.role = role;
+  user.tokenVersion += 1;
+  user.updatedAt = new Date().toISOString();
+  store.save();
+  return { user: describeUser(user) };
+}
+
+/**
+ * @returns {{ deleted?: boolean, error?: string, notFound?: boolean }}
+ */
+function deleteUser(id) {
+  const state = store.load();
+  const user = getUser(id);
+  if (!user) return { notFound: true };
+  if (user.role === 'admin' && countAdmins() === 1) return { error: 'Cannot delete the last admin' };
+
+  state.users = state.users.filter(candidate => candidate.id !== id);
+  store.save();
+  console.log(`[Auth] Deleted user ${user.username}`);
+  return { deleted: true };
+}
+
+function countAdmins() {
+  return store.load().users.filter(user => user.role === 'admin').length;
+}
+
+/**
+ * Create the ADMIN_USERNAME/ADMIN_PASSWORD account if there is no admin yet
+ */
+function bootstrapAdmin() {
+  const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+  if (countAdmins() > 0 || !username || !password) return;
+
+  const { error } = createUser({ username, password, role: 'admin' });
+  if (error) console.error('[Error] ADMIN_USERNAME/ADMIN_PASSWORD:', error);
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  describeUser,
+  getUser,
+  listUsers,
+  authenticate,
+  createUser,
+  updateUser,
+  deleteUser,
+  bootstrapAdmin
+};
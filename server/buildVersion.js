@@ -0,0 +1,35 @@
+/**
+ * Build version
+ *
+ * Identifies the front-end build being served so long-running screens
+ * (kiosk mode) can reload themselves after a deploy. BUILD_VERSION wins if
+ * set; otherwise it is a hash of build/index.html, which changes whenever
+ * the bundle does (CRA puts content hashes in the script names). Null in
+ * development, where there is no build.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_FILE = path.join(__dirname, '../build/index.html');
+
+// Rehash only when index.html is replaced
+let cached = { mtimeMs: null, version: null };
+
+function getBuildVersion() {
+  if (process.env.BUILD_VERSION) return process.env.BUILD_VERSION;
+
+  try {
+    const { mtimeMs } = fs.statSync(INDEX_FILE);
+    if (mtimeMs !== cached.mtimeMs) {
+      const hash = crypto.createHash('sha1').update(fs.readFileSync(INDEX_FILE)).digest('hex');
+      cached = { mtimeMs, version: hash.slice(0, 12) };
+    }
+    return cached.version;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { getBuildVersion };
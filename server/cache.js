@@ -0,0 +1,15 @@
+/**
+ * Shared in-memory cache
+ *
+ * One NodeCache instance for the whole server so route handlers and the
+ * market data providers share TTL configuration and hit counts.
+ */
+
+const NodeCache = require('node-cache');
+
+const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 30;
+
+// Initialize cache with TTL (time-to-live) in seconds
+const cache = new NodeCache({ stdTTL: CACHE_TTL });
+
+module.exports = { cache, CACHE_TTL };
@@ -0,0 +1,208 @@
+/**
+ * Bullion Product Catalog
+ *
+ * Products the quote builder can price. Each product holds a fixed amount
+ * of fine metal and a premium rule over spot.
+ *
+ * Fields:
+ * - id: stable product id used in quote requests
+ * - name: display name
+ * - metal: instrument key of the spot price (gold, silver, platinum, palladium)
+ * - content: fine metal per item, { amount, unit } in any weight unit (see units.js)
+ * - premium: { type: 'percent' | 'flat', tiers: [{ minQuantity, value }] }
+ *   percent: % of the item's metal value; flat: USD per item.
+ *   The tier with the highest minQuantity <= quantity applies.
+ *
+ * Configuration:
+ * - CATALOG_FILE: optional JSON array of products to add or override (by id)
+ */
+
+const fs = require('fs');
+const { WEIGHT_UNITS } = require('./units');
+const { getInstrument } = require('./instruments');
+
+const BUILT_IN = [
+  {
+    id: 'gold-eagle-1oz',
+    name: '1 oz American Gold Eagle',
+    metal: 'gold',
+    content: { amount: 1, unit: 'oz' },
+    premium: {
+      type: 'percent',
+      tiers: [
+        { minQuantity: 1, value: 6 },
+        { minQuantity: 10, value: 5 },
+        { minQuantity: 50, value: 4.5 }
+      ]
+    }
+  },
+  {
+    id: 'gold-maple-1oz',
+    name: '1 oz Canadian Gold Maple Leaf',
+    metal: 'gold',
+    content: { amount: 1, unit: 'oz' },
+    premium: {
+      type: 'percent',
+      tiers: [
+        { minQuantity: 1, value: 5 },
+        { minQuantity: 10, value: 4.25 },
+        { minQuantity: 50, value: 3.75 }
+      ]
+    }
+  },
+  {
+    id: 'gold-bar-10oz',
+    name: '10 oz Gold Bar',
+    metal: 'gold',
+    content: { amount: 10, unit: 'oz' },
+    premium: {
+      type: 'flat',
+      tiers: [
+        { minQuantity: 1, value: 450 },
+        { minQuantity: 5, value: 400 }
+      ]
+    }
+  },
+  {
+    id: 'gold-bar-1kg',
+    name: '1 kg Gold Bar',
+    metal: 'gold',
+    content: { amount: 1, unit: 'kg' },
+    premium: {
+      type: 'percent',
+      tiers: [
+        { minQuantity: 1, value: 2 },
+        { minQuantity: 5, value: 1.75 }
+      ]
+    }
+  },
+  {
+    id: 'silver-eagle-1oz',
+    name: '1 oz American Silver Eagle',
+    metal: 'silver',
+    content: { amount: 1, unit: 'oz' },
+    premium: {
+      type: 'flat',
+      tiers: [
+        { minQuantity: 1, value: 6 },
+        { minQuantity: 100, value: 5.25 },
+        { minQuantity: 500, value: 4.75 }
+      ]
+    }
+  },
+  {
+    id: 'silver-bar-10oz',
+    name: '10 oz Silver Bar',
+    metal: 'silver',
+    content: { amount: 10, unit: 'oz' },
+    premium: {
+      type: 'flat',
+      tiers: [
+        { minQuantity: 1, value: 18 },
+        { minQuantity: 25, value: 15 }
+      ]
+    }
+  },
+  {
+    id: 'silver-bar-100oz',
+    name: '100 oz Silver Bar',
+    metal: 'silver',
+    content: { amount: 100, unit: 'oz' },
+    premium: {
+      type: 'flat',
+      tiers: [
+        { minQuantity: 1, value: 150 },
+        { minQuantity: 5, value: 125 }
+      ]
+    }
+  },
+  {
+    id: 'platinum-eagle-1oz',
+    name: '1 oz American Platinum Eagle',
+    metal: 'platinum',
+    content: { amount: 1, unit: 'oz' },
+    premium: {
+      type: 'percent',
+      tiers: [
+        { minQuantity: 1, value: 8 },
+        { minQuantity: 10, value: 7 }
+      ]
+    }
+  }
+];
+
+/**
+ * Load custom products from CATALOG_FILE, if configured
+ */
+function loadCustomProducts() {
+  const file = process.env.CATALOG_FILE;
+  if (!file) return [];
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(custom)) {
+      throw new Error('expected a JSON array of products');
+    }
+    return custom;
+  } catch (error) {
+    console.error(`[Error] Failed to load ${file}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Reason a product definition can't be priced, or null if it's valid
+ */
+function validateProduct(product) {
+  if (!product.id || !product.name) return 'missing id/name';
+  if (!getInstrument(product.metal)) return `unknown metal "${product.metal}"`;
+  if (!(product.content?.amount > 0) || !WEIGHT_UNITS[product.content.unit]) return 'invalid content';
+  if (!['percent', 'flat'].includes(product.premium?.type)) return 'invalid premium type';
+  if (!product.premium.tiers?.length) return 'premium has no tiers';
+  return null;
+}
+
+function buildCatalog() {
+  const catalog = new Map(BUILT_IN.map(product => [product.id, product]));
+
+  loadCustomProducts().forEach(product => {
+    const merged = { ...catalog.get(product.id), ...product };
+    const problem = validateProduct(merged);
+    if (problem) {
+      console.error(`[Error] Skipping catalog product ${product.id || '(no id)'}: ${problem}`);
+      return;
+    }
+    catalog.set(merged.id, merged);
+  });
+
+  // Tiers are matched from the largest minimum down
+  catalog.forEach(product => {
+    product.premium.tiers = [...product.premium.tiers].sort((a, b) => a.minQuantity - b.minQuantity);
+  });
+
+  return catalog;
+}
+
+const catalog = buildCatalog();
+
+function getProduct(id) {
+  return catalog.get(id) || null;
+}
+
+function listProducts() {
+  return [...catalog.values()];
+}
+
+/**
+ * Premium tier that applies to a quantity
+ */
+function premiumTier(product, quantity) {
+  const { tiers } = product.premium;
+  return [...tiers].reverse().find(tier => quantity >= tier.minQuantity) || tiers[0];
+}
+
+module.exports = {
+  getProduct,
+  listProducts,
+  premiumTier
+};
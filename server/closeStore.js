@@ -0,0 +1,152 @@
+/**
+ * Daily Close Store
+ *
+ * Persists a daily closing price for instruments whose upstream API has no
+ * previous-close data (metals-api.com only returns a spot rate).
+ *
+ * How a close is captured:
+ * - Every observed price is kept as the "pending" close for the session it
+ *   belongs to. A session ends at the configured cutoff time (default
+ *   17:00 America/New_York, the NY metals close).
+ * - Once an observation arrives for a later session, the last price seen
+ *   before the cutoff is promoted to that session's close.
+ * - Each close records the provider that served it, and is only used as
+ *   the baseline for prices from that same provider.
+ *
+ * Closes are kept in DATA_DIR/daily-closes.json so they survive restarts.
+ */
+
+const { createJsonStore } = require('./jsonStore');
+
+const CLOSE_TIME = process.env.METALS_CLOSE_TIME || '17:00';
+const CLOSE_TZ = process.env.METALS_CLOSE_TZ || 'America/New_York';
+
+// Keep roughly a month of closes per instrument
+const MAX_CLOSES = 31;
+
+// key -> { closes: { [session]: { price, provider, capturedAt } }, pending }
+const store = createJsonStore('daily-closes.json');
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+function parseCutoff(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+const CUTOFF_MINUTES = parseCutoff(CLOSE_TIME);
+
+/**
+ * Get the calendar date (YYYY-MM-DD) and minutes after midnight for a
+ * moment in the configured close timezone
+ */
+function localParts(date) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: CLOSE_TZ,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+/**
+ * Session date a moment belongs to: today until the cutoff, tomorrow after it
+ */
+function sessionDate(date = new Date()) {
+  const { date: day, minutes } = localParts(date);
+  if (minutes < CUTOFF_MINUTES) return day;
+
+  const next = new Date(`${day}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split('T')[0];
+}
+
+/**
+ * Promote a pending observation to a close if its session has ended
+ */
+function promotePending(entry, currentSession) {
+  const pending = entry.pending;
+  if (!pending || pending.session >= currentSession) return false;
+
+  entry.closes[pending.session] = {
+    price: pending.price,
+    provider: pending.provider,
+    capturedAt: pending.observedAt
+  };
+  entry.pending = null;
+
+  // Trim oldest closes
+  const dates = Object.keys(entry.closes).sort();
+  dates.slice(0, Math.max(0, dates.length - MAX_CLOSES))
+    .forEach(d => delete entry.closes[d]);
+
+  return true;
+}
+
+/**
+ * Record an observed price for an instrument
+ *
+ * @param {string} key - Instrument key, e.g. 'gold'
+ * @param {number} price - Observed price
+ * @param {string} provider - Provider that served the price, e.g. 'metals-api'
+ * @param {Date} observedAt - When the price was observed
+ */
+function recordPrice(key, price, provider, observedAt = new Date()) {
+  if (typeof price !== 'number' || !isFinite(price)) return;
+
+  const instruments = store.load();
+  const session = sessionDate(observedAt);
+  const entry = instruments[key] || (instruments[key] = { closes: {}, pending: null });
+
+  const promoted = promotePending(entry, session);
+
+  // Cached quotes get re-recorded on every refresh; skip the disk write
+  if (!promoted && entry.pending?.session === session && entry.pending.price === price &&
+    entry.pending.provider === provider) {
+    return;
+  }
+
+  entry.pending = { session, price, provider, observedAt: observedAt.toISOString() };
+  store.save();
+}
+
+/**
+ * Get the most recent stored close from a provider before the current session
+ *
+ * @param {string} key - Instrument key
+ * @param {string} provider - Provider of the price it will be compared with
+ * @returns {{ price: number, provider: string, date: string, capturedAt: string } | null}
+ */
+function getPreviousClose(key, provider, now = new Date()) {
+  const instruments = store.load();
+  if (!Object.hasOwn(instruments, key)) return null;
+  const entry = instruments[key];
+
+  const session = sessionDate(now);
+  if (promotePending(entry, session)) store.save();
+
+  const date = Object.keys(entry.closes)
+    .filter(d => d < session && entry.closes[d].provider === provider)
+    .sort()
+    .pop();
+
+  return date ? { ...entry.closes[date], date } : null;
+}
+
+module.exports = {
+  recordPrice,
+  getPreviousClose,
+  sessionDate,
+  CLOSE_TIME,
+  CLOSE_TZ
+};
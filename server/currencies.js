@@ -0,0 +1,183 @@
+/**
+ * Display Currencies
+ *
+ * Prices are fetched in USD and converted for display. FX rates come
+ * through the provider layer like any other quote, each currency with its
+ * own failover chain, so they get the same caching, health tracking and
+ * stale fallback.
+ *
+ * Rates are quoted as USD per unit of the currency (e.g. EURUSD=X 1.08),
+ * so a USD price converts as `usd / rate`.
+ *
+ * Only instruments priced in USD (unit 'USD/oz', 'USD/lb', 'USD') are
+ * converted; index levels stay as they are.
+ *
+ * Configuration:
+ * - CURRENCY: default display currency (defaults to USD)
+ */
+
+const { fetchQuotes } = require('./providers');
+
+const BASE_CURRENCY = 'USD';
+
+/**
+ * Supported currencies
+ * - symbol: shown on tiles
+ * - locale: number formatting (grouping, decimal mark, symbol position)
+ * - providers: FX failover chain for USD per unit
+ */
+const CURRENCIES = {
+  USD: { name: 'US Dollar', symbol: '$', locale: 'en-US' },
+  CAD: {
+    name: 'Canadian Dollar',
+    symbol: 'C$',
+    locale: 'en-CA',
+    providers: [
+      { provider: 'yahoo', symbol: 'CADUSD=X' },
+      { provider: 'metals-api', symbol: 'CAD' }
+    ]
+  },
+  GBP: {
+    name: 'British Pound',
+    symbol: '£',
+    locale: 'en-GB',
+    providers: [
+      { provider: 'yahoo', symbol: 'GBPUSD=X' },
+      { provider: 'metals-api', symbol: 'GBP' }
+    ]
+  },
+  EUR: {
+    name: 'Euro',
+    symbol: '€',
+    locale: 'de-DE',
+    providers: [
+      { provider: 'yahoo', symbol: 'EURUSD=X' },
+      { provider: 'metals-api', symbol: 'EUR' }
+    ]
+  },
+  CHF: {
+    name: 'Swiss Franc',
+    symbol: 'CHF',
+    locale: 'de-CH',
+    providers: [
+      { provider: 'yahoo', symbol: 'CHFUSD=X' },
+      { provider: 'metals-api', symbol: 'CHF' }
+    ]
+  },
+  AUD: {
+    name: 'Australian Dollar',
+    symbol: 'A$',
+    locale: 'en-AU',
+    providers: [
+      { provider: 'yahoo', symbol: 'AUDUSD=X' },
+      { provider: 'metals-api', symbol: 'AUD' }
+    ]
+  }
+};
+
+const DEFAULT_CURRENCY = CURRENCIES[(process.env.CURRENCY || '').toUpperCase()]
+  ? process.env.CURRENCY.toUpperCase()
+  : BASE_CURRENCY;
+
+/**
+ * Normalise a requested currency code
+ *
+ * @returns {string|null} Upper-case code, the default if none was given,
+ *   or null if the currency isn't supported
+ */
+function resolveCurrency(code) {
+  if (!code) return DEFAULT_CURRENCY;
+  const upper = String(code).toUpperCase();
+  return CURRENCIES[upper] ? upper : null;
+}
+
+/**
+ * Public currency metadata for the frontend
+ */
+function describeCurrency(code) {
+  const { name, symbol, locale } = CURRENCIES[code];
+  return { code, name, symbol, locale };
+}
+
+function listCurrencies() {
+  return Object.keys(CURRENCIES).map(describeCurrency);
+}
+
+/**
+ * Current FX rate for a currency through its provider chain
+ *
+ * @returns {Promise<{ rate, previousRate, provider, stale? } | null>}
+ *   rate: USD per unit now; previousRate: at the previous close (falls back
+ *   to rate when the provider has no close). null if every source failed.
+ */
+async function getFxRate(code) {
+  if (code === BASE_CURRENCY) {
+    return { rate: 1, previousRate: 1, provider: null };
+  }
+
+  const key = `fx:${code}`;
+  const quotes = await fetchQuotes([{ key, providers: CURRENCIES[code].providers }]);
+  const quote = quotes[key];
+  if (!quote) return null;
+
+  return {
+    rate: quote.price,
+    previousRate: quote.previousClose || quote.price,
+    provider: quote.provider,
+    stale: quote.stale || undefined
+  };
+}
+
+/**
+ * Whether an instrument's price is a USD amount that should be converted
+ */
+function isUsdPriced(inst) {
+  return /^USD\b/.test(inst.unit || '');
+}
+
+/**
+ * Convert a USD quote entry into the display currency
+ *
+ * Today's price converts at today's rate and the previous close at the
+ * previous close's rate, so change reflects the move a local client saw.
+ * The USD values are kept under `usd`.
+ *
+ * @param {Object} inst - Registry definition
+ * @param {Object} quote - /api/prices entry in USD
+ * @param {string} code - Display currency
+ * @param {Object} fx - From getFxRate()
+ */
+function convertQuote(inst, quote, code, fx) {
+  if (!quote || !isUsdPriced(inst)) return quote;
+  if (code === BASE_CURRENCY) return { ...quote, currency: BASE_CURRENCY };
+
+  const price = quote.price / fx.rate;
+  const previousClose = quote.previousClose ? quote.previousClose / fx.previousRate : null;
+
+  return {
+    ...quote,
+    price,
+    previousClose,
+    change: previousClose ? price - previousClose : null,
+    changePercent: previousClose ? ((price - previousClose) / previousClose) * 100 : null,
+    unit: inst.unit.replace(/^USD/, code),
+    currency: code,
+    usd: {
+      price: quote.price,
+      previousClose: quote.previousClose,
+      change: quote.change,
+      changePercent: quote.changePercent,
+      unit: inst.unit
+    }
+  };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_CURRENCY,
+  resolveCurrency,
+  describeCurrency,
+  listCurrencies,
+  getFxRate,
+  convertQuote
+};
@@ -0,0 +1,178 @@
+/**
+ * Economic Data Series
+ *
+ * Loads the bundled CSV datasets in server/datasets/ so inflation and cash
+ * returns work offline:
+ * - cpi.csv: CPI-U index level
+ * - short-rate.csv: 3-month T-bill rate (% per year), the CDs/Savings proxy
+ *
+ * Files are plain `date,value` CSV (lines starting with # are comments) at
+ * any frequency; values between observations are interpolated. Past the
+ * last observation each series is carried forward and the window is
+ * flagged `projected` (see datasetCoverage):
+ * - CPI grows at its latest year-over-year rate
+ * - the short rate stays at its last observation
+ * Windows that start before the first observation get null. Refresh the
+ * files with `npm run refresh-datasets`. Files are re-read when they change
+ * on disk, so a refresh doesn't need a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATASET_DIR = process.env.DATASET_DIR || path.join(__dirname, 'datasets');
+
+const DAY_MS = 86400000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Monthly series are published a month or so after the fact, so a window
+// may end this long after the last observation before it counts as projected
+const COVERAGE_GRACE_DAYS = 62;
+
+// How each dataset is carried forward past its last observation
+// - trend: at the latest year-over-year growth rate (index levels)
+// - level: at the last value (rates)
+const CARRY_FORWARD = { cpi: 'trend', 'short-rate': 'level' };
+
+// name -> { mtimeMs, points: [{ time, value }] }
+const loaded = new Map();
+
+/**
+ * Parse a `date,value` CSV into sorted points
+ */
+function parseCsv(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(','))
+    .filter(([date, value]) => !isNaN(Date.parse(date)) && value !== '' && !isNaN(Number(value)))
+    .map(([date, value]) => ({ time: Date.parse(date), value: Number(value) }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Load a dataset by file name (without extension), reloading if it changed
+ */
+function loadSeries(name) {
+  const file = path.join(DATASET_DIR, `${name}.csv`);
+  const { mtimeMs } = fs.statSync(file);
+  const current = loaded.get(name);
+
+  if (current && current.mtimeMs === mtimeMs) {
+    return current.points;
+  }
+
+  const points = parseCsv(fs.readFileSync(file, 'utf8'));
+  if (points.length < 2) {
+    throw new Error(`Dataset ${name} has fewer than two observations`);
+  }
+
+  console.log(`[Data] Loaded ${points.length} observations from ${name}.csv`);
+  loaded.set(name, { mtimeMs, points });
+  return points;
+}
+
+/**
+ * Value at a moment, linearly interpolated between observations, clamped
+ * to the first observation before the dataset and carried forward after it
+ *
+ * @param {string} carry - 'trend' or 'level' (see CARRY_FORWARD)
+ */
+function valueAt(points, time, carry = 'level') {
+  if (time <= points[0].time) return points[0].value;
+
+  const last = points[points.length - 1];
+  if (time >= last.time) {
+    if (carry !== 'trend' || last.time - YEAR_MS < points[0].time) return last.value;
+    const yearAgo = valueAt(points, last.time - YEAR_MS);
+    return last.value * Math.pow(last.value / yearAgo, (time - last.time) / YEAR_MS);
+  }
+
+  const i = points.findIndex(point => point.time >= time);
+  const before = points[i - 1];
+  const after = points[i];
+  const ratio = (time - before.time) / (after.time - before.time);
+  return before.value + (after.value - before.value) * ratio;
+}
+
+/**
+ * Whether a dataset starts early enough for the window (the end is
+ * carried forward, see isProjected)
+ */
+function covers(points, startDate) {
+  return startDate.getTime() >= points[0].time;
+}
+
+/**
+ * Whether a window ends past a dataset's last observation (plus the
+ * publication lag), so part of it is carried forward
+ */
+function isProjected(points, endDate) {
+  return endDate.getTime() > points[points.length - 1].time + COVERAGE_GRACE_DAYS * DAY_MS;
+}
+
+/**
+ * CPI level ratio end/start (e.g. 1.78 = prices up 78%)
+ *
+ * @returns {number|null} null if the window starts before the CPI data
+ */
+function inflationFactor(startDate, endDate) {
+  const cpi = loadSeries('cpi');
+  if (!covers(cpi, startDate)) return null;
+  return valueAt(cpi, endDate.getTime(), CARRY_FORWARD.cpi) /
+    valueAt(cpi, startDate.getTime(), CARRY_FORWARD.cpi);
+}
+
+/**
+ * Growth factor from rolling over the short rate between two dates,
+ * compounding at each observation's rate for the time until the next one
+ *
+ * @returns {number|null} null if the window starts before the rate data
+ */
+function shortRateGrowth(startDate, endDate) {
+  const rates = loadSeries('short-rate');
+  if (!covers(rates, startDate)) return null;
+
+  const start = startDate.getTime();
+  const end = endDate.getTime();
+
+  // Breakpoints: window edges plus every observation inside the window
+  const times = [start, ...rates.map(point => point.time).filter(t => t > start && t < end), end];
+  let growth = 1;
+
+  for (let i = 0; i < times.length - 1; i++) {
+    const rate = valueAt(rates, times[i], CARRY_FORWARD['short-rate']) / 100;
+    const years = (times[i + 1] - times[i]) / YEAR_MS;
+    growth *= Math.pow(1 + rate, years);
+  }
+
+  return growth;
+}
+
+/**
+ * Last observation date of each dataset, so the UI can say how fresh it is,
+ * and whether a window ending at endDate is carried forward past it
+ *
+ * @returns {{ cpiThrough, shortRateThrough, cpiProjected, shortRateProjected }}
+ */
+function datasetCoverage(endDate = new Date()) {
+  const cpi = loadSeries('cpi');
+  const rates = loadSeries('short-rate');
+  const through = points => new Date(points[points.length - 1].time).toISOString().split('T')[0];
+
+  return {
+    cpiThrough: through(cpi),
+    shortRateThrough: through(rates),
+    cpiProjected: isProjected(cpi, endDate),
+    shortRateProjected: isProjected(rates, endDate)
+  };
+}
+
+module.exports = {
+  inflationFactor,
+  shortRateGrowth,
+  datasetCoverage,
+  parseCsv,
+  DATASET_DIR
+};
@@ -0,0 +1,160 @@
+/**
+ * Embeds
+ *
+ * Widgets shown on the public website and partner pages, each registered
+ * with the origins allowed to show it:
+ *   { name, widgets: ['market', 'performance'], origins: ['https://www.example.com'] }
+ *
+ * The embed id travels with every embed (`/embed/market?embed=<id>`, or
+ * `data-embed` for the script loader). Embed pages may only be framed by
+ * that embed's origins, and cross-origin API requests are only answered
+ * for an origin on the list of the embed they name. An empty `widgets`
+ * list allows every widget.
+ *
+ * Persisted to DATA_DIR/embeds.json.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+const WIDGETS = ['market', 'performance', 'news', 'headlines'];
+const MAX_NAME = 80;
+const MAX_ORIGINS = 20;
+
+const store = createJsonStore('embeds.json', () => ({ embeds: [] }));
+
+const newId = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Canonical origin for an allowlist entry, or null if it isn't a bare
+ * http(s) origin (no path, query or wildcard)
+ */
+function normalizeOrigin(value) {
+  try {
+    const url = new URL(String(value).trim());
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    if (url.origin !== String(value).trim().replace(/\/$/, '').toLowerCase()) return null;
+    return url.origin;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Validate and normalise an embed from the API
+ *
+ * @param {Object} input - Request body
+ * @returns {{ embed?: Object, error?: string }}
+ */
+function validateEmbed(input = {}) {
+  const { name, widgets = [], origins } = input;
+
+  if (!name || !String(name).trim()) return { error: 'name is required' };
+  if (String(name).length > MAX_NAME) return { error: `name must be at most ${MAX_NAME} characters` };
+
+  if (!Array.isArray(widgets) || widgets.some(widget => !WIDGETS.includes(widget))) {
+    return { error: `widgets must be a list of: ${WIDGETS.join(', ')}` };
+  }
+
+  if (!Array.isArray(origins) || origins.length === 0 || origins.length > MAX_ORIGINS) {
+    return { error: `origins must list 1 to ${MAX_ORIGINS} origins` };
+  }
+  const normalized = [];
+  for (const origin of origins) {
+    const canonical = normalizeOrigin(origin);
+    if (!canonical) return { error: `Invalid origin: ${origin} (expected e.g. https://www.example.com)` };
+    normalized.push(canonical);
+  }
+
+  return {
+    embed: {
+      name: String(name).trim(),
+      widgets: [...new Set(widgets)],
+      origins: [...new Set(normalized)]
+    }
+  };
+}
+
+function listEmbeds() {
+  return store.load().embeds;
+}
+
+function getEmbed(id) {
+  return store.load().embeds.find(embed => embed.id === id) || null;
+}
+
+/**
+ * Whether an embed may show a widget
+ */
+function embedAllows(embed, widget) {
+  return WIDGETS.includes(widget) && (embed.widgets.length === 0 || embed.widgets.includes(widget));
+}
+
+/**
+ * Whether an origin is on an embed's allowlist
+ *
+ * @param {string} origin - Request Origin header
+ * @param {string} embedId - Embed the request names
+ */
+function isAllowedOrigin(origin, embedId) {
+  const embed = embedId ? getEmbed(embedId) : null;
+  return Boolean(embed && origin && embed.origins.includes(origin.toLowerCase()));
+}
+
+/**
+ * @returns {{ embed?: Object, error?: string }}
+ */
+function createEmbed(input) {
+  const { embed, error } = validateEmbed(input);
+  if (error) return { error };
+
+  const now = new Date().toISOString();
+  const created = { id: newId(), ...embed, createdAt: now, updatedAt: now };
+
+  store.load().embeds.push(created);
+  store.save();
+  return { embed: created };
+}
+
+/**
+ * Replace an embed's name, widgets and origins
+ *
+ * @returns {{ embed?: Object, error?: string, notFound?: boolean }}
+ */
+function updateEmbed(id, input) {
+  const state = store.load();
+  const index = state.embeds.findIndex(embed => embed.id === id);
+  if (index === -1) return { notFound: true };
+
+  const { embed, error } = validateEmbed(input);
+  if (error) return { error };
+
+  state.embeds[index] = {
+    id,
+    ...embed,
+    createdAt: state.embeds[index].createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  store.save();
+  return { embed: state.embeds[index] };
+}
+
+function deleteEmbed(id) {
+  const state = store.load();
+  const before = state.embeds.length;
+  state.embeds = state.embeds.filter(embed => embed.id !== id);
+  if (state.embeds.length === before) return false;
+  store.save();
+  return true;
+}
+
+module.exports = {
+  WIDGETS,
+  listEmbeds,
+  getEmbed,
+  embedAllows,
+  isAllowedOrigin,
+  createEmbed,
+  updateEmbed,
+  deleteEmbed
+};
@@ -0,0 +1,247 @@
+/**
+ * Generated Talking Points
+ *
+ * Talking points written from live and historical data, so the wall never
+ * claims "Gold & Silver Up" on a down day. Each template reads a set of
+ * market facts and returns a point only while its statement is true:
+ * - metals-dollar: gold and silver up on the day while the dollar is down
+ * - momentum: a metal up this week and/or year to date
+ * - high: a metal at or near its 52-week high
+ * - outperformance: gold's total return beating the S&P 500 over 5 and 20 years
+ * - ratio: the gold/silver ratio historically high (silver cheap)
+ *
+ * Momentum and highs compare the history series with itself (Yahoo futures
+ * for metals), never with the spot quote on the tiles, which trades at a
+ * different level.
+ *
+ * Facts come from the same quote, history, performance and ratio services
+ * as the tiles and chart; a fact that can't be fetched just skips the
+ * templates that need it. Results are cached for CACHE_TTL.
+ */
+
+const { cache, CACHE_TTL } = require('./cache');
+const { getInstrument } = require('./instruments');
+const { getHistory } = require('./history');
+const { getPerformance } = require('./performance');
+const { resolveRatios, computeRatios } = require('./ratios');
+
+const CACHE_KEY = 'talking_points_generated';
+
+const SOURCE_NAME = 'Live market data';
+
+const METALS = ['gold', 'silver'];
+const QUOTE_KEYS = ['gold', 'silver', 'dxy'];
+const OUTPERFORMANCE_PERIODS = ['20y', '5y'];
+
+// Minimum year-to-date gain worth a talking point, %
+const MIN_YTD_GAIN = 1;
+// "Near" a 52-week high: within this % of it
+const NEAR_HIGH_PERCENT = 2;
+// Gold/silver ratio percentile at which silver counts as cheap
+const CHEAP_SILVER_PERCENTILE = 80;
+
+const WEEK_MS = 7 * 86400000;
+
+const formatPercent = (value, digits = 1) => `${Math.abs(value).toFixed(digits)}%`;
+const formatPrice = (value) => `$${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+const percentChange = (from, to) => ((to - from) / from) * 100;
+
+/**
+ * Latest close, change over the last week and year to date, and the
+ * 52-week high, all from the instrument's history series
+ */
+async function metalHistory(key) {
+  const inst = getInstrument(key);
+  const [month, ytd, year] = await Promise.all([
+    getHistory(inst, '1m', 500),
+    getHistory(inst, 'ytd', 500),
+    getHistory(inst, '1y', 500)
+  ]);
+
+  const latest = month.points[month.points.length - 1].close;
+  const weekAgo = Date.now() - WEEK_MS;
+  const weekStart = [...month.points].reverse().find(point => Date.parse(point.time) <= weekAgo) || month.points[0];
+
+  return {
+    latest,
+    week: percentChange(weekStart.close, latest),
+    ytd: ytd.points.length ? percentChange(ytd.points[0].close, latest) : null,
+    yearHigh: Math.max(...year.points.map(point => point.close))
+  };
+}
+
+/**
+ * Market facts the templates read. Each one is null if it couldn't be fetched.
+ *
+ * @param {Function} getQuotes - (keys) => Promise<quotes keyed by instrument key>
+ */
+async function gatherFacts(getQuotes) {
+  const value = (result, label) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.error(`[Error] Talking point facts (${label}):`, result.reason.message);
+    return null;
+  };
+
+  const [quoteResult] = await Promise.allSettled([getQuotes(QUOTE_KEYS)]);
+  const quotes = value(quoteResult, 'quotes') || {};
+
+  const [gold, silver, ratios, ...performance] = await Promise.allSettled([
+    metalHistory('gold'),
+    metalHistory('silver'),
+    computeRatios(resolveRatios('gold-silver').ratios, quotes),
+    ...OUTPERFORMANCE_PERIODS.map(period => getPerformance(period))
+  ]);
+
+  return {
+    quotes,
+    history: { gold: value(gold, 'gold history'), silver: value(silver, 'silver history') },
+    goldSilver: value(ratios, 'gold/silver ratio')?.ratios[0] || null,
+    performance: Object.fromEntries(
+      OUTPERFORMANCE_PERIODS.map((period, i) => [period, value(performance[i], `${period} performance`)])
+    )
+  };
+}
+
+const name = (key) => getInstrument(key).name;
+
+/**
+ * Templates: (facts) => point fields, a list of them, or null when the
+ * statement doesn't hold (or its data is missing). `subject` tells apart
+ * the points one template writes about different metals or periods.
+ */
+const TEMPLATES = {
+  'metals-dollar': ({ quotes }) => {
+    // Stale quotes may describe a different day
+    if (QUOTE_KEYS.some(key => quotes[key]?.stale)) return null;
+    const [gold, silver, dollar] = QUOTE_KEYS.map(key => quotes[key]?.changePercent);
+    if (![gold, silver, dollar].every(Number.isFinite)) return null;
+    if (!(gold > 0 && silver > 0 && dollar < 0)) return null;
+
+    return {
+      title: 'Gold & Silver Up, Dollar Down',
+      quote: `Gold is up ${formatPercent(gold, 2)} and silver ${formatPercent(silver, 2)} today, ` +
+        `while the U.S. dollar index is down ${formatPercent(dollar, 2)}.`,
+      tags: ['daily']
+    };
+  },
+
+  momentum: ({ history }) => METALS.map(key => {
+    const facts = history[key];
+    if (!facts || !(facts.ytd >= MIN_YTD_GAIN)) return null;
+
+    const gain = facts.week > 0
+      ? `up ${formatPercent(facts.week)} this week and ${formatPercent(facts.ytd)} year to date`
+      : `up ${formatPercent(facts.ytd)} year to date`;
+    return {
+      title: `${name(key)} Up ${Math.floor(facts.ytd)}% This Year`,
+      quote: `${name(key)} is ${gain}.`,
+      tags: ['momentum', key],
+      subject: key
+    };
+  }),
+
+  high: ({ history }) => METALS.map(key => {
+    const price = history[key]?.latest;
+    const yearHigh = history[key]?.yearHigh;
+    if (!Number.isFinite(price) || !Number.isFinite(yearHigh)) return null;
+
+    if (price >= yearHigh) {
+      return {
+        title: `${name(key)} at a 52-Week High`,
+        quote: `${name(key)} futures at ${formatPrice(price)} are at their highest close of the past year.`,
+        tags: ['momentum', key],
+        subject: key
+      };
+    }
+
+    const below = percentChange(price, yearHigh);
+    if (below > NEAR_HIGH_PERCENT) return null;
+    return {
+      title: `${name(key)} Near Its 52-Week High`,
+      quote: `${name(key)} futures at ${formatPrice(price)} are within ${formatPercent(below)} of their ` +
+        `52-week high of ${formatPrice(yearHigh)}.`,
+      tags: ['momentum', key],
+      subject: key
+    };
+  }),
+
+  outperformance: ({ performance }) => OUTPERFORMANCE_PERIODS.map(period => {
+    const data = performance[period]?.data;
+    const gold = data?.find(asset => asset.name === 'Gold');
+    const stocks = data?.find(asset => asset.name === 'S&P 500');
+    if (!gold || !stocks || gold.partialHistory || !(gold.return > stocks.return)) return null;
+
+    const years = period.replace('y', '');
+    return {
+      title: `Gold Has Beaten Stocks Over ${years} Years`,
+      quote: `Gold has returned ${gold.return}% over the last ${years} years, outperforming ` +
+        `the S&P 500 (${stocks.return}%) by ${gold.return - stocks.return} percentage points.`,
+      tags: ['long-term'],
+      subject: period
+    };
+  }),
+
+  ratio: ({ goldSilver }) => {
+    const rank = goldSilver?.percentile?.rank;
+    if (!Number.isFinite(goldSilver?.value) || !(rank >= CHEAP_SILVER_PERCENTILE)) return null;
+
+    return {
+      title: 'Silver Is Cheap Against Gold',
+      quote: `The gold/silver ratio is ${goldSilver.value.toFixed(1)}, higher than ${rank}% of ` +
+        `the last ${goldSilver.percentile.years} years: silver is cheap relative to gold.`,
+      tags: ['ratio', 'silver']
+    };
+  }
+};
+
+/**
+ * Apply every template to a set of facts
+ *
+ * @returns {Object[]} Points shaped like curated ones, flagged `generated`
+ */
+function buildPoints(facts, asOf = new Date().toISOString()) {
+  return Object.entries(TEMPLATES).flatMap(([template, build]) => {
+    let results;
+    try {
+      results = [build(facts)].flat().filter(Boolean);
+    } catch (error) {
+      console.error(`[Error] Talking point template ${template}:`, error.message);
+      return [];
+    }
+
+    return results.map(point => ({
+      id: point.subject ? `generated-${template}-${point.subject}` : `generated-${template}`,
+      title: point.title,
+      quote: point.quote,
+      sourceName: SOURCE_NAME,
+      sourceUrl: null,
+      startsAt: null,
+      endsAt: null,
+      priority: 0,
+      tags: ['generated', ...point.tags],
+      generated: true,
+      template,
+      asOf
+    }));
+  });
+}
+
+/**
+ * Talking points that are true right now
+ *
+ * @param {Function} getQuotes - (keys) => Promise<quotes keyed by instrument key>
+ * @returns {Promise<Object[]>}
+ */
+async function generateTalkingPoints(getQuotes) {
+  const cached = cache.get(CACHE_KEY);
+  if (cached) {
+    console.log('[Cache] Returning cached generated talking points');
+    return cached;
+  }
+
+  const points = buildPoints(await gatherFacts(getQuotes));
+  cache.set(CACHE_KEY, points, CACHE_TTL);
+  return points;
+}
+
+module.exports = { generateTalkingPoints, buildPoints };
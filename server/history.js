@@ -0,0 +1,148 @@
+/**
+ * Price History Service
+ *
+ * Serves cached, downsampled price series for tile sparklines and the
+ * historical price chart. Series are fetched through the provider layer,
+ * so metals fall back to their Yahoo futures symbols like live quotes do.
+ *
+ * Raw series are cached per instrument and range; downsampling happens per
+ * request so sparklines and the full chart share one upstream fetch.
+ */
+
+const { cache } = require('./cache');
+const { fetchHistory } = require('./providers');
+
+// Default point count (sparklines); the chart asks for more
+const DEFAULT_POINTS = 48;
+const MAX_POINTS = 500;
+
+const DAY_MS = 86400000;
+
+function monthsAgo(months) {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date;
+}
+
+function yearsAgo(years) {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  return date;
+}
+
+/**
+ * Supported ranges
+ * - start: () => Date to request from
+ * - windowHours: keep only points within this many hours of the latest one
+ *   (intraday ranges look back extra days to cover weekends/holidays)
+ * - interval: upstream bar size suited to the range
+ * - ttl: cache lifetime in seconds (longer ranges change less often)
+ * - sessionGapMinutes: a pause in bars at least this long ends a trading
+ *   session; the last bar before the latest one is the series' previous close
+ */
+const RANGES = {
+  '1d': { start: () => new Date(Date.now() - 5 * DAY_MS), windowHours: 24, interval: '5m', ttl: 300, sessionGapMinutes: 30 },
+  '5d': { start: () => new Date(Date.now() - 9 * DAY_MS), windowHours: 120, interval: '30m', ttl: 900 },
+  '1m': { start: () => monthsAgo(1), interval: '1d', ttl: 3600 },
+  '6m': { start: () => monthsAgo(6), interval: '1d', ttl: 3600 },
+  'ytd': { start: () => new Date(new Date().getFullYear(), 0, 1), interval: '1d', ttl: 3600 },
+  '1y': { start: () => yearsAgo(1), interval: '1d', ttl: 6 * 3600 },
+  '5y': { start: () => yearsAgo(5), interval: '1wk', ttl: 12 * 3600 },
+  '20y': { start: () => yearsAgo(20), interval: '1mo', ttl: 24 * 3600 }
+};
+
+/**
+ * Reduce a series to at most `count` points by sampling evenly spaced
+ * points. First and last points are always kept so the line starts and
+ * ends where the market did.
+ */
+function downsample(points, count = DEFAULT_POINTS) {
+  if (points.length <= count) return points;
+
+  const sampled = [points[0]];
+  const bucketSize = (points.length - 1) / (count - 1);
+
+  for (let i = 1; i < count - 1; i++) {
+    sampled.push(points[Math.round(i * bucketSize)]);
+  }
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+/**
+ * Close of the last session before the latest one, taken from the series
+ * itself so a baseline always matches the line drawn against it (metals
+ * quote spot but chart Yahoo futures). Null for markets that never pause,
+ * e.g. bitcoin.
+ */
+function sessionPreviousClose(points, gapMinutes) {
+  for (let i = points.length - 1; i > 0; i--) {
+    const gap = new Date(points[i].time).getTime() - new Date(points[i - 1].time).getTime();
+    if (gap >= gapMinutes * 60000) return points[i - 1].close;
+  }
+  return null;
+}
+
+/**
+ * Fetch (or read from cache) the full series for an instrument and range
+ */
+async function getRawSeries(inst, range) {
+  const config = RANGES[range];
+  const cacheKey = `history:${inst.key}:${range}`;
+  const cached = cache.get(cacheKey);
+
+  if (cached) {
+    console.log(`[Cache] Returning cached ${range} history for ${inst.key}`);
+    return cached;
+  }
+
+  const series = await fetchHistory(inst, { period1: config.start(), interval: config.interval });
+  let points = series.points;
+  const previousClose = config.sessionGapMinutes
+    ? sessionPreviousClose(points, config.sessionGapMinutes)
+    : null;
+
+  if (config.windowHours) {
+    // Keep only the latest session's window
+    const lastTime = new Date(points[points.length - 1].time).getTime();
+    const windowStart = lastTime - config.windowHours * 3600000;
+    points = points.filter(point => new Date(point.time).getTime() >= windowStart);
+  }
+
+  const result = {
+    points,
+    previousClose,
+    provider: series.provider,
+    symbol: series.symbol,
+    interval: config.interval
+  };
+
+  cache.set(cacheKey, result, config.ttl);
+  return result;
+}
+
+/**
+ * Get a downsampled series for an instrument
+ *
+ * @param {Object} inst - Registry definition
+ * @param {string} range - Key of RANGES
+ * @param {number} [count] - Max points to return (clamped to MAX_POINTS)
+ * @returns {Promise<{ points: Array<{ time, close }>, previousClose, provider, symbol, interval }>}
+ *   previousClose: prior session's close in the same series ('1d' only, else null)
+ */
+async function getHistory(inst, range, count = DEFAULT_POINTS) {
+  if (!RANGES[range]) {
+    throw new Error(`Unsupported range: ${range}`);
+  }
+
+  const series = await getRawSeries(inst, range);
+  const pointCount = Math.min(Math.max(parseInt(count) || DEFAULT_POINTS, 2), MAX_POINTS);
+
+  return { ...series, points: downsample(series.points, pointCount) };
+}
+
+module.exports = {
+  getHistory,
+  downsample,
+  RANGES
+};
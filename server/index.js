@@ -2,7 +2,8 @@
  * Market Widget API Proxy Server
  *
  * This server acts as a proxy between the frontend and external market data APIs.
- * It fetches gold/silver prices from Metals API and stock indices from Yahoo Finance.
+ * It fetches gold/silver prices from Metals API and stock indices from Yahoo Finance,
+ * failing over between providers per instrument (see server/providers).
  *
  * Benefits of this approach:
  * - API keys remain secure on the server
@@ -14,150 +15,194 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const NodeCache = require('node-cache');
+const fs = require('fs');
 const path = require('path');
+const { CACHE_TTL } = require('./cache');
+const closeStore = require('./closeStore');
+const { fetchQuotes, getProviderHealth } = require('./providers');
+const { createPriceStream } = require('./priceStream');
+const { getBuildVersion } = require('./buildVersion');
+const { getHistory, RANGES } = require('./history');
+const { getPerformance, PERIODS, DEFAULT_PERIOD } = require('./performance');
+const { resolveRatios, computeRatios } = require('./ratios');
+const {
+  BASE_CURRENCY,
+  resolveCurrency,
+  describeCurrency,
+  listCurrencies,
+  getFxRate,
+  convertQuote
+} = require('./currencies');
+const { withUnitPrices, listUnits } = require('./units');
+const { listProducts } = require('./catalog');
+const { validateBasket, basketMetals, createQuote, getQuote, QUOTE_TTL } = require('./quotes');
+const {
+  startAlerts,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  searchHistory
+} = require('./alerts');
+const {
+  listActivePoints,
+  listPoints,
+  getPoint,
+  createPoint,
+  updatePoint,
+  deletePoint
+} = require('./talkingPoints');
+const { generateTalkingPoints } = require('./generatedPoints');
+const { requireRole, login, issueStreamTicket, verifyStreamTicket } = require('./auth');
+const {
+  WIDGET_TYPES,
+  listLayouts,
+  getLayout,
+  createLayout,
+  updateLayout,
+  deleteLayout
+} = require('./layouts');
+const {
+  WIDGETS: EMBED_WIDGETS,
+  listEmbeds,
+  getEmbed,
+  embedAllows,
+  isAllowedOrigin,
+  createEmbed,
+  updateEmbed,
+  deleteEmbed
+} = require('./embeds');
+const { ROLES, listUsers, createUser, updateUser, deleteUser, bootstrapAdmin } = require('./auth/users');
+const { registerNotifier, listChannels } = require('./notifiers');
+const { createToastNotifier } = require('./notifiers/toast');
+const {
+  fetchTopic,
+  findArticle,
+  searchArchive,
+  validateSearch,
+  getTopic,
+  listTopics,
+  describeTopic,
+  SORTS
+} = require('./news');
+const {
+  listOverrides,
+  getOverride,
+  validateOverride,
+  setOverride,
+  removeOverride
+} = require('./news/overrides');
+const {
+  resolveInstruments,
+  getInstrument,
+  describeInstrument
+} = require('./instruments');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 30;
 
-// Initialize cache with TTL (time-to-live) in seconds
-const cache = new NodeCache({ stdTTL: CACHE_TTL });
+/**
+ * TRUST_PROXY -> Express 'trust proxy' setting, so req.ip (sign-in
+ * throttling) is the client rather than the load balancer: 'true', a hop
+ * count such as '1' (Railway), or a list of proxy addresses
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
 
-// Enable CORS for development
-app.use(cors());
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+const STREAM_INTERVAL = parseInt(process.env.STREAM_INTERVAL) || CACHE_TTL;
+const ALERT_INTERVAL = parseInt(process.env.ALERT_INTERVAL) || STREAM_INTERVAL;
+
+// Origins always allowed cross-origin API access, e.g. internal tools (optional)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().toLowerCase())
+  .filter(Boolean);
+
+// Cross-origin API access only for the origins of the embed a request names
+// with ?embed=<id> (see server/embeds.js). Same-origin requests, including
+// embed pages and the dev server's proxy, don't need CORS.
+app.use(cors((req, callback) => {
+  const origin = req.header('Origin');
+  const allowed = Boolean(origin) &&
+    (CORS_ORIGINS.includes(origin.toLowerCase()) || isAllowedOrigin(origin, req.query.embed));
+  callback(null, { origin: allowed });
+}));
 app.use(express.json());
 
-// Serve static files in production
+// Serve static files in production. HTML (index.html, also when asked for
+// by name) goes through the page routes at the bottom, which set who may
+// frame it.
 if (process.env.NODE_ENV === 'production') {
-  app.use(express.static(path.join(__dirname, '../build')));
+  const serveStatic = express.static(path.join(__dirname, '../build'), { index: false });
+  app.use((req, res, next) => (req.path.endsWith('.html') ? next() : serveStatic(req, res, next)));
 }
 
 /**
- * Fetch precious metals prices from Metals API
- * API returns prices in USD per troy ounce
+ * Resolve the previous-close baseline for a daily-close instrument (metals)
  *
- * Note: Free tier has limited requests, so caching is important
+ * The baseline always comes from the provider that served the price, so
+ * the change is that source's own move (a spot price compared with a
+ * futures close would include the futures basis):
+ * - quotes that carry a previous close (e.g. a Yahoo GC=F failover) use it
+ * - spot quotes (metals-api) use our stored daily close from that provider
+ * Without one the change is null rather than a mixed-source figure.
+ *
+ * @returns {{ previousClose: number, source: string } | null}
+ *   source: 'daily-close' | 'yahoo-futures' | provider name
  */
-async function fetchMetalsPrices() {
-  const cacheKey = 'metals_prices';
-  const cached = cache.get(cacheKey);
-
-  if (cached) {
-    console.log('[Cache] Returning cached metals prices');
-    return cached;
-  }
-
-  try {
-    const apiKey = process.env.METALS_API_KEY;
-
-    if (!apiKey) {
-      throw new Error('METALS_API_KEY not configured');
-    }
-
-    // Metals API endpoint - fetches latest prices for gold (XAU) and silver (XAG)
-    const url = `https://metals-api.com/api/latest?access_key=${apiKey}&base=USD&symbols=XAU,XAG`;
-
-    console.log('[API] Fetching metals prices from metals-api.com');
-    const response = await axios.get(url, { timeout: 10000 });
-
-    if (!response.data.success) {
-      throw new Error(response.data.error?.info || 'Metals API request failed');
-    }
-
-    // Metals API returns USDXAU and USDXAG which are USD per troy ounce
-    const rates = response.data.rates;
-
-    const result = {
-      gold: {
-        price: rates.USDXAU || (rates.XAU ? (1 / rates.XAU) : null),
-        timestamp: response.data.timestamp
-      },
-      silver: {
-        price: rates.USDXAG || (rates.XAG ? (1 / rates.XAG) : null),
-        timestamp: response.data.timestamp
-      }
+function getMetalBaseline(inst, quote) {
+  if (quote.previousClose) {
+    return {
+      previousClose: quote.previousClose,
+      source: quote.provider === 'yahoo' ? 'yahoo-futures' : quote.provider
     };
-
-    cache.set(cacheKey, result);
-    return result;
-
-  } catch (error) {
-    console.error('[Error] Metals API:', error.message);
-
-    // Return cached data if available, even if expired
-    const staleCache = cache.get(cacheKey);
-    if (staleCache) {
-      return { ...staleCache, stale: true };
-    }
-
-    throw error;
   }
+
+  const stored = closeStore.getPreviousClose(inst.key, quote.provider);
+  return stored ? { previousClose: stored.price, source: 'daily-close' } : null;
 }
 
 /**
- * Fetch stock index data from Yahoo Finance
- * Uses the yahoo-finance2 library for reliable data access
- *
- * Symbols:
- * - ^GSPC: S&P 500 Index
- * - ^DJI: Dow Jones Industrial Average
+ * Build a metal entry for the /api/prices response with real change values
  */
-async function fetchStockIndices() {
-  const cacheKey = 'stock_indices';
-  const cached = cache.get(cacheKey);
-
-  if (cached) {
-    console.log('[Cache] Returning cached stock indices');
-    return cached;
-  }
-
-  try {
-    // Dynamic import for yahoo-finance2 (ES module)
-    const yahooFinance = await import('yahoo-finance2');
-    const yf = yahooFinance.default;
-
-    console.log('[API] Fetching stock indices from Yahoo Finance');
-
-    // Fetch both indices in parallel
-    const [sp500, dow] = await Promise.all([
-      yf.quote('^GSPC'),
-      yf.quote('^DJI')
-    ]);
-
-    const result = {
-      sp500: {
-        price: sp500.regularMarketPrice,
-        previousClose: sp500.regularMarketPreviousClose,
-        change: sp500.regularMarketChange,
-        changePercent: sp500.regularMarketChangePercent,
-        marketState: sp500.marketState, // 'PRE', 'REGULAR', 'POST', 'CLOSED'
-        timestamp: sp500.regularMarketTime
-      },
-      dow: {
-        price: dow.regularMarketPrice,
-        previousClose: dow.regularMarketPreviousClose,
-        change: dow.regularMarketChange,
-        changePercent: dow.regularMarketChangePercent,
-        marketState: dow.marketState,
-        timestamp: dow.regularMarketTime
-      }
-    };
-
-    cache.set(cacheKey, result);
-    return result;
-
-  } catch (error) {
-    console.error('[Error] Yahoo Finance:', error.message);
-
-    const staleCache = cache.get(cacheKey);
-    if (staleCache) {
-      return { ...staleCache, stale: true };
-    }
+function buildMetalQuote(inst, quote, baseline) {
+  const previousClose = baseline?.previousClose ?? null;
+
+  return {
+    symbol: inst.symbol,
+    name: inst.name,
+    price: quote.price,
+    previousClose,
+    change: previousClose ? quote.price - previousClose : null,
+    changePercent: calculatePercentChange(quote.price, previousClose),
+    previousCloseSource: baseline?.source ?? null,
+    provider: quote.provider,
+    stale: quote.stale || undefined,
+    unit: inst.unit
+  };
+}
 
-    throw error;
-  }
+/**
+ * Build an entry for instruments whose provider reports its own change
+ */
+function buildMarketQuote(inst, quote) {
+  return {
+    symbol: inst.symbol,
+    name: inst.name,
+    price: quote.price,
+    previousClose: quote.previousClose,
+    change: quote.change,
+    changePercent: quote.changePercent,
+    marketState: quote.marketState,
+    provider: quote.provider,
+    stale: quote.stale || undefined,
+    unit: inst.unit
+  };
 }
 
 /**
@@ -170,628 +215,699 @@ function calculatePercentChange(current, previous) {
 }
 
 /**
- * Main API endpoint - returns all market data in a unified format
+ * Build the unified market data payload shared by /api/prices and the
+ * price stream
  *
  * Response structure:
  * {
  *   success: boolean,
- *   data: { gold, silver, sp500, dow },
+ *   instruments: [{ key, name, label, unit, variant, showDollarSign, units? }] (display order),
+ *   currency: { code, name, symbol, locale, rate, provider } (display currency),
+ *   data: { [key]: quote | null } (USD-priced quotes converted, originals under `usd`;
+ *     per-ounce metals add `perUnit` prices for each weight unit),
  *   lastUpdated: ISO timestamp,
  *   warnings: string[] (if any data sources had issues)
  * }
+ *
+ * @param {Object[]} instruments - Registry definitions to include, in order
+ * @param {string} [currency] - Display currency code (already validated)
  */
-app.get('/api/prices', async (req, res) => {
+async function buildPricesResponse(instruments, currency = BASE_CURRENCY) {
   const warnings = [];
-  let metals = null;
-  let stocks = null;
-
-  // Fetch both data sources in parallel
-  const [metalsResult, stocksResult] = await Promise.allSettled([
-    fetchMetalsPrices(),
-    fetchStockIndices()
-  ]);
-
-  // Process metals data
-  if (metalsResult.status === 'fulfilled') {
-    metals = metalsResult.value;
-    if (metals.stale) {
-      warnings.push('Metals data may be stale');
-    }
-  } else {
-    warnings.push('Unable to fetch metals prices');
-    console.error('[Error] Metals fetch failed:', metalsResult.reason);
+
+  // Each instrument walks its provider failover chain, as does the FX rate
+  const [quotes, fetchedFx] = await Promise.all([fetchQuotes(instruments), getFxRate(currency)]);
+
+  // Without a rate, show USD rather than nothing
+  let displayCurrency = currency;
+  let fx = fetchedFx;
+  if (!fx) {
+    warnings.push(`${currency} exchange rate unavailable, showing ${BASE_CURRENCY}`);
+    displayCurrency = BASE_CURRENCY;
+    fx = await getFxRate(BASE_CURRENCY);
+  } else if (fx.stale) {
+    warnings.push(`${currency} exchange rate may be stale`);
   }
 
-  // Process stocks data
-  if (stocksResult.status === 'fulfilled') {
-    stocks = stocksResult.value;
-    if (stocks.stale) {
-      warnings.push('Stock indices may be stale');
+  const entries = await Promise.all(instruments.map(async (inst) => {
+    const quote = quotes[inst.key];
+    if (!quote) {
+      warnings.push(`Unable to fetch ${inst.name}`);
+      return [inst.key, null];
+    }
+    if (quote.stale) {
+      warnings.push(`${inst.name} data may be stale`);
     }
-  } else {
-    warnings.push('Unable to fetch stock indices');
-    console.error('[Error] Stocks fetch failed:', stocksResult.reason);
-  }
 
-  // Build response with available data
-  // For metals, we need to calculate % change differently since the API
-  // doesn't provide previous close. We'll use a placeholder for now
-  // and note that real-time % change requires historical data or a premium API
+    if (!inst.dailyClose) {
+      return [inst.key, convertQuote(inst, buildMarketQuote(inst, quote), displayCurrency, fx)];
+    }
+
+    // Feed the daily close store so tomorrow's change has a real baseline
+    if (!quote.previousClose && !quote.stale) {
+      const observedAt = quote.timestamp ? new Date(quote.timestamp * 1000) : new Date();
+      closeStore.recordPrice(inst.key, quote.price, quote.provider, observedAt);
+    }
+
+    const baseline = getMetalBaseline(inst, quote);
+    if (!baseline) {
+      warnings.push(`${inst.name} previous close unavailable`);
+    }
+    const converted = convertQuote(inst, buildMetalQuote(inst, quote, baseline), displayCurrency, fx);
+    return [inst.key, withUnitPrices(inst, converted)];
+  }));
 
   const response = {
     success: true,
-    data: {
-      gold: metals?.gold ? {
-        symbol: 'XAU',
-        name: 'Gold',
-        price: metals.gold.price,
-        // Note: Metals API free tier doesn't include historical data
-        // For demo purposes, using a small simulated change
-        // In production, you'd store previous close or use a premium API
-        previousClose: metals.gold.price * 0.998, // Simulated
-        change: metals.gold.price * 0.002,
-        changePercent: 0.2,
-        unit: 'USD/oz'
-      } : null,
-
-      silver: metals?.silver ? {
-        symbol: 'XAG',
-        name: 'Silver',
-        price: metals.silver.price,
-        previousClose: metals.silver.price * 0.995,
-        change: metals.silver.price * 0.005,
-        changePercent: 0.5,
-        unit: 'USD/oz'
-      } : null,
-
-      sp500: stocks?.sp500 ? {
-        symbol: '^GSPC',
-        name: 'S&P 500',
-        price: stocks.sp500.price,
-        previousClose: stocks.sp500.previousClose,
-        change: stocks.sp500.change,
-        changePercent: stocks.sp500.changePercent,
-        marketState: stocks.sp500.marketState,
-        unit: 'points'
-      } : null,
-
-      dow: stocks?.dow ? {
-        symbol: '^DJI',
-        name: 'Dow Jones',
-        price: stocks.dow.price,
-        previousClose: stocks.dow.previousClose,
-        change: stocks.dow.change,
-        changePercent: stocks.dow.changePercent,
-        marketState: stocks.dow.marketState,
-        unit: 'points'
-      } : null
-    },
+    instruments: instruments.map(describeInstrument),
+    currency: { ...describeCurrency(displayCurrency), rate: fx.rate, provider: fx.provider },
+    data: Object.fromEntries(entries),
     lastUpdated: new Date().toISOString(),
     warnings: warnings.length > 0 ? warnings : undefined
   };
 
-  res.json(response);
-});
+  return response;
+}
 
 /**
- * Fetch news from NewsAPI
- * Searches for gold and precious metals related headlines
+ * USD quotes keyed by instrument key, for server-side consumers (alerts,
+ * generated talking points)
+ *
+ * @param {string[]} keys - Instrument keys
  */
-async function fetchNews() {
-  const cacheKey = 'news';
-  const cached = cache.get(cacheKey);
+async function getQuotes(keys) {
+  return (await buildPricesResponse(keys.map(getInstrument).filter(Boolean))).data;
+}
 
-  if (cached) {
-    console.log('[Cache] Returning cached news');
-    return cached;
+/**
+ * Main API endpoint - returns all market data in a unified format
+ *
+ * Query params:
+ * - instruments: optional comma-separated instrument keys (defaults to INSTRUMENTS)
+ * - currency: optional display currency, e.g. 'EUR' (defaults to CURRENCY)
+ */
+app.get('/api/prices', async (req, res) => {
+  const currency = resolveCurrency(req.query.currency);
+  if (!currency) {
+    return res.status(400).json({ success: false, error: `Unsupported currency: ${req.query.currency}` });
   }
 
   try {
-    const apiKey = process.env.NEWS_API_KEY;
-
-    if (!apiKey) {
-      throw new Error('NEWS_API_KEY not configured');
-    }
+    res.json(await buildPricesResponse(resolveInstruments(req.query.instruments), currency));
+  } catch (error) {
+    console.error('[Error] Prices API:', error.message);
+    res.status(503).json({ success: false, error: error.message });
+  }
+});
 
-    // Search for gold/precious metals news
-    const url = `https://newsapi.org/v2/everything?q=(gold OR "precious metals" OR silver) AND (price OR market OR investment)&language=en&sortBy=publishedAt&pageSize=5&apiKey=${apiKey}`;
+/**
+ * Weight units and their conversion factors (grams per unit)
+ */
+app.get('/api/units', (req, res) => {
+  res.json({ success: true, units: listUnits() });
+});
 
-    console.log('[API] Fetching news from NewsAPI');
-    const response = await axios.get(url, { timeout: 10000 });
+/**
+ * Supported display currencies for the currency selector
+ */
+app.get('/api/currencies', (req, res) => {
+  res.json({ success: true, currencies: listCurrencies(), default: resolveCurrency() });
+});
 
-    if (response.data.status !== 'ok') {
-      throw new Error(response.data.message || 'NewsAPI request failed');
-    }
+/**
+ * Price stream endpoint (Server-Sent Events)
+ * One upstream fetch per interval for the instruments connected dashboards
+ * selected with ?instruments=, broadcast to each filtered to its selection
+ * and converted to its ?currency= (unsupported currencies get the default).
+ * Fired alerts only go to clients that pass ?alerts=<stream ticket> for a
+ * viewer or above, the role /api/alerts/* requires.
+ */
+const priceStream = createPriceStream((currency, keys) => buildPricesResponse(keys.map(getInstrument), currency), {
+  interval: STREAM_INTERVAL * 1000,
+  resolveKeys: req => resolveInstruments(req.query.instruments).map(inst => inst.key),
+  resolveCurrency: req => resolveCurrency(req.query.currency) || resolveCurrency(),
+  resolveAlerts: req => verifyStreamTicket(req.query.alerts, 'viewer')
+});
 
-    const articles = response.data.articles.map(article => ({
-      title: article.title,
-      description: article.description,
-      source: article.source.name,
-      url: article.url,
-      publishedAt: article.publishedAt
-    }));
+app.get('/api/prices/stream', priceStream.handler);
 
-    // Cache news for 12 hours (43200 seconds)
-    cache.set(cacheKey, articles, 43200);
-    return articles;
+/**
+ * Stream ticket for ?alerts= on the price stream (EventSource can't send
+ * the Authorization header). Valid for a minute; only checked on connect.
+ */
+app.post('/api/prices/stream/ticket', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, ...issueStreamTicket(req.user) });
+});
 
-  } catch (error) {
-    console.error('[Error] NewsAPI:', error.message);
+// Fired alerts show up as toasts on connected dashboards
+registerNotifier(createToastNotifier(priceStream.broadcastAlert));
 
-    const staleCache = cache.get(cacheKey);
-    if (staleCache) {
-      return staleCache;
-    }
+/**
+ * Price history endpoint for tile sparklines and the price chart
+ *
+ * Query params:
+ * - symbol: instrument key or symbol, e.g. 'gold' or 'XAU'
+ * - range: '1d' (default) | '5d' | '1m' | '6m' | 'ytd' | '1y' | '5y' | '20y'
+ * - points: max points to return (default 48 for sparklines, up to 500)
+ *
+ * Each range uses a bar interval that fits it and its own cache TTL
+ */
+app.get('/api/prices/history', async (req, res) => {
+  const inst = getInstrument(req.query.symbol);
+  const range = req.query.range || '1d';
 
-    throw error;
+  if (!inst) {
+    return res.status(400).json({ success: false, error: `Unknown symbol: ${req.query.symbol}` });
+  }
+  if (!RANGES[range]) {
+    return res.status(400).json({ success: false, error: `Unsupported range: ${range}` });
   }
-}
 
-/**
- * News endpoint - returns precious metals related news
- */
-app.get('/api/news', async (req, res) => {
   try {
-    const articles = await fetchNews();
+    const history = await getHistory(inst, range, req.query.points);
     res.json({
       success: true,
-      articles,
+      symbol: inst.key,
+      range,
+      ...history,
       lastUpdated: new Date().toISOString()
     });
   } catch (error) {
+    console.error('[Error] History API:', error.message);
     res.json({
       success: false,
       error: error.message,
-      articles: []
+      points: []
     });
   }
 });
 
 /**
- * Fetch macro/precious metals news for sales widget
- * Uses complex query to get relevant headlines
+ * Derived ratio tiles (gold/silver, Dow/gold, ...)
+ *
+ * Query params:
+ * - ratios: optional comma-separated ratio keys or expressions over
+ *   instrument keys, e.g. 'gold-silver,platinum/gold' (defaults to RATIOS)
+ *
+ * Operand prices come from the same quotes as /api/prices, so a ratio
+ * always agrees with the tiles above it
  */
-async function fetchMacroNews() {
-  const cacheKey = 'macro_news';
-  const cached = cache.get(cacheKey);
+app.get('/api/ratios', async (req, res) => {
+  const { ratios, errors } = resolveRatios(req.query.ratios);
 
-  if (cached) {
-    console.log('[Cache] Returning cached macro news');
-    return cached;
+  if (ratios.length === 0) {
+    return res.status(400).json({ success: false, error: errors.join('; ') || 'No ratios selected', ratios: [] });
   }
 
   try {
-    const apiKey = process.env.NEWS_API_KEY;
+    const operandKeys = [...new Set(ratios.flatMap(ratio => ratio.compiled.operands))];
+    const prices = await buildPricesResponse(operandKeys.map(getInstrument));
+    const { ratios: results, warnings } = await computeRatios(ratios, prices.data);
+    const allWarnings = [...errors, ...warnings];
 
-    if (!apiKey) {
-      throw new Error('NEWS_API_KEY not configured');
-    }
+    res.json({
+      success: true,
+      ratios: results,
+      lastUpdated: new Date().toISOString(),
+      warnings: allWarnings.length > 0 ? allWarnings : undefined
+    });
+  } catch (error) {
+    console.error('[Error] Ratios API:', error.message);
+    res.json({
+      success: false,
+      error: error.message,
+      ratios: []
+    });
+  }
+});
 
-    // Calculate time window (24 hours for more results, filter client-side for 12h)
-    const fromDate = new Date();
-    fromDate.setDate(fromDate.getDate() - 7); // Last 7 days (NewsAPI free tier limitation)
-    const fromISO = fromDate.toISOString().split('T')[0]; // Date only format
+/**
+ * Bullion product catalog for the quote builder
+ */
+app.get('/api/catalog', (req, res) => {
+  res.json({ success: true, products: listProducts(), quoteTtl: QUOTE_TTL });
+});
 
-    // Simpler query for better results - gold/silver focused
-    const query = encodeURIComponent(
-      'gold price OR silver price OR precious metals OR ' +
-      'gold market OR bullion OR inflation hedge OR ' +
-      'central bank gold OR safe haven'
-    );
+/**
+ * Price a basket against locked live spot
+ *
+ * Body: { items: [{ productId, quantity }], currency?, customer?, notes? }
+ *
+ * The /api/prices snapshot used for spot is stored with the quote
+ * (spotLock.snapshot). Quotes expire after QUOTE_TTL seconds. Reps sign
+ * in (any role), since every quote is stored.
+ */
+app.post('/api/quote', requireRole('viewer'), async (req, res) => {
+  const { items, currency: requestedCurrency, customer, notes } = req.body || {};
 
-    const url = `https://newsapi.org/v2/everything?q=${query}&language=en&sortBy=publishedAt&from=${fromISO}&pageSize=20&apiKey=${apiKey}`;
+  const basketError = validateBasket(items);
+  if (basketError) {
+    return res.status(400).json({ success: false, error: basketError });
+  }
 
-    console.log('[API] Fetching macro news from NewsAPI');
-    const response = await axios.get(url, { timeout: 10000 });
+  const currency = resolveCurrency(requestedCurrency);
+  if (!currency) {
+    return res.status(400).json({ success: false, error: `Unsupported currency: ${requestedCurrency}` });
+  }
 
-    if (response.data.status !== 'ok') {
-      throw new Error(response.data.message || 'NewsAPI request failed');
+  try {
+    const snapshot = await buildPricesResponse(basketMetals(items).map(getInstrument), currency);
+    if (snapshot.currency.code !== currency) {
+      throw new Error(`${currency} exchange rate unavailable`);
     }
 
-    // Deduplicate near-identical headlines
-    const seen = new Set();
-    const articles = response.data.articles
-      .filter(article => {
-        // Create a normalized key from first 50 chars of title
-        const key = article.title?.toLowerCase().slice(0, 50).replace(/[^a-z0-9]/g, '');
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-      })
-      .map(article => ({
-        title: article.title,
-        description: article.description,
-        source: article.source.name,
-        url: article.url,
-        image: article.urlToImage,
-        publishedAt: article.publishedAt
-      }))
-      .slice(0, 10); // Limit to 10 articles
-
-    // Cache for 10 minutes
-    cache.set(cacheKey, articles, 600);
-    return articles;
-
+    const quote = createQuote({ items, customer, notes }, snapshot);
+    res.status(201).json({ success: true, quote });
   } catch (error) {
-    console.error('[Error] Macro NewsAPI:', error.message);
-
-    const staleCache = cache.get(cacheKey);
-    if (staleCache) {
-      return staleCache;
-    }
+    console.error('[Error] Quote API:', error.message);
+    res.status(503).json({ success: false, error: error.message });
+  }
+});
 
-    throw error;
+/**
+ * Look up a quote (share links, public), with its current status and time left
+ */
+app.get('/api/quote/:id', (req, res) => {
+  const quote = getQuote(req.params.id);
+  if (!quote) {
+    return res.status(404).json({ success: false, error: `Quote not found: ${req.params.id}` });
   }
-}
+  res.json({ success: true, quote });
+});
 
 /**
- * Macro news endpoint for sales widget
+ * Sign in with a local account
+ *
+ * Body: { username, password }
+ * Returns a session token to send as `Authorization: Bearer <token>`
+ * (see server/auth)
  */
-app.get('/api/macro-news', async (req, res) => {
-  try {
-    const articles = await fetchMacroNews();
-    res.json({
-      success: true,
-      articles,
-      lastUpdated: new Date().toISOString()
-    });
-  } catch (error) {
-    res.json({
-      success: false,
-      error: error.message,
-      articles: []
-    });
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const { status, error, ...session } = login(req.ip, username, password);
+  if (error) {
+    return res.status(status).json({ success: false, error });
   }
+  res.json({ success: true, ...session });
 });
 
 /**
- * Fetch inflation/dollar devaluation news
- * Keywords: inflation, dollar weakness, currency devaluation, Fed policy, purchasing power
+ * The signed-in user
  */
-async function fetchInflationNews() {
-  const cacheKey = 'inflation_news';
-  const cached = cache.get(cacheKey);
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, user: req.user });
+});
 
-  if (cached) {
-    console.log('[Cache] Returning cached inflation news');
-    return cached;
+/**
+ * User accounts (admin only)
+ *
+ * POST body: { username, password, role }
+ * PUT body: { password?, role? } (signs the user out everywhere)
+ */
+app.get('/api/auth/users', requireRole('admin'), (req, res) => {
+  res.json({ success: true, users: listUsers(), roles: ROLES });
+});
+
+app.post('/api/auth/users', requireRole('admin'), (req, res) => {
+  const { user, error } = createUser(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
   }
+  res.status(201).json({ success: true, user });
+});
 
-  try {
-    const apiKey = process.env.NEWS_API_KEY;
+app.put('/api/auth/users/:id', requireRole('admin'), (req, res) => {
+  const { user, error, notFound } = updateUser(req.params.id, req.body || {});
+  if (notFound) {
+    return res.status(404).json({ success: false, error: `User not found: ${req.params.id}` });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.json({ success: true, user });
+});
 
-    if (!apiKey) {
-      throw new Error('NEWS_API_KEY not configured');
-    }
+app.delete('/api/auth/users/:id', requireRole('admin'), (req, res) => {
+  const { error, notFound } = deleteUser(req.params.id);
+  if (notFound) {
+    return res.status(404).json({ success: false, error: `User not found: ${req.params.id}` });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.json({ success: true });
+});
 
-    const fromDate = new Date();
-    fromDate.setDate(fromDate.getDate() - 7);
-    const fromISO = fromDate.toISOString().split('T')[0];
+/**
+ * Embeds (admin only)
+ * Widgets on the public website and partner pages, and the origins allowed
+ * to show each one (see server/embeds.js)
+ *
+ * Body: { name, widgets, origins }
+ */
+app.get('/api/embeds', requireRole('admin'), (req, res) => {
+  res.json({ success: true, embeds: listEmbeds(), widgets: EMBED_WIDGETS });
+});
 
-    const query = encodeURIComponent(
-      'inflation OR "dollar weakness" OR "currency devaluation" OR ' +
-      '"purchasing power" OR "Fed rate" OR "money printing" OR ' +
-      '"dollar decline" OR "fiat currency" OR "debt crisis" OR ' +
-      '"economic uncertainty" OR "stagflation"'
-    );
+app.post('/api/embeds', requireRole('admin'), (req, res) => {
+  const { embed, error } = createEmbed(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  console.log(`[Embed] Created ${embed.id}: ${embed.name} (${embed.origins.join(', ')})`);
+  res.status(201).json({ success: true, embed });
+});
 
-    const url = `https://newsapi.org/v2/everything?q=${query}&language=en&sortBy=publishedAt&from=${fromISO}&pageSize=20&apiKey=${apiKey}`;
+app.put('/api/embeds/:id', requireRole('admin'), (req, res) => {
+  const { embed, error, notFound } = updateEmbed(req.params.id, req.body || {});
+  if (notFound) {
+    return res.status(404).json({ success: false, error: `Embed not found: ${req.params.id}` });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.json({ success: true, embed });
+});
 
-    console.log('[API] Fetching inflation news from NewsAPI');
-    const response = await axios.get(url, { timeout: 10000 });
+app.delete('/api/embeds/:id', requireRole('admin'), (req, res) => {
+  if (!deleteEmbed(req.params.id)) {
+    return res.status(404).json({ success: false, error: `Embed not found: ${req.params.id}` });
+  }
+  res.json({ success: true });
+});
 
-    if (response.data.status !== 'ok') {
-      throw new Error(response.data.message || 'NewsAPI request failed');
-    }
+/**
+ * Alert rules
+ * Evaluated server-side against USD prices every ALERT_INTERVAL seconds
+ * (see server/alerts.js for rule fields)
+ */
+app.get('/api/alerts/rules', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, rules: listRules(), channels: listChannels() });
+});
 
-    const seen = new Set();
-    const articles = response.data.articles
-      .filter(article => {
-        const key = article.title?.toLowerCase().slice(0, 50).replace(/[^a-z0-9]/g, '');
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-      })
-      .map(article => ({
-        title: article.title,
-        description: article.description,
-        source: article.source.name,
-        url: article.url,
-        image: article.urlToImage,
-        publishedAt: article.publishedAt
-      }))
-      .slice(0, 10);
-
-    cache.set(cacheKey, articles, 600);
-    return articles;
+app.get('/api/alerts/rules/:id', requireRole('viewer'), (req, res) => {
+  const rule = getRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ success: false, error: `Alert rule not found: ${req.params.id}` });
+  }
+  res.json({ success: true, rule });
+});
 
-  } catch (error) {
-    console.error('[Error] Inflation NewsAPI:', error.message);
-    const staleCache = cache.get(cacheKey);
-    if (staleCache) return staleCache;
-    throw error;
+app.post('/api/alerts/rules', requireRole('editor'), (req, res) => {
+  const { rule, error } = createRule(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
   }
-}
+  console.log(`[Alert] Created rule ${rule.id}: ${rule.name}`);
+  res.status(201).json({ success: true, rule });
+});
+
+app.put('/api/alerts/rules/:id', requireRole('editor'), (req, res) => {
+  const { rule, error, notFound } = updateRule(req.params.id, req.body || {});
+  if (notFound) {
+    return res.status(404).json({ success: false, error: `Alert rule not found: ${req.params.id}` });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.json({ success: true, rule });
+});
+
+app.delete('/api/alerts/rules/:id', requireRole('editor'), (req, res) => {
+  if (!deleteRule(req.params.id)) {
+    return res.status(404).json({ success: false, error: `Alert rule not found: ${req.params.id}` });
+  }
+  res.json({ success: true });
+});
+
+/**
+ * Fired alert history, newest first
+ *
+ * Query params:
+ * - q: text to match in the alert message or rule name
+ * - ruleId, instrument: exact filters
+ * - from, to: ISO dates bounding firedAt
+ * - limit (default 50, max 500), offset
+ */
+app.get('/api/alerts/history', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, ...searchHistory(req.query) });
+});
 
 /**
- * Inflation news endpoint
+ * Talking points currently on the wall, highest priority first
+ * (see server/talkingPoints.js). Filter with ?tag=
  */
-app.get('/api/news/inflation', async (req, res) => {
+app.get('/api/talking-points', (req, res) => {
+  res.json({ success: true, points: listActivePoints(req.query) });
+});
+
+/**
+ * Talking points generated from live and historical market data, only
+ * while they are true (see server/generatedPoints.js)
+ */
+app.get('/api/talking-points/generated', async (req, res) => {
   try {
-    const articles = await fetchInflationNews();
-    res.json({
-      success: true,
-      articles,
-      lastUpdated: new Date().toISOString()
-    });
+    const points = await generateTalkingPoints(getQuotes);
+    res.json({ success: true, points, lastUpdated: new Date().toISOString() });
   } catch (error) {
-    res.json({
-      success: false,
-      error: error.message,
-      articles: []
-    });
+    console.error('[Error] Generated talking points:', error.message);
+    res.json({ success: false, error: error.message, points: [] });
   }
 });
 
 /**
- * Fetch gold/precious metals bullish news
- * Keywords: gold rally, gold price up, bullion demand, safe haven, gold forecast
+ * Every talking point, including scheduled and expired ones, for the editor
  */
-async function fetchGoldNews() {
-  const cacheKey = 'gold_news';
-  const cached = cache.get(cacheKey);
+app.get('/api/talking-points/all', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, points: listPoints() });
+});
 
-  if (cached) {
-    console.log('[Cache] Returning cached gold news');
-    return cached;
+app.get('/api/talking-points/:id', requireRole('viewer'), (req, res) => {
+  const point = getPoint(req.params.id);
+  if (!point) {
+    return res.status(404).json({ success: false, error: `Talking point not found: ${req.params.id}` });
   }
+  res.json({ success: true, point });
+});
 
-  try {
-    const apiKey = process.env.NEWS_API_KEY;
-
-    if (!apiKey) {
-      throw new Error('NEWS_API_KEY not configured');
-    }
+app.post('/api/talking-points', requireRole('editor'), (req, res) => {
+  const { point, error } = createPoint(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  console.log(`[TalkingPoints] Created ${point.id}: ${point.title}`);
+  res.status(201).json({ success: true, point });
+});
 
-    const fromDate = new Date();
-    fromDate.setDate(fromDate.getDate() - 7);
-    const fromISO = fromDate.toISOString().split('T')[0];
+app.put('/api/talking-points/:id', requireRole('editor'), (req, res) => {
+  const { point, error, notFound } = updatePoint(req.params.id, req.body || {});
+  if (notFound) {
+    return res.status(404).json({ success: false, error: `Talking point not found: ${req.params.id}` });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.json({ success: true, point });
+});
 
-    const query = encodeURIComponent(
-      '"gold price" OR "gold rally" OR "gold record" OR ' +
-      '"precious metals" OR "silver price" OR "bullion" OR ' +
-      '"safe haven" OR "gold forecast" OR "gold investment" OR ' +
-      '"central bank gold" OR "gold demand" OR "gold bullish"'
-    );
+app.delete('/api/talking-points/:id', requireRole('editor'), (req, res) => {
+  if (!deletePoint(req.params.id)) {
+    return res.status(404).json({ success: false, error: `Talking point not found: ${req.params.id}` });
+  }
+  res.json({ success: true });
+});
 
-    const url = `https://newsapi.org/v2/everything?q=${query}&language=en&sortBy=publishedAt&from=${fromISO}&pageSize=20&apiKey=${apiKey}`;
+/**
+ * Dashboard layouts: widgets, props and grid placement per screen
+ * (see server/layouts.js). Screens load one at /d/:layoutId.
+ *
+ * Body: { id (create only), name, columns, widgets }
+ */
+app.get('/api/layouts', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, layouts: listLayouts(), widgetTypes: WIDGET_TYPES });
+});
 
-    console.log('[API] Fetching gold news from NewsAPI');
-    const response = await axios.get(url, { timeout: 10000 });
+app.get('/api/layouts/:id', (req, res) => {
+  const layout = getLayout(req.params.id);
+  if (!layout) {
+    return res.status(404).json({ success: false, error: `Layout not found: ${req.params.id}` });
+  }
+  res.json({ success: true, layout });
+});
 
-    if (response.data.status !== 'ok') {
-      throw new Error(response.data.message || 'NewsAPI request failed');
-    }
+app.post('/api/layouts', requireRole('editor'), (req, res) => {
+  const { layout, error } = createLayout(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  console.log(`[Layout] Created ${layout.id}: ${layout.name}`);
+  res.status(201).json({ success: true, layout });
+});
 
-    const seen = new Set();
-    const articles = response.data.articles
-      .filter(article => {
-        const key = article.title?.toLowerCase().slice(0, 50).replace(/[^a-z0-9]/g, '');
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-      })
-      .map(article => ({
-        title: article.title,
-        description: article.description,
-        source: article.source.name,
-        url: article.url,
-        image: article.urlToImage,
-        publishedAt: article.publishedAt
-      }))
-      .slice(0, 10);
-
-    cache.set(cacheKey, articles, 600);
-    return articles;
+app.put('/api/layouts/:id', requireRole('editor'), (req, res) => {
+  const { layout, error, notFound } = updateLayout(req.params.id, req.body || {});
+  if (notFound) {
+    return res.status(404).json({ success: false, error: `Layout not found: ${req.params.id}` });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.json({ success: true, layout });
+});
 
-  } catch (error) {
-    console.error('[Error] Gold NewsAPI:', error.message);
-    const staleCache = cache.get(cacheKey);
-    if (staleCache) return staleCache;
-    throw error;
+app.delete('/api/layouts/:id', requireRole('editor'), (req, res) => {
+  const { error, notFound } = deleteLayout(req.params.id);
+  if (notFound) {
+    return res.status(404).json({ success: false, error: `Layout not found: ${req.params.id}` });
   }
-}
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  res.json({ success: true });
+});
 
 /**
- * Gold/precious metals news endpoint
+ * Registered news topics, for widgets that list or pick columns
  */
-app.get('/api/news/gold', async (req, res) => {
-  try {
-    const articles = await fetchGoldNews();
-    res.json({
-      success: true,
-      articles,
-      lastUpdated: new Date().toISOString()
-    });
-  } catch (error) {
-    res.json({
-      success: false,
-      error: error.message,
-      articles: []
-    });
-  }
+app.get('/api/news/topics', (req, res) => {
+  res.json({ success: true, topics: listTopics().map(describeTopic) });
 });
 
 /**
- * Fetch bullish investment headlines
- * Keywords: gold investment, precious metals outlook, market rally, bullish, gains
+ * Search every article ever ingested (see server/news/archive.js)
+ *
+ * Query params:
+ * - q: words to find in the title, description or source (prefixes match)
+ * - topic, source: filters
+ * - from, to: ISO dates bounding publishedAt (a bare date covers the whole day)
+ * - limit (default 20, max 100), offset
  */
-async function fetchBullishHeadlines() {
-  const cacheKey = 'bullish_headlines';
-  const cached = cache.get(cacheKey);
-
-  if (cached) {
-    console.log('[Cache] Returning cached bullish headlines');
-    return cached;
+app.get('/api/news/search', (req, res) => {
+  const invalid = validateSearch(req.query);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
   }
 
   try {
-    const apiKey = process.env.NEWS_API_KEY;
-
-    if (!apiKey) {
-      throw new Error('NEWS_API_KEY not configured');
-    }
-
-    const fromDate = new Date();
-    fromDate.setDate(fromDate.getDate() - 7);
-    const fromISO = fromDate.toISOString().split('T')[0];
-
-    const query = encodeURIComponent(
-      '"gold investment" OR "precious metals" OR "gold rally" OR ' +
-      '"silver gains" OR "bullion demand" OR "gold outlook" OR ' +
-      '"gold forecast" OR "invest in gold" OR "gold ETF" OR ' +
-      '"gold stocks" OR "mining stocks" OR "gold bullish"'
-    );
+    res.json({ success: true, ...searchArchive(req.query) });
+  } catch (error) {
+    console.error('[Error] News search:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const url = `https://newsapi.org/v2/everything?q=${query}&language=en&sortBy=publishedAt&from=${fromISO}&pageSize=30&apiKey=${apiKey}`;
+/**
+ * Editorial overrides: pin or suppress individual articles
+ *
+ * PUT body: { action: 'pin' | 'suppress', topics?: ['headlines'], note? }
+ * The article must have been served recently (ids come from /api/news/:topic)
+ */
+app.get('/api/news/overrides', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, overrides: listOverrides() });
+});
 
-    console.log('[API] Fetching bullish headlines from NewsAPI');
-    const response = await axios.get(url, { timeout: 10000 });
+app.put('/api/news/overrides/:id', requireRole('editor'), (req, res) => {
+  const error = validateOverride(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-    if (response.data.status !== 'ok') {
-      throw new Error(response.data.message || 'NewsAPI request failed');
-    }
+  const article = findArticle(req.params.id) || getOverride(req.params.id)?.article;
+  if (!article) {
+    return res.status(404).json({ success: false, error: `Article not found: ${req.params.id}` });
+  }
 
-    const seen = new Set();
-    const headlines = response.data.articles
-      .filter(article => {
-        const key = article.title?.toLowerCase().slice(0, 50).replace(/[^a-z0-9]/g, '');
-        if (seen.has(key)) return false;
-        if (!article.title || article.title.includes('[Removed]')) return false;
-        seen.add(key);
-        return true;
-      })
-      .map(article => ({
-        title: article.title,
-        source: article.source.name,
-        url: article.url,
-        publishedAt: article.publishedAt
-      }))
-      .slice(0, 25);
-
-    cache.set(cacheKey, headlines, 600);
-    return headlines;
+  res.json({ success: true, override: setOverride(article, req.body) });
+});
 
-  } catch (error) {
-    console.error('[Error] Bullish Headlines API:', error.message);
-    const staleCache = cache.get(cacheKey);
-    if (staleCache) return staleCache;
-    throw error;
+app.delete('/api/news/overrides/:id', requireRole('editor'), (req, res) => {
+  if (!removeOverride(req.params.id)) {
+    return res.status(404).json({ success: false, error: `No override for article: ${req.params.id}` });
   }
-}
+  res.json({ success: true });
+});
 
 /**
- * Bullish headlines endpoint for sidebar widget
+ * Send a topic's articles
+ * Upstream failures are reported in the body (success: false) so widgets
+ * fall back to their empty state. /api/news/headlines also keeps its
+ * original `headlines` field for existing consumers.
  */
-app.get('/api/news/headlines', async (req, res) => {
+async function sendTopic(req, res, key) {
+  const topic = getTopic(key);
+  if (!topic) {
+    return res.status(404).json({ success: false, error: `Unknown news topic: ${key}`, articles: [] });
+  }
+
+  const { minSentiment, sort } = req.query;
+  const screen = String(req.query.screen || '').split(',').map(getTopic).filter(Boolean);
+  if (minSentiment !== undefined && !(Math.abs(Number(minSentiment)) <= 1)) {
+    return res.status(400).json({ success: false, error: 'minSentiment must be between -1 and 1' });
+  }
+  if (sort !== undefined && !SORTS.includes(sort)) {
+    return res.status(400).json({ success: false, error: `sort must be one of ${SORTS.join(', ')}` });
+  }
+
   try {
-    const headlines = await fetchBullishHeadlines();
+    const articles = await fetchTopic(topic, {
+      minSentiment: minSentiment !== undefined ? Number(minSentiment) : undefined,
+      sort,
+      screen
+    });
     res.json({
       success: true,
-      headlines,
+      topic: describeTopic(topic),
+      articles,
+      ...(topic.key === 'headlines' && { headlines: articles }),
       lastUpdated: new Date().toISOString()
     });
   } catch (error) {
     res.json({
       success: false,
+      topic: describeTopic(topic),
       error: error.message,
-      headlines: []
+      articles: [],
+      ...(topic.key === 'headlines' && { headlines: [] })
     });
   }
-});
+}
 
 /**
- * Fetch historical performance data for asset comparison chart
- * Calculates returns over specified period (10Y, 5Y, 1Y)
+ * News for one registered topic, e.g. /api/news/gold or /api/news/headlines
+ * (see server/news/topics.js)
+ *
+ * Query params override the topic's settings:
+ * - minSentiment: drop articles scoring below this (-1 bearish .. 1 bullish)
+ * - sort: 'recent' | 'sentiment'
+ * - screen: comma-separated topics shown alongside this one; each story
+ *   appears in only one of them (unknown keys are ignored)
+ */
+app.get('/api/news/:topic', (req, res) => sendTopic(req, res, req.params.topic));
+
+// Original endpoints, kept for existing consumers
+app.get('/api/news', (req, res) => sendTopic(req, res, 'news'));
+app.get('/api/macro-news', (req, res) => sendTopic(req, res, 'macro'));
+
+/**
+ * Historical performance data for asset comparison chart
+ * Calculates total returns over a selectable period
+ *
+ * Query params:
+ * - period: 'ytd' | '1y' | '3y' | '5y' | '10y' | '20y' (default)
+ *
+ * Assets whose history is shorter than the window (e.g. VNQ, AGG) are
+ * flagged with partialHistory and historyStart
  */
 app.get('/api/performance', async (req, res) => {
-  const cacheKey = 'performance_data';
-  const cached = cache.get(cacheKey);
+  const period = req.query.period || DEFAULT_PERIOD;
 
-  if (cached) {
-    console.log('[Cache] Returning cached performance data');
-    return res.json({ success: true, data: cached });
+  if (!PERIODS[period]) {
+    return res.status(400).json({ success: false, error: `Unsupported period: ${period}`, data: [] });
   }
 
   try {
-    const yahooFinance = await import('yahoo-finance2');
-    const yf = yahooFinance.default;
-
-    // Calculate date 20 years ago
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setFullYear(startDate.getFullYear() - 20);
-
-    console.log('[API] Fetching historical performance data');
-
-    // Symbols to fetch
-    const symbols = {
-      gold: 'GC=F',      // Gold Futures
-      silver: 'SI=F',    // Silver Futures
-      sp500: '^GSPC',    // S&P 500
-      dow: '^DJI',       // Dow Jones
-      realEstate: 'VNQ', // Vanguard Real Estate ETF
-      bonds: 'AGG'       // iShares Core US Aggregate Bond ETF
-    };
-
-    // Fetch historical data for each symbol
-    const fetchHistory = async (symbol, name) => {
-      try {
-        const history = await yf.historical(symbol, {
-          period1: startDate,
-          period2: endDate,
-          interval: '1mo'
-        });
-
-        if (history && history.length > 1) {
-          const startPrice = history[0].close;
-          const endPrice = history[history.length - 1].close;
-          const returnPct = ((endPrice - startPrice) / startPrice) * 100;
-          return { name, return: Math.round(returnPct) };
-        }
-        return null;
-      } catch (err) {
-        console.error(`[Error] Failed to fetch ${name}:`, err.message);
-        return null;
-      }
-    };
-
-    // Fetch all assets in parallel
-    const results = await Promise.all([
-      fetchHistory(symbols.gold, 'Gold'),
-      fetchHistory(symbols.silver, 'Silver'),
-      fetchHistory(symbols.sp500, 'S&P 500'),
-      fetchHistory(symbols.dow, 'Dow Jones'),
-      fetchHistory(symbols.realEstate, 'Real Estate'),
-      fetchHistory(symbols.bonds, 'Bonds')
-    ]);
-
-    // Filter out failures and add static estimates for CDs and Cash
-    const assetData = results.filter(r => r !== null);
-
-    // Add estimated values for assets without good ETF proxies
-    // CDs: ~2% average annual return over 20 years ≈ 49% total
-    // Cash purchasing power: -44% due to inflation
-    assetData.push({ name: 'CDs/Savings', return: 49 });
-    assetData.push({ name: 'Cash (USD)', return: -44 });
-
-    // Sort by return descending
-    assetData.sort((a, b) => b.return - a.return);
-
-    // Cache for 1 hour (historical data doesn't change often)
-    cache.set(cacheKey, assetData, 3600);
-
-    res.json({ success: true, data: assetData });
+    const performance = await getPerformance(period);
+    res.json({ success: true, ...performance });
 
   } catch (error) {
     console.error('[Error] Performance API:', error.message);
@@ -810,7 +926,10 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    cacheTTL: CACHE_TTL
+    build: getBuildVersion(),
+    cacheTTL: CACHE_TTL,
+    streamClients: priceStream.clientCount(),
+    providers: getProviderHealth()
   });
 });
 
@@ -818,7 +937,33 @@ app.get('/api/health', (req, res) => {
  * Serve React app for any other routes in production
  */
 if (process.env.NODE_ENV === 'production') {
+  /**
+   * Embed pages: a single widget, frameable only by the embed's origins
+   * e.g. /embed/market?embed=<id>&instruments=gold,silver&theme=dark
+   * Every /embed/ path comes here, so nothing under it reaches the
+   * catch-all below; anything but /embed/<widget> is a 404. The page gets
+   * the allowed origins in a meta tag so it posts its height only to them.
+   */
+  app.get('/embed/*', (req, res) => {
+    const widget = req.path.match(/^\/embed\/([^/]+)$/)?.[1];
+    const embed = getEmbed(req.query.embed);
+    if (!widget || !embed || !embedAllows(embed, widget)) {
+      return res.status(404).send('Embed not found');
+    }
+    res.set('Content-Security-Policy', `frame-ancestors ${embed.origins.join(' ')}`);
+    fs.readFile(path.join(__dirname, '../build/index.html'), 'utf8', (error, html) => {
+      if (error) {
+        console.error('[Error] Embed page:', error.message);
+        return res.status(500).send('Embed unavailable');
+      }
+      const meta = `<meta name="embed-origins" content="${embed.origins.join(' ')}">`;
+      res.type('html').send(html.replace('</head>', `${meta}</head>`));
+    });
+  });
+
+  // The dashboard and admin panels can only be framed by this site
   app.get('*', (req, res) => {
+    res.set('Content-Security-Policy', "frame-ancestors 'self'");
     res.sendFile(path.join(__dirname, '../build/index.html'));
   });
 }
@@ -832,4 +977,7 @@ app.listen(PORT, () => {
 ║     Cache TTL: ${CACHE_TTL} seconds                  ║
 ╚════════════════════════════════════════════╝
   `);
+
+  bootstrapAdmin();
+  startAlerts(getQuotes, ALERT_INTERVAL * 1000);
 });
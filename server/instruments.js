@@ -0,0 +1,262 @@
+/**
+ * Instrument Registry
+ *
+ * Single source of truth for every tile the dashboard can show.
+ * /api/prices, the price stream and the frontend tiles are all driven
+ * from these definitions.
+ *
+ * Fields:
+ * - key: id used in API responses and query strings
+ * - symbol: canonical symbol shown in API responses
+ * - providers: ordered failover chain of { provider, symbol } sources
+ *   (see server/providers)
+ * - dailyClose: previous close comes from the daily close store (metals)
+ * - name: display name
+ * - label: tile label
+ * - unit: price unit
+ * - variant: tile colour (see .price-tile--* in MarketWidget.css)
+ * - showDollarSign: prefix price with "$"
+ *
+ * Configuration:
+ * - INSTRUMENTS: comma-separated keys for the default tile set and order
+ * - INSTRUMENTS_FILE: optional JSON array of definitions to add or override.
+ *   A single { provider, symbol } pair can be given instead of providers.
+ * - Screens can pick their own set with ?instruments=gold,silver,btc
+ */
+
+const fs = require('fs');
+const { describeUnits } = require('./units');
+
+const DEFAULT_INSTRUMENTS = 'gold,silver,sp500,dow';
+
+const BUILT_IN = [
+  {
+    key: 'gold',
+    symbol: 'XAU',
+    providers: [
+      { provider: 'metals-api', symbol: 'XAU' },
+      { provider: 'yahoo', symbol: 'GC=F' }
+    ],
+    dailyClose: true,
+    name: 'Gold',
+    label: 'GOLD (OZ)',
+    unit: 'USD/oz',
+    variant: 'gold',
+    showDollarSign: true
+  },
+  {
+    key: 'silver',
+    symbol: 'XAG',
+    providers: [
+      { provider: 'metals-api', symbol: 'XAG' },
+      { provider: 'yahoo', symbol: 'SI=F' }
+    ],
+    dailyClose: true,
+    name: 'Silver',
+    label: 'SILVER (OZ)',
+    unit: 'USD/oz',
+    variant: 'silver',
+    showDollarSign: true
+  },
+  {
+    key: 'platinum',
+    symbol: 'XPT',
+    providers: [
+      { provider: 'metals-api', symbol: 'XPT' },
+      { provider: 'yahoo', symbol: 'PL=F' }
+    ],
+    dailyClose: true,
+    name: 'Platinum',
+    label: 'PLATINUM (OZ)',
+    unit: 'USD/oz',
+    variant: 'platinum',
+    showDollarSign: true
+  },
+  {
+    key: 'palladium',
+    symbol: 'XPD',
+    providers: [
+      { provider: 'metals-api', symbol: 'XPD' },
+      { provider: 'yahoo', symbol: 'PA=F' }
+    ],
+    dailyClose: true,
+    name: 'Palladium',
+    label: 'PALLADIUM (OZ)',
+    unit: 'USD/oz',
+    variant: 'palladium',
+    showDollarSign: true
+  },
+  {
+    key: 'copper',
+    symbol: 'HG=F',
+    providers: [{ provider: 'yahoo', symbol: 'HG=F' }],
+    name: 'Copper',
+    label: 'COPPER (LB)',
+    unit: 'USD/lb',
+    variant: 'copper',
+    showDollarSign: true
+  },
+  {
+    key: 'sp500',
+    symbol: '^GSPC',
+    providers: [{ provider: 'yahoo', symbol: '^GSPC' }],
+    name: 'S&P 500',
+    label: 'S&P 500',
+    unit: 'points',
+    variant: 'blue',
+    showDollarSign: false
+  },
+  {
+    key: 'dow',
+    symbol: '^DJI',
+    providers: [{ provider: 'yahoo', symbol: '^DJI' }],
+    name: 'Dow Jones',
+    label: 'DOW',
+    unit: 'points',
+    variant: 'teal',
+    showDollarSign: false
+  },
+  {
+    key: 'nasdaq',
+    symbol: '^IXIC',
+    providers: [{ provider: 'yahoo', symbol: '^IXIC' }],
+    name: 'Nasdaq',
+    label: 'NASDAQ',
+    unit: 'points',
+    variant: 'indigo',
+    showDollarSign: false
+  },
+  {
+    key: 'dxy',
+    symbol: 'DX-Y.NYB',
+    providers: [{ provider: 'yahoo', symbol: 'DX-Y.NYB' }],
+    name: 'US Dollar Index',
+    label: 'DXY',
+    unit: 'index',
+    variant: 'green',
+    showDollarSign: false
+  },
+  {
+    key: 'btc',
+    symbol: 'BTC-USD',
+    providers: [{ provider: 'yahoo', symbol: 'BTC-USD' }],
+    name: 'Bitcoin',
+    label: 'BITCOIN',
+    unit: 'USD',
+    variant: 'orange',
+    showDollarSign: true
+  }
+];
+
+/**
+ * Load custom definitions from INSTRUMENTS_FILE, if configured
+ */
+function loadCustomInstruments() {
+  const file = process.env.INSTRUMENTS_FILE;
+  if (!file) return [];
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(custom)) {
+      throw new Error('expected a JSON array of instrument definitions');
+    }
+    return custom;
+  } catch (error) {
+    console.error(`[Error] Failed to load ${file}:`, error.message);
+    return [];
+  }
+}
+
+function buildRegistry() {
+  const registry = new Map(BUILT_IN.map(inst => [inst.key, inst]));
+
+  loadCustomInstruments().forEach(({ provider, ...inst }) => {
+    if (!inst.providers && provider && inst.symbol) {
+      inst.providers = [{ provider, symbol: inst.symbol }];
+    }
+
+    const merged = {
+      name: inst.key,
+      label: (inst.name || inst.key || '').toUpperCase(),
+      variant: 'default',
+      showDollarSign: false,
+      ...registry.get(inst.key),
+      ...inst
+    };
+
+    if (!merged.key || !merged.symbol || !merged.providers?.length) {
+      console.error('[Error] Skipping instrument without key/symbol/providers:', inst);
+      return;
+    }
+    registry.set(merged.key, merged);
+  });
+
+  return registry;
+}
+
+const registry = buildRegistry();
+
+/**
+ * Parse a comma-separated key list, dropping unknown keys
+ */
+function parseKeys(value) {
+  return String(value)
+    .split(',')
+    .map(key => key.trim())
+    .filter(key => registry.has(key));
+}
+
+const defaultKeys = parseKeys(process.env.INSTRUMENTS || DEFAULT_INSTRUMENTS);
+
+/**
+ * Resolve a screen's instrument selection to definitions, in order
+ *
+ * @param {string} [selection] - Comma-separated keys, e.g. "gold,silver,btc"
+ * @returns {Object[]} Instrument definitions (default set if selection is empty)
+ */
+function resolveInstruments(selection) {
+  const keys = selection ? parseKeys(selection) : defaultKeys;
+  return [...new Set(keys)].map(key => registry.get(key));
+}
+
+/**
+ * Look up an instrument by key ('gold') or canonical symbol ('XAU')
+ */
+function getInstrument(id) {
+  if (!id) return null;
+  return registry.get(id)
+    || [...registry.values()].find(inst => inst.symbol === id)
+    || null;
+}
+
+/**
+ * All registered instruments
+ */
+function listInstruments() {
+  return [...registry.values()];
+}
+
+/**
+ * Public tile metadata for the frontend
+ * Per-ounce metals also list their weight unit options (see units.js)
+ */
+function describeInstrument(inst) {
+  const units = describeUnits(inst);
+
+  return {
+    key: inst.key,
+    name: inst.name,
+    label: inst.label,
+    unit: inst.unit,
+    variant: inst.variant,
+    showDollarSign: inst.showDollarSign,
+    ...(units && { units })
+  };
+}
+
+module.exports = {
+  resolveInstruments,
+  getInstrument,
+  listInstruments,
+  describeInstrument
+};
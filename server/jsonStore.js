@@ -0,0 +1,55 @@
+/**
+ * JSON File Store
+ *
+ * Small persistence helper for server state that must survive restarts
+ * (daily closes, quotes, and other records too small to need a database).
+ * Each store is one JSON file in DATA_DIR, loaded lazily and written
+ * atomically via a temp file + rename.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Create a store backed by DATA_DIR/<fileName>
+ *
+ * @param {string} fileName - e.g. 'quotes.json'
+ * @param {Function} initial - () => empty state, used when the file is missing
+ * @returns {{ load: () => any, save: () => void, file: string }}
+ *   load() returns the live state object; mutate it and call save()
+ */
+function createJsonStore(fileName, initial = () => ({})) {
+  const file = path.join(DATA_DIR, fileName);
+  let state = null;
+
+  function load() {
+    if (state) return state;
+
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Error] ${fileName} unreadable, starting empty:`, error.message);
+      }
+      state = initial();
+    }
+    return state;
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      console.error(`[Error] Failed to persist ${fileName}:`, error.message);
+    }
+  }
+
+  return { load, save, file };
+}
+
+module.exports = { createJsonStore, DATA_DIR };
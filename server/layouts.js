@@ -0,0 +1,233 @@
+/**
+ * Dashboard Layouts
+ *
+ * Which widgets a screen shows, with their props and grid placement, so
+ * each room can have its own mix without a redeploy:
+ *   { id: 'trading-desk', name, columns: 24,
+ *     widgets: [{ id, type: 'market', props: { instruments: [...] }, x, y, w, h }] }
+ *
+ * `x`/`w` are grid columns and `y`/`h` grid rows (zero-based); rows size to
+ * their content. Widgets may not overlap. Screens open a layout at
+ * /d/:layoutId; `/` shows the `default` layout, which can be edited but
+ * not deleted.
+ *
+ * Persisted to DATA_DIR/layouts.json, seeded with the original screen and a
+ * trading desk variant. The original screen lives in
+ * shared/defaultLayout.json, which the front end also bundles so screens
+ * render before (or without) the API. Widget types and their props come
+ * from shared/widgetTypes.json, used by the editor and renderer too.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { getInstrument } = require('./instruments');
+const { resolveRatios } = require('./ratios');
+const { resolveCurrency } = require('./currencies');
+const { getTopic } = require('./news');
+const BUNDLED_DEFAULT = require('../shared/defaultLayout.json');
+// Widget types: { label, width, fields: [{ name, label, list?, placeholder }] }
+const WIDGET_TYPES = require('../shared/widgetTypes.json');
+
+const DEFAULT_LAYOUT = 'default';
+const MAX_NAME = 80;
+const MAX_COLUMNS = 24;
+const MAX_ROWS = 40;
+const MAX_WIDGETS = 30;
+const LAYOUT_ID = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const widget = (type, x, y, w, h, props = {}) => ({ id: `${type}-${x}-${y}`, type, props, x, y, w, h });
+
+const SEED = [
+  BUNDLED_DEFAULT,
+  {
+    id: 'trading-desk',
+    name: 'Trading desk',
+    columns: 24,
+    widgets: [
+      widget('header', 0, 0, 24, 1),
+      widget('market', 0, 1, 24, 1, { instruments: ['gold', 'silver', 'platinum', 'palladium', 'copper'] }),
+      widget('market', 0, 2, 24, 1, { instruments: ['sp500', 'dow', 'nasdaq', 'dxy', 'btc'] }),
+      widget('ratios', 0, 3, 24, 1, { ratios: ['gold-silver', 'gold-platinum', 'dow-gold', 'sp500-gold'] }),
+      widget('performance', 0, 4, 16, 1),
+      widget('headlines', 16, 4, 8, 1, { topic: 'news' })
+    ]
+  }
+];
+
+function seedLayouts() {
+  const now = new Date().toISOString();
+  return { layouts: SEED.map(layout => ({ ...layout, createdAt: now, updatedAt: now })) };
+}
+
+const store = createJsonStore('layouts.json', seedLayouts);
+
+const newWidgetId = (type) => `${type}-${crypto.randomBytes(3).toString('hex')}`;
+
+const isCount = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate one widget's props against its type
+ *
+ * @returns {{ props?: Object, error?: string }}
+ */
+function validateProps(type, input = {}) {
+  const props = {};
+
+  for (const [name, value] of Object.entries(input || {})) {
+    if (value === null || value === undefined || value === '') continue;
+    if (!WIDGET_TYPES[type].fields.some(field => field.name === name)) {
+      return { error: `${type} widgets have no ${name} prop` };
+    }
+
+    if (name === 'instruments' || name === 'ratios') {
+      if (!Array.isArray(value) || value.length === 0 || value.some(item => typeof item !== 'string')) {
+        return { error: `${name} must be a list of keys` };
+      }
+      if (name === 'instruments') {
+        const unknown = value.find(key => !getInstrument(key));
+        if (unknown) return { error: `Unknown instrument: ${unknown}` };
+      } else {
+        const { errors } = resolveRatios(value.join(','));
+        if (errors.length > 0) return { error: errors[0] };
+      }
+      props[name] = value;
+    } else if (name === 'topic') {
+      if (!getTopic(value)) return { error: `Unknown news topic: ${value}` };
+      props.topic = value;
+    } else {
+      const currency = resolveCurrency(value);
+      if (!currency) return { error: `Unsupported currency: ${value}` };
+      props.currency = currency;
+    }
+  }
+  return { props };
+}
+
+/**
+ * Validate and normalise a layout from the API
+ *
+ * @param {Object} input - Request body
+ * @returns {{ layout?: Object, error?: string }}
+ */
+function validateLayout(input = {}) {
+  const { name, columns = 24, widgets } = input;
+
+  if (!name || !String(name).trim()) return { error: 'name is required' };
+  if (String(name).length > MAX_NAME) return { error: `name must be at most ${MAX_NAME} characters` };
+  if (!isCount(columns, 1, MAX_COLUMNS)) return { error: `columns must be a whole number from 1 to ${MAX_COLUMNS}` };
+  if (!Array.isArray(widgets) || widgets.length > MAX_WIDGETS) {
+    return { error: `widgets must be a list of at most ${MAX_WIDGETS} widgets` };
+  }
+
+  const placed = [];
+  for (const [index, item] of widgets.entries()) {
+    const label = `Widget ${index + 1}`;
+    if (!item || !WIDGET_TYPES[item.type]) {
+      return { error: `${label}: type must be one of ${Object.keys(WIDGET_TYPES).join(', ')}` };
+    }
+
+    const { x, y, w, h } = item;
+    if (!isCount(x, 0, columns - 1) || !isCount(w, 1, columns) || x + w > columns) {
+      return { error: `${label} (${item.type}): must fit within ${columns} columns` };
+    }
+    if (!isCount(y, 0, MAX_ROWS - 1) || !isCount(h, 1, MAX_ROWS) || y + h > MAX_ROWS) {
+      return { error: `${label} (${item.type}): must fit within ${MAX_ROWS} rows` };
+    }
+
+    const { props, error } = validateProps(item.type, item.props);
+    if (error) return { error: `${label} (${item.type}): ${error}` };
+
+    const id = typeof item.id === 'string' && /^[\w-]{1,40}$/.test(item.id) ? item.id : newWidgetId(item.type);
+    if (placed.some(other => other.id === id)) return { error: `${label}: duplicate id ${id}` };
+
+    const overlapping = placed.find(other =>
+      x < other.x + other.w && other.x < x + w && y < other.y + other.h && other.y < y + h
+    );
+    if (overlapping) return { error: `${label} (${item.type}) overlaps ${overlapping.type}` };
+
+    placed.push({ id, type: item.type, props, x, y, w, h });
+  }
+
+  return {
+    layout: {
+      name: String(name).trim(),
+      columns,
+      widgets: placed.sort((a, b) => (a.y - b.y) || (a.x - b.x))
+    }
+  };
+}
+
+function listLayouts() {
+  return store.load().layouts;
+}
+
+function getLayout(id) {
+  return store.load().layouts.find(layout => layout.id === id) || null;
+}
+
+/**
+ * @returns {{ layout?: Object, error?: string }}
+ */
+function createLayout(input = {}) {
+  const id = String(input.id || '').trim().toLowerCase();
+  if (!LAYOUT_ID.test(id)) {
+    return { error: 'id must be 1-40 lowercase letters, digits or dashes' };
+  }
+  if (getLayout(id)) return { error: `Layout already exists: ${id}` };
+
+  const { layout, error } = validateLayout(input);
+  if (error) return { error };
+
+  const now = new Date().toISOString();
+  const created = { id, ...layout, createdAt: now, updatedAt: now };
+
+  store.load().layouts.push(created);
+  store.save();
+  return { layout: created };
+}
+
+/**
+ * Replace a layout's name, columns and widgets
+ *
+ * @returns {{ layout?: Object, error?: string, notFound?: boolean }}
+ */
+function updateLayout(id, input) {
+  const state = store.load();
+  const index = state.layouts.findIndex(layout => layout.id === id);
+  if (index === -1) return { notFound: true };
+
+  const { layout, error } = validateLayout(input);
+  if (error) return { error };
+
+  state.layouts[index] = {
+    id,
+    ...layout,
+    createdAt: state.layouts[index].createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  store.save();
+  return { layout: state.layouts[index] };
+}
+
+/**
+ * @returns {{ error?: string, notFound?: boolean }}
+ */
+function deleteLayout(id) {
+  if (id === DEFAULT_LAYOUT) return { error: 'The default layout cannot be deleted' };
+
+  const state = store.load();
+  const before = state.layouts.length;
+  state.layouts = state.layouts.filter(layout => layout.id !== id);
+  if (state.layouts.length === before) return { notFound: true };
+  store.save();
+  return {};
+}
+
+module.exports = {
+  WIDGET_TYPES,
+  listLayouts,
+  getLayout,
+  createLayout,
+  updateLayout,
+  deleteLayout
+};
@@ -0,0 +1,267 @@
+/**
+ * News Archive
+ *
+ * Every article a topic ingests is kept in a SQLite database
+ * (DATA_DIR/news-archive.db) long after it leaves the cache, with the
+ * topics it appeared under, its source, publish/first-seen/last-seen times
+ * and sentiment. Title, description and source are indexed with FTS5 for
+ * /api/news/search ("Bloomberg central bank buying").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DATA_DIR } = require('../jsonStore');
+
+const DB_FILE = path.join(DATA_DIR, 'news-archive.db');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS articles (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    description TEXT,
+    source TEXT,
+    url TEXT,
+    image TEXT,
+    published_at TEXT,
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL,
+    sentiment_score REAL,
+    sentiment_label TEXT,
+    sentiment_gold REAL,
+    sentiment_dollar REAL
+  );
+
+  CREATE TABLE IF NOT EXISTS article_topics (
+    article_id TEXT NOT NULL REFERENCES articles(id),
+    topic TEXT NOT NULL,
+    PRIMARY KEY (article_id, topic)
+  );
+
+  CREATE INDEX IF NOT EXISTS articles_published ON articles(published_at);
+  CREATE INDEX IF NOT EXISTS article_topics_topic ON article_topics(topic);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+    title, description, source,
+    content='articles', content_rowid='rowid', tokenize='porter unicode61'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS articles_ai AFTER INSERT ON articles BEGIN
+    INSERT INTO articles_fts(rowid, title, description, source)
+    VALUES (new.rowid, new.title, new.description, new.source);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS articles_au AFTER UPDATE OF title, description, source ON articles BEGIN
+    INSERT INTO articles_fts(articles_fts, rowid, title, description, source)
+    VALUES ('delete', old.rowid, old.title, old.description, old.source);
+    INSERT INTO articles_fts(rowid, title, description, source)
+    VALUES (new.rowid, new.title, new.description, new.source);
+  END;
+`;
+
+let db = null;
+let statements = null;
+
+/**
+ * Open the database on first use
+ */
+function open() {
+  if (db) return db;
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  db = new Database(DB_FILE);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  statements = {
+    upsert: db.prepare(`
+      INSERT INTO articles (id, title, description, source, url, image, published_at,
+        first_seen, last_seen, sentiment_score, sentiment_label, sentiment_gold, sentiment_dollar)
+      VALUES (@id, @title, @description, @source, @url, @image, @publishedAt,
+        @seenAt, @seenAt, @score, @label, @gold, @dollar)
+      ON CONFLICT(id) DO UPDATE SET
+        title = excluded.title,
+        description = COALESCE(excluded.description, description),
+        image = COALESCE(excluded.image, image),
+        last_seen = excluded.last_seen,
+        sentiment_score = excluded.sentiment_score,
+        sentiment_label = excluded.sentiment_label,
+        sentiment_gold = excluded.sentiment_gold,
+        sentiment_dollar = excluded.sentiment_dollar
+    `),
+    tag: db.prepare('INSERT OR IGNORE INTO article_topics (article_id, topic) VALUES (?, ?)'),
+    get: db.prepare(`
+      SELECT a.*, (SELECT group_concat(topic) FROM article_topics WHERE article_id = a.id) AS topics
+      FROM articles a WHERE a.id = ?
+    `)
+  };
+
+  console.log(`[News] Archive at ${DB_FILE}`);
+  return db;
+}
+
+/**
+ * Database row → article in the shape the news routes serve
+ */
+function toArticle(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    source: row.source,
+    url: row.url,
+    image: row.image,
+    publishedAt: row.published_at,
+    firstSeen: row.first_seen,
+    lastSeen: row.last_seen,
+    topics: row.topics ? row.topics.split(',') : [],
+    sentiment: {
+      score: row.sentiment_score,
+      label: row.sentiment_label,
+      gold: row.sentiment_gold,
+      dollar: row.sentiment_dollar
+    }
+  };
+}
+
+/**
+ * Record a topic's freshly fetched articles. Never throws: a broken
+ * archive must not take the news columns down with it.
+ *
+ * @param {string} topicKey
+ * @param {Object[]} articles - Articles with ids and sentiment
+ */
+function archiveArticles(topicKey, articles) {
+  try {
+    open();
+    const seenAt = new Date().toISOString();
+
+    db.transaction(() => {
+      articles.forEach(article => {
+        statements.upsert.run({
+          id: article.id,
+          title: article.title,
+          description: article.description || null,
+          source: article.source || null,
+          url: article.url || null,
+          image: article.image || null,
+          publishedAt: article.publishedAt || null,
+          seenAt,
+          score: article.sentiment?.score ?? null,
+          label: article.sentiment?.label ?? null,
+          gold: article.sentiment?.gold ?? null,
+          dollar: article.sentiment?.dollar ?? null
+        });
+        statements.tag.run(article.id, topicKey);
+      });
+    })();
+  } catch (error) {
+    console.error(`[Error] News archive (${topicKey}):`, error.message);
+  }
+}
+
+/**
+ * An archived article by id, or null
+ */
+function getArchivedArticle(id) {
+  try {
+    open();
+    const row = statements.get.get(id);
+    return row ? toArticle(row) : null;
+  } catch (error) {
+    console.error('[Error] News archive lookup:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Free text → FTS5 query matching every word (prefixes allowed), with
+ * FTS syntax characters stripped so user input can't break the query
+ */
+function ftsQuery(text) {
+  const terms = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * Bound for a from/to parameter. A bare date (2026-10-12) covers that
+ * whole day, so `to` runs to the following midnight.
+ */
+function dateBound(value, isEnd) {
+  const time = Date.parse(value);
+  if (isNaN(time)) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return new Date(isEnd && dateOnly ? time + 86400000 : time).toISOString();
+}
+
+/**
+ * Validate a search request
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSearch({ from, to } = {}) {
+  if (from && !dateBound(from)) return 'from must be a date';
+  if (to && !dateBound(to)) return 'to must be a date';
+  return null;
+}
+
+/**
+ * Full-text search over archived articles
+ *
+ * Matches rank by relevance; without `q`, newest first.
+ *
+ * @param {Object} query - { q?, topic?, source?, from?, to?, limit?, offset? }
+ * @returns {{ total: number, articles: Object[] }}
+ */
+function searchArchive({ q, topic, source, from, to, limit, offset } = {}) {
+  open();
+
+  const match = q ? ftsQuery(q) : '';
+  const where = [];
+  const params = {};
+
+  if (match) {
+    where.push('articles_fts MATCH @match');
+    params.match = match;
+  }
+  if (topic) {
+    where.push('EXISTS (SELECT 1 FROM article_topics t WHERE t.article_id = a.id AND t.topic = @topic)');
+    params.topic = topic;
+  }
+  if (source) {
+    where.push('a.source LIKE @source');
+    params.source = `%${source}%`;
+  }
+  // Undated articles are placed at the time they were first seen
+  if (from) {
+    where.push('COALESCE(a.published_at, a.first_seen) >= @from');
+    params.from = dateBound(from);
+  }
+  if (to) {
+    where.push('COALESCE(a.published_at, a.first_seen) < @to');
+    params.to = dateBound(to, true);
+  }
+
+  const join = match ? 'JOIN articles_fts ON articles_fts.rowid = a.rowid' : '';
+  const filter = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const order = match
+    ? 'ORDER BY bm25(articles_fts, 10, 1, 5), COALESCE(a.published_at, a.first_seen) DESC'
+    : 'ORDER BY COALESCE(a.published_at, a.first_seen) DESC';
+
+  const count = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM articles a ${join} ${filter}`).get(params);
+  const rows = db.prepare(`
+    SELECT a.*, (SELECT group_concat(topic) FROM article_topics WHERE article_id = a.id) AS topics
+    FROM articles a ${join} ${filter} ${order}
+    LIMIT @count OFFSET @start
+  `).all({ ...params, count, start });
+
+  return { total, articles: rows.map(toArticle) };
+}
+
+module.exports = { archiveArticles, getArchivedArticle, searchArchive, validateSearch };
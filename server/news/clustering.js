@@ -0,0 +1,125 @@
+/**
+ * Story Clustering
+ *
+ * Groups articles that report the same story, across every topic, even
+ * when syndicated copies reword the headline:
+ * - titles are compared as sets of stemmed content words
+ *   ("Gold hits record high as central banks keep buying" vs
+ *    "Gold rallies to fresh record as central banks keep buying")
+ * - title + description are compared as sets of word 2-shingles
+ * - two articles are the same story if either Jaccard similarity clears
+ *   its threshold; clusters are the connected groups
+ *
+ * Each cluster's canonical article is the richest copy (description, then
+ * image), earliest published on ties, so screens show the best version once.
+ */
+
+const TITLE_THRESHOLD = 0.5;
+const SHINGLE_THRESHOLD = 0.4;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with',
+  'after', 'amid', 'over', 'new', 'says', 'said', 'us'
+]);
+
+/**
+ * Crude suffix stemming so "rallies"/"rally" and "buying"/"buys" match
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing')) return word.slice(0, -3);
+  if (word.endsWith('ed')) return word.slice(0, -2);
+  if (word.endsWith('es')) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+function words(value) {
+  return ((value || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function shingles(tokens) {
+  const set = new Set();
+  for (let i = 0; i < tokens.length - 1; i++) {
+    set.add(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Whether two articles look like the same story
+ */
+function sameStory(a, b) {
+  return jaccard(a.titleWords, b.titleWords) >= TITLE_THRESHOLD
+    || jaccard(a.shingles, b.shingles) >= SHINGLE_THRESHOLD;
+}
+
+const publishedTime = (article) => Date.parse(article.publishedAt) || Infinity;
+
+/**
+ * Richest copy first: has a description, has an image, published earliest
+ */
+function compareCanonical(a, b) {
+  return (Boolean(b.description) - Boolean(a.description))
+    || (Boolean(b.image) - Boolean(a.image))
+    || (publishedTime(a) - publishedTime(b));
+}
+
+/**
+ * Cluster articles into stories
+ *
+ * @param {Object[]} articles - Articles with ids, from any number of topics
+ * @returns {Map<string, { canonical: Object, members: Object[] }>} Story for each article id
+ */
+function clusterArticles(articles) {
+  const unique = [...new Map(articles.map(article => [article.id, article])).values()];
+  const features = unique.map(article => {
+    const titleTokens = words(article.title);
+    return {
+      titleWords: new Set(titleTokens),
+      shingles: shingles([...titleTokens, ...words(article.description)])
+    };
+  });
+
+  // Union-find over articles that look like the same story
+  const parent = unique.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < unique.length; i++) {
+    for (let j = i + 1; j < unique.length; j++) {
+      if (find(i) !== find(j) && sameStory(features[i], features[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  unique.forEach((article, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(article);
+  });
+
+  const stories = new Map();
+  groups.forEach(members => {
+    const story = { canonical: [...members].sort(compareCanonical)[0], members };
+    members.forEach(article => stories.set(article.id, story));
+  });
+
+  return stories;
+}
+
+module.exports = { clusterArticles };
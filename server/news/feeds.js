@@ -0,0 +1,87 @@
+/**
+ * RSS/Atom Feed Registry
+ *
+ * Feeds the rss news source polls (see rss.js). Topics pick feeds by key
+ * and narrow their items with keywords (see topics.js).
+ *
+ * Fields:
+ * - key: id used in a topic's `feeds` list and fixture file name
+ * - name: source name shown on articles (unless the item names its own)
+ * - url: RSS 2.0 or Atom feed URL
+ *
+ * Configuration:
+ * - NEWS_FEEDS_FILE: optional JSON array of feeds to add or override (by key)
+ * - NEWS_FEED_FIXTURES=true: read server/fixtures/feeds/<key>.xml instead of
+ *   fetching (offline demos and development)
+ */
+
+const fs = require('fs');
+
+const BUILT_IN = [
+  {
+    key: 'kitco',
+    name: 'Kitco News',
+    url: 'https://www.kitco.com/rss/KitcoNews.xml'
+  },
+  {
+    // Reuters has no public RSS; Google News search scoped to reuters.com
+    key: 'reuters-commodities',
+    name: 'Reuters',
+    url: 'https://news.google.com/rss/search?q=site:reuters.com+(gold+OR+commodities+OR+inflation)&hl=en-US&gl=US&ceid=US:en'
+  },
+  {
+    key: 'mining-com',
+    name: 'MINING.COM',
+    url: 'https://www.mining.com/feed/'
+  }
+];
+
+/**
+ * Load custom feeds from NEWS_FEEDS_FILE, if configured
+ */
+function loadCustomFeeds() {
+  const file = process.env.NEWS_FEEDS_FILE;
+  if (!file) return [];
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(custom)) {
+      throw new Error('expected a JSON array of feeds');
+    }
+    return custom;
+  } catch (error) {
+    console.error(`[Error] Failed to load ${file}:`, error.message);
+    return [];
+  }
+}
+
+function buildRegistry() {
+  const registry = new Map();
+
+  [...BUILT_IN, ...loadCustomFeeds()].forEach(feed => {
+    const merged = { ...registry.get(feed.key), ...feed };
+
+    if (!merged.key || !merged.url) {
+      console.error('[Error] Skipping news feed without key/url:', feed);
+      return;
+    }
+    registry.set(merged.key, { name: merged.key, ...merged });
+  });
+
+  return registry;
+}
+
+const registry = buildRegistry();
+
+function getFeed(key) {
+  return registry.get(key) || null;
+}
+
+function listFeeds() {
+  return [...registry.values()];
+}
+
+module.exports = {
+  getFeed,
+  listFeeds
+};
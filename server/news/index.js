@@ -0,0 +1,266 @@
+/**
+ * News Service
+ *
+ * Every news source implements one interface:
+ *
+ *   { name: string, fetchArticles(topic) => Promise<article[]> }
+ *
+ * where an article is { title, description, source, url, image, publishedAt }.
+ *
+ * A registered topic (see topics.js) is fetched from each of its sources in
+ * parallel, merged newest first, filtered and deduplicated by the topic's
+ * rules, scored for sentiment (see sentiment.js) and cached for the topic's
+ * TTL. A failing source is skipped; if every source fails, the last good
+ * articles are served. Fresh articles are also kept in the archive (see
+ * archive.js) for search.
+ *
+ * Each request then collapses copies of the same story into one canonical
+ * article (see clustering.js, run across every topic's articles), applies
+ * the topic's sentiment filter and sort order, editorial pins/suppressions
+ * (see overrides.js) and result count, so overrides take effect immediately.
+ *
+ * Widgets sharing a screen can pass the screen's topics so each story is
+ * shown in only one of them: the topic ranking it highest.
+ */
+
+const crypto = require('crypto');
+const { cache } = require('../cache');
+const newsApi = require('./newsApi');
+const rss = require('./rss');
+const { getTopic, listTopics, describeTopic } = require('./topics');
+const { classify } = require('./sentiment');
+const { applyOverrides } = require('./overrides');
+const { clusterArticles } = require('./clustering');
+const { archiveArticles, getArchivedArticle, searchArchive, validateSearch } = require('./archive');
+
+const SOURCES = {
+  [newsApi.name]: newsApi,
+  [rss.name]: rss
+};
+
+// Articles kept per topic before sentiment filtering and the topic's limit
+const MAX_CANDIDATES = 100;
+
+const SORTS = ['recent', 'sentiment'];
+
+// Last articles served per topic, returned if the upstream fails
+const lastGood = new Map();
+
+// Stories across every topic's articles, rebuilt when any topic refreshes
+let stories = null;
+
+/**
+ * Stable article id derived from its URL (or title if it has none)
+ */
+function articleId(article) {
+  return crypto.createHash('sha1').update(article.url || article.title).digest('hex').slice(0, 12);
+}
+
+/**
+ * Normalised title prefix used to spot near-identical headlines
+ */
+function titleKey(title, chars) {
+  return title?.toLowerCase().slice(0, chars).replace(/[^a-z0-9]/g, '');
+}
+
+const publishedTime = (article) => Date.parse(article.publishedAt) || 0;
+
+/**
+ * Apply a topic's exclusions and dedupe to merged articles
+ */
+function filterArticles(topic, articles) {
+  const seen = new Set();
+  const seenUrls = new Set();
+
+  return [...articles]
+    .sort((a, b) => publishedTime(b) - publishedTime(a))
+    .filter(article => {
+      if (!article.title) return false;
+      if (topic.excludeTitles.some(text => article.title.includes(text))) return false;
+
+      if (article.url) {
+        if (seenUrls.has(article.url)) return false;
+        seenUrls.add(article.url);
+      }
+
+      if (topic.dedupe) {
+        const key = titleKey(article.title, topic.dedupe.titleChars);
+        if (seen.has(key)) return false;
+        seen.add(key);
+      }
+      return true;
+    })
+    .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Fetch every source a topic uses, skipping the ones that fail
+ *
+ * @throws if every source fails
+ */
+async function fetchSources(topic) {
+  const sources = topic.sources.map(name => SOURCES[name]).filter(Boolean);
+  const results = await Promise.allSettled(sources.map(source => source.fetchArticles(topic)));
+
+  const errors = [];
+  const articles = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      articles.push(...result.value);
+    } else {
+      console.error(`[Error] ${topic.key} news (${sources[i].name}):`, result.reason.message);
+      errors.push(result.reason.message);
+    }
+  });
+
+  if (errors.length === sources.length) {
+    throw new Error(errors.join('; ') || `No news sources configured for ${topic.key}`);
+  }
+  return articles;
+}
+
+/**
+ * Scored, deduplicated candidate articles for a topic, newest first
+ *
+ * @throws if the upstream fails and nothing has been served before
+ */
+async function loadTopic(topic) {
+  const cacheKey = `news_${topic.key}`;
+  const cached = cache.get(cacheKey);
+
+  if (cached) {
+    console.log(`[Cache] Returning cached ${topic.key} news`);
+    return cached;
+  }
+
+  try {
+    const articles = filterArticles(topic, await fetchSources(topic))
+      .map(article => ({ id: articleId(article), ...article, sentiment: classify(article) }));
+
+    cache.set(cacheKey, articles, topic.ttl);
+    lastGood.set(topic.key, articles);
+    stories = null;
+    archiveArticles(topic.key, articles);
+    return articles;
+
+  } catch (error) {
+    console.error(`[Error] ${topic.key} news:`, error.message);
+
+    if (lastGood.has(topic.key)) {
+      return lastGood.get(topic.key);
+    }
+    throw error;
+  }
+}
+
+// Clusters are cached until a topic refreshes
+function getStories() {
+  if (!stories) stories = clusterArticles([...lastGood.values()].flat());
+  return stories;
+}
+
+/**
+ * Replace each story's copies with its canonical article, at the position
+ * of the first copy; the other copies are listed under `related`
+ */
+function collapseStories(articles) {
+  const allStories = getStories();
+  const seen = new Set();
+
+  return articles.flatMap(article => {
+    const story = allStories.get(article.id);
+    if (!story) return [article];
+    if (seen.has(story)) return [];
+    seen.add(story);
+
+    const related = story.members
+      .filter(member => member.id !== story.canonical.id)
+      .map(({ id, source, url }) => ({ id, source, url }));
+    return [{ ...story.canonical, storyId: story.canonical.id, related }];
+  });
+}
+
+/**
+ * A topic's displayable articles in order, before its result count
+ */
+async function rankTopic(topic, { minSentiment, sort } = {}) {
+  const candidates = await loadTopic(topic);
+  const threshold = minSentiment ?? topic.minSentiment;
+  const order = sort || topic.sort;
+
+  const ranked = order === 'sentiment'
+    ? [...candidates].sort((a, b) => b.sentiment.score - a.sentiment.score)
+    : candidates;
+
+  const keep = article => threshold === null || threshold === undefined || article.sentiment.score >= threshold;
+  return applyOverrides(topic.key, collapseStories(ranked), keep);
+}
+
+const storyKey = (article) => article.storyId || article.id;
+
+/**
+ * Articles for a topic
+ *
+ * @param {Object} topic - Topic definition
+ * @param {Object} [options] - Per-request overrides of the topic's settings
+ * @param {number} [options.minSentiment] - Drop articles scoring below this (-1..1)
+ * @param {string} [options.sort] - 'recent' | 'sentiment'
+ * @param {Object[]} [options.screen] - Every topic on the same screen, in the
+ *   same order for each widget; stories shown by another of them are left out
+ * @returns {Promise<Object[]>} Pinned articles first, then up to the topic's limit
+ * @throws if the upstream fails and nothing has been served before
+ */
+async function fetchTopic(topic, { minSentiment, sort, screen = [] } = {}) {
+  const screenTopics = screen.some(other => other.key === topic.key) ? screen : [topic, ...screen];
+  if (screenTopics.length < 2) {
+    return (await rankTopic(topic, { minSentiment, sort })).slice(0, topic.limit);
+  }
+
+  // Load every topic on the screen before ranking, so stories are
+  // clustered across all of them
+  await Promise.all(screenTopics.map(other => (
+    other.key === topic.key ? loadTopic(other) : loadTopic(other).catch(() => null)
+  )));
+
+  const ownIndex = screenTopics.findIndex(other => other.key === topic.key);
+  const lists = await Promise.all(screenTopics.map((other, index) => (
+    index === ownIndex ? rankTopic(topic, { minSentiment, sort }) : rankTopic(other).catch(() => [])
+  )));
+
+  // Each story belongs to the topic ranking it highest (pins always win),
+  // ties going to the topic listed first
+  const owners = new Map();
+  lists.forEach((list, index) => {
+    list.forEach((article, rank) => {
+      const claim = { index, rank: article.pinned ? -1 : rank };
+      const current = owners.get(storyKey(article));
+      if (!current || claim.rank < current.rank) owners.set(storyKey(article), claim);
+    });
+  });
+
+  return lists[ownIndex]
+    .filter(article => article.pinned || owners.get(storyKey(article)).index === ownIndex)
+    .slice(0, topic.limit);
+}
+
+/**
+ * Look up an article served recently on any topic, or in the archive
+ */
+function findArticle(id) {
+  for (const articles of lastGood.values()) {
+    const article = articles.find(candidate => candidate.id === id);
+    if (article) return article;
+  }
+  return getArchivedArticle(id);
+}
+
+module.exports = {
+  fetchTopic,
+  findArticle,
+  searchArchive,
+  validateSearch,
+  SORTS,
+  getTopic,
+  listTopics,
+  describeTopic
+};
@@ -0,0 +1,58 @@
+/**
+ * NewsAPI source (newsapi.org)
+ *
+ * Searches /v2/everything with a topic's query and returns articles in
+ * the shape every news route serves:
+ *   { title, description, source, url, image, publishedAt }
+ */
+
+const axios = require('axios');
+
+const name = 'newsapi';
+
+/**
+ * @param {Object} topic - Topic definition (see topics.js)
+ * @returns {Promise<Object[]>} Articles, newest first
+ */
+async function fetchArticles(topic) {
+  const apiKey = process.env.NEWS_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('NEWS_API_KEY not configured');
+  }
+  if (!topic.query) {
+    throw new Error(`No NewsAPI query for ${topic.key}`);
+  }
+
+  const params = {
+    q: topic.query,
+    language: 'en',
+    sortBy: 'publishedAt',
+    pageSize: topic.pageSize,
+    apiKey
+  };
+
+  if (topic.lookbackDays) {
+    const fromDate = new Date();
+    fromDate.setDate(fromDate.getDate() - topic.lookbackDays);
+    params.from = fromDate.toISOString().split('T')[0]; // Date only format
+  }
+
+  console.log(`[API] Fetching ${topic.key} news from NewsAPI`);
+  const response = await axios.get('https://newsapi.org/v2/everything', { params, timeout: 10000 });
+
+  if (response.data.status !== 'ok') {
+    throw new Error(response.data.message || 'NewsAPI request failed');
+  }
+
+  return response.data.articles.map(article => ({
+    title: article.title,
+    description: article.description,
+    source: article.source.name,
+    url: article.url,
+    image: article.urlToImage,
+    publishedAt: article.publishedAt
+  }));
+}
+
+module.exports = { name, fetchArticles };
@@ -0,0 +1,116 @@
+/**
+ * News Overrides
+ *
+ * Editorial control over what reaches the screens, per article:
+ * - pin: shown first, whatever its sentiment score. Pinned to specific
+ *   topics, the article stays up even after it ages out of the feeds.
+ * - suppress: never shown
+ *
+ * Overrides apply to the listed topics, or to every topic if none are
+ * listed, and to every copy of the article's story (see clustering.js).
+ * They are persisted to DATA_DIR/news-overrides.json, keyed by article id,
+ * with a copy of the article so pins outlive the cache.
+ */
+
+const { createJsonStore } = require('../jsonStore');
+
+const ACTIONS = ['pin', 'suppress'];
+
+const store = createJsonStore('news-overrides.json');
+
+const appliesTo = (override, topicKey) => !override.topics || override.topics.includes(topicKey);
+
+function listOverrides() {
+  return Object.values(store.load())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getOverride(id) {
+  const overrides = store.load();
+  return Object.hasOwn(overrides, id) ? overrides[id] : null;
+}
+
+/**
+ * Validate an override request
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateOverride({ action, topics } = {}) {
+  if (!ACTIONS.includes(action)) return `action must be one of ${ACTIONS.join(', ')}`;
+  if (topics !== undefined && topics !== null
+    && (!Array.isArray(topics) || topics.some(topic => typeof topic !== 'string'))) {
+    return 'topics must be a list of topic keys';
+  }
+  return null;
+}
+
+/**
+ * Pin or suppress an article
+ *
+ * @param {Object} article - Article being overridden (stored with the override)
+ * @param {Object} request - { action, topics?, note? }
+ */
+function setOverride(article, { action, topics, note }) {
+  const overrides = store.load();
+  overrides[article.id] = {
+    id: article.id,
+    action,
+    topics: topics?.length ? topics : null,
+    note: note ? String(note).slice(0, 500) : undefined,
+    createdAt: overrides[article.id]?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    article
+  };
+  store.save();
+  console.log(`[News] ${action === 'pin' ? 'Pinned' : 'Suppressed'} ${article.id}: ${article.title}`);
+  return overrides[article.id];
+}
+
+function removeOverride(id) {
+  const overrides = store.load();
+  if (!Object.hasOwn(overrides, id)) return false;
+  delete overrides[id];
+  store.save();
+  return true;
+}
+
+/**
+ * Apply pins and suppressions to a topic's articles
+ *
+ * @param {string} topicKey
+ * @param {Object[]} articles - Candidate articles, in display order
+ * @param {Function} keep - (article) => whether an unpinned article passes the topic's filters
+ * @returns {Object[]} Pinned articles (flagged `pinned`) first, then the rest
+ */
+function applyOverrides(topicKey, articles, keep) {
+  const overrides = Object.values(store.load()).filter(override => appliesTo(override, topicKey));
+  const actionFor = new Map(overrides.map(override => [override.id, override.action]));
+
+  // A story is overridden through any of its copies
+  const storyIds = (article) => [article.id, ...(article.related || []).map(copy => copy.id)];
+  const action = (article) => storyIds(article).map(id => actionFor.get(id)).find(Boolean);
+
+  // Pins for this topic by name show even if the feeds have dropped them
+  const present = new Set(articles.flatMap(storyIds));
+  const pinnedAway = overrides
+    .filter(override => override.action === 'pin' && override.topics && !present.has(override.id))
+    .map(override => override.article);
+
+  const pinned = [
+    ...articles.filter(article => action(article) === 'pin'),
+    ...pinnedAway
+  ].map(article => ({ ...article, pinned: true }));
+
+  const rest = articles.filter(article => !action(article) && keep(article));
+
+  return [...pinned, ...rest];
+}
+
+module.exports = {
+  listOverrides,
+  getOverride,
+  validateOverride,
+  setOverride,
+  removeOverride,
+  applyOverrides
+};
@@ -0,0 +1,216 @@
+/**
+ * RSS/Atom news source
+ *
+ * Polls the feeds a topic lists (see feeds.js), keeps items matching the
+ * topic's keywords and normalises them to the shape every news route serves:
+ *   { title, description, source, url, image, publishedAt }
+ *
+ * Each feed is fetched once per NEWS_FEED_TTL seconds (default 900) and
+ * shared by every topic that uses it. A failing feed is skipped; the source
+ * only fails if all of a topic's feeds do.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const { cache } = require('../cache');
+const { getFeed } = require('./feeds');
+
+const name = 'rss';
+
+const FEED_TTL = parseInt(process.env.NEWS_FEED_TTL) || 900;
+const FIXTURES_ENABLED = process.env.NEWS_FEED_FIXTURES === 'true';
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/feeds');
+
+// Descriptions are trimmed to roughly what NewsAPI returns
+const MAX_DESCRIPTION = 300;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  htmlEntities: true
+});
+
+const asArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * Text content of a parsed node (plain string, { '#text' } or CDATA)
+ */
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (Array.isArray(node)) return text(node[0]);
+  if (typeof node === 'object') return text(node['#text']);
+  return String(node);
+}
+
+/**
+ * Strip markup and collapse whitespace
+ */
+function plain(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function truncate(value) {
+  if (value.length <= MAX_DESCRIPTION) return value;
+  return `${value.slice(0, MAX_DESCRIPTION).replace(/\s+\S*$/, '')}...`;
+}
+
+function isoDate(value) {
+  const time = Date.parse(text(value));
+  return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Best image for an item: media:content/thumbnail, an image enclosure,
+ * or the first <img> in the item's HTML
+ */
+function itemImage(item, html) {
+  const media = [...asArray(item['media:content']), ...asArray(item['media:thumbnail'])]
+    .find(node => node?.['@_url'] && (!node['@_medium'] || node['@_medium'] === 'image'));
+  if (media) return media['@_url'];
+
+  const enclosure = [...asArray(item.enclosure), ...asArray(item.link)]
+    .find(node => node?.['@_type']?.startsWith('image/') && (node['@_url'] || node['@_href']));
+  if (enclosure) return enclosure['@_url'] || enclosure['@_href'];
+
+  return html.match(/<img[^>]+src=["']([^"']+)["']/i)?.[1] || null;
+}
+
+/**
+ * Link of an Atom entry (rel="alternate" or the first link)
+ */
+function atomLink(entry) {
+  const links = asArray(entry.link);
+  const link = links.find(node => !node['@_rel'] || node['@_rel'] === 'alternate') || links[0];
+  return link?.['@_href'] || text(link);
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document into normalised articles
+ *
+ * @param {string} xml - Feed document
+ * @param {Object} feed - Feed definition (see feeds.js)
+ * @returns {Object[]} Articles in feed order
+ */
+function parseFeed(xml, feed) {
+  const doc = parser.parse(xml);
+
+  if (doc.rss) {
+    return asArray(doc.rss.channel?.item).map(item => {
+      const html = text(item['content:encoded']) || text(item.description);
+      const source = plain(text(item.source));
+      // Aggregators (e.g. Google News) append " - Source" to titles and
+      // repeat the title as the description
+      const fullTitle = plain(text(item.title));
+      const title = source && fullTitle.endsWith(` - ${source}`)
+        ? fullTitle.slice(0, -` - ${source}`.length)
+        : fullTitle;
+      const description = truncate(plain(text(item.description) || html));
+      return {
+        title,
+        description: description && !description.startsWith(title) ? description : null,
+        source: source || feed.name,
+        url: text(item.link) || text(item.guid),
+        image: itemImage(item, html),
+        publishedAt: isoDate(item.pubDate || item['dc:date'])
+      };
+    });
+  }
+
+  if (doc.feed) {
+    return asArray(doc.feed.entry).map(entry => {
+      const html = text(entry.content) || text(entry.summary);
+      return {
+        title: plain(text(entry.title)),
+        description: truncate(plain(text(entry.summary) || html)) || null,
+        source: plain(text(entry.source?.title)) || feed.name,
+        url: atomLink(entry),
+        image: itemImage(entry, html),
+        publishedAt: isoDate(entry.published || entry.updated)
+      };
+    });
+  }
+
+  throw new Error('Not an RSS or Atom feed');
+}
+
+/**
+ * Read a feed's fixture file or fetch it
+ */
+async function loadFeed(feed) {
+  if (FIXTURES_ENABLED) {
+    return fs.promises.readFile(path.join(FIXTURE_DIR, `${feed.key}.xml`), 'utf8');
+  }
+
+  console.log(`[API] Fetching ${feed.key} feed`);
+  const response = await axios.get(feed.url, {
+    timeout: 10000,
+    responseType: 'text',
+    headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+  });
+  return response.data;
+}
+
+/**
+ * Articles from one feed, cached for NEWS_FEED_TTL
+ */
+async function fetchFeed(feed) {
+  const cacheKey = `feed_${feed.key}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const articles = parseFeed(await loadFeed(feed), feed)
+    .filter(article => article.title && article.url);
+
+  cache.set(cacheKey, articles, FEED_TTL);
+  return articles;
+}
+
+/**
+ * Whole-word, case-insensitive match against any of a topic's keywords
+ */
+function keywordMatcher(keywords) {
+  if (!keywords.length) return () => true;
+
+  const escaped = keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`\\b(${escaped.join('|')})\\b`, 'i');
+  return article => pattern.test(`${article.title} ${article.description || ''}`);
+}
+
+/**
+ * @param {Object} topic - Topic definition (see topics.js)
+ * @returns {Promise<Object[]>} Matching articles from the topic's feeds
+ */
+async function fetchArticles(topic) {
+  const feeds = topic.feeds.map(getFeed).filter(Boolean);
+  if (feeds.length === 0) {
+    throw new Error(`No feeds configured for ${topic.key}`);
+  }
+
+  const results = await Promise.allSettled(feeds.map(fetchFeed));
+  const failed = results.filter(result => result.status === 'rejected');
+
+  failed.forEach(result => console.error(`[Error] News feed (${topic.key}):`, result.reason.message));
+  if (failed.length === feeds.length) {
+    throw new Error(`All feeds failed for ${topic.key}`);
+  }
+
+  const matches = keywordMatcher(topic.keywords);
+  return results
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value)
+    .filter(matches);
+}
+
+module.exports = { name, fetchArticles, parseFeed };
@@ -0,0 +1,133 @@
+/**
+ * Headline Sentiment Classifier
+ *
+ * Offline, rule-based stance scoring for gold and the US dollar:
+ * - each subject mention ("gold", "dollar") takes the nearest direction
+ *   word ("rallies", "slumps") within a few words, flipped by negations
+ *   ("fails to rally")
+ * - macro phrases carry a stance on their own ("rate cut", "safe haven")
+ * - the title counts twice as much as the description
+ *
+ * Scores run from -1 (bearish) to +1 (bullish). A stronger dollar counts
+ * against gold, so the overall `score` is the stance for a gold buyer.
+ */
+
+const SUBJECTS = {
+  gold: ['gold', 'bullion', 'silver', 'platinum', 'palladium', 'precious', 'metals', 'miners', 'xau', 'xag'],
+  dollar: ['dollar', 'greenback', 'usd', 'dxy', 'buck']
+};
+
+const UP = [
+  'rally', 'rallies', 'rallied', 'surge', 'surges', 'surged', 'soar', 'soars', 'soared',
+  'jump', 'jumps', 'jumped', 'climb', 'climbs', 'climbed', 'gain', 'gains', 'gained',
+  'rise', 'rises', 'rose', 'rising', 'up', 'higher', 'high', 'highs', 'record', 'peak',
+  'boost', 'boosts', 'boosted', 'advance', 'advances', 'advanced', 'strengthen',
+  'strengthens', 'strong', 'stronger', 'firm', 'firms', 'firmer', 'outperform',
+  'outperforms', 'bullish', 'shine', 'shines', 'glitters', 'rebound', 'rebounds', 'extends'
+];
+
+const DOWN = [
+  'slump', 'slumps', 'slumped', 'fall', 'falls', 'fell', 'falling', 'drop', 'drops',
+  'dropped', 'plunge', 'plunges', 'plunged', 'tumble', 'tumbles', 'tumbled', 'slide',
+  'slides', 'slid', 'sink', 'sinks', 'sank', 'decline', 'declines', 'declined', 'lose',
+  'loses', 'lost', 'losses', 'down', 'lower', 'low', 'lows', 'weak', 'weaker', 'weakens',
+  'weakness', 'retreat', 'retreats', 'retreated', 'slip', 'slips', 'slipped', 'ease',
+  'eases', 'eased', 'dip', 'dips', 'dipped', 'crash', 'crashes', 'sell-off', 'selloff',
+  'bearish', 'underperform', 'underperforms', 'pressure', 'pressured', 'tarnished'
+];
+
+const NEGATIONS = ['not', 'no', 'fails', 'failed', "isn't", "won't", 'without'];
+
+// Phrases with a gold stance of their own
+const GOLD_PHRASES = [
+  ['rate cut', 1], ['rate cuts', 1], ['easing', 0.5], ['safe haven', 1], ['safe-haven', 1],
+  ['central bank buying', 1], ['central banks buying', 1], ['central banks keep buying', 1],
+  ['inflation hedge', 1], ['debasement', 1], ['money printing', 1], ['stagflation', 0.5],
+  ['debt crisis', 0.5], ['all-time high', 1], ['record high', 1], ['etf inflows', 1],
+  ['rate hike', -1], ['rate hikes', -1], ['yields rise', -1], ['yields climb', -1],
+  ['higher yields', -1], ['strong jobs', -0.5], ['hawkish', -0.5], ['etf outflows', -1]
+];
+
+// Words a direction word may sit from its subject and still count
+const WINDOW = 4;
+const TITLE_WEIGHT = 2;
+// A dollar move counts this much (inversely) toward the gold stance
+const DOLLAR_WEIGHT = 0.5;
+// Raw points that map to a full-strength score
+const SATURATION = 3;
+const LABEL_THRESHOLD = 0.2;
+
+const subjectOf = new Map();
+Object.entries(SUBJECTS).forEach(([subject, words]) => words.forEach(word => subjectOf.set(word, subject)));
+const upWords = new Set(UP);
+const downWords = new Set(DOWN);
+const negations = new Set(NEGATIONS);
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function tokenize(value) {
+  return (value || '').toLowerCase().match(/[a-z0-9$%'-]+/g) || [];
+}
+
+/**
+ * Raw gold/dollar points for one piece of text
+ */
+function scoreText(value) {
+  const tokens = tokenize(value);
+  const points = { gold: 0, dollar: 0, phrases: 0 };
+
+  const directionAt = (i) => (upWords.has(tokens[i]) ? 1 : downWords.has(tokens[i]) ? -1 : 0);
+
+  tokens.forEach((token, i) => {
+    const subject = subjectOf.get(token);
+    // "gold miners", "precious metals": one mention, not two
+    if (!subject || subjectOf.get(tokens[i - 1]) === subject) return;
+
+    // Nearest direction word, after the subject first ("gold slumps")
+    // then before it ("weaker dollar")
+    for (let distance = 1; distance <= WINDOW; distance++) {
+      const at = [i + distance, i - distance].find(index => directionAt(index));
+      if (at === undefined) continue;
+
+      const negated = tokens.slice(Math.max(0, at - 2), at).some(word => negations.has(word));
+      points[subject] += negated ? -directionAt(at) : directionAt(at);
+      return;
+    }
+  });
+
+  const text = ` ${tokens.join(' ')} `;
+  GOLD_PHRASES.forEach(([phrase, weight]) => {
+    if (text.includes(` ${phrase} `)) points.phrases += weight;
+  });
+
+  return points;
+}
+
+/**
+ * Score an article's stance
+ *
+ * @param {Object} article - { title, description }
+ * @returns {{ score: number, label: 'bullish' | 'neutral' | 'bearish', gold: number, dollar: number }}
+ *   score: stance for gold buyers; gold/dollar: stance on each subject
+ */
+function classify(article) {
+  const title = scoreText(article.title);
+  const description = scoreText(article.description);
+
+  const combine = (key) => title[key] * TITLE_WEIGHT + description[key];
+  const gold = combine('gold');
+  const dollar = combine('dollar');
+  const phrases = combine('phrases');
+
+  const score = clamp((gold + phrases - dollar * DOLLAR_WEIGHT) / SATURATION);
+
+  return {
+    score: round2(score),
+    label: score >= LABEL_THRESHOLD ? 'bullish' : score <= -LABEL_THRESHOLD ? 'bearish' : 'neutral',
+    gold: round2(clamp(gold / SATURATION)),
+    dollar: round2(clamp(dollar / SATURATION))
+  };
+}
+
+module.exports = { classify };
@@ -0,0 +1,182 @@
+/**
+ * News Topic Registry
+ *
+ * Every news column and the headlines sidebar is a topic. /api/news/:topic
+ * and the NewsWidget are driven from these definitions, so a new column
+ * is a config change.
+ *
+ * Fields:
+ * - key: id used in /api/news/:topic and <NewsWidget topic="...">
+ * - title: widget heading
+ * - sources: news sources to merge, in priority order (default newsapi, rss)
+ * - query: NewsAPI search query
+ * - lookbackDays: NewsAPI only returns articles from the last N days (null = no limit)
+ * - pageSize: articles requested from NewsAPI
+ * - feeds: RSS/Atom feed keys to read (see feeds.js)
+ * - keywords: feed items must mention one of these (empty = every item)
+ * - minSentiment: drop articles whose sentiment score is below this, -1..1
+ *   (null = keep all; pinned articles always show)
+ * - sort: 'recent' (default) or 'sentiment' (most bullish first)
+ * - limit: articles returned after filtering
+ * - ttl: cache lifetime in seconds
+ * - dedupe: { titleChars } drops articles whose first N alphanumeric title
+ *   characters match a newer article (null = only drop repeated URLs)
+ * - excludeTitles: drop articles whose title contains any of these strings
+ * - emptyIcon, emptyText: widget empty state
+ *
+ * Configuration:
+ * - NEWS_TOPICS_FILE: optional JSON array of topics to add or override (by key)
+ */
+
+const fs = require('fs');
+
+const GOLD_KEYWORDS = ['gold', 'silver', 'bullion', 'precious metals', 'platinum', 'palladium'];
+
+const DEFAULTS = {
+  sources: ['newsapi', 'rss'],
+  lookbackDays: 7, // NewsAPI free tier limitation
+  pageSize: 20,
+  feeds: [],
+  keywords: [],
+  minSentiment: null,
+  sort: 'recent',
+  limit: 10,
+  ttl: 600,
+  dedupe: { titleChars: 50 },
+  excludeTitles: [],
+  emptyIcon: '📰',
+  emptyText: 'No news available'
+};
+
+const BUILT_IN = [
+  {
+    key: 'news',
+    title: 'Precious Metals News',
+    query: '(gold OR "precious metals" OR silver) AND (price OR market OR investment)',
+    lookbackDays: null,
+    pageSize: 5,
+    feeds: ['kitco', 'mining-com', 'reuters-commodities'],
+    keywords: GOLD_KEYWORDS,
+    limit: 5,
+    ttl: 43200,
+    dedupe: null
+  },
+  {
+    key: 'macro',
+    title: 'Macro & Precious Metals',
+    query: 'gold price OR silver price OR precious metals OR ' +
+      'gold market OR bullion OR inflation hedge OR ' +
+      'central bank gold OR safe haven',
+    feeds: ['kitco', 'reuters-commodities', 'mining-com'],
+    keywords: [...GOLD_KEYWORDS, 'inflation hedge', 'central bank', 'safe haven']
+  },
+  {
+    key: 'inflation',
+    title: 'Dollar & Inflation',
+    query: 'inflation OR "dollar weakness" OR "currency devaluation" OR ' +
+      '"purchasing power" OR "Fed rate" OR "money printing" OR ' +
+      '"dollar decline" OR "fiat currency" OR "debt crisis" OR ' +
+      '"economic uncertainty" OR "stagflation"',
+    feeds: ['reuters-commodities', 'kitco'],
+    keywords: ['inflation', 'dollar', 'devaluation', 'purchasing power', 'Fed', 'Federal Reserve',
+      'rate cut', 'rate hike', 'fiat', 'debt', 'stagflation', 'CPI'],
+    emptyIcon: '💵',
+    emptyText: 'No inflation news available'
+  },
+  {
+    key: 'gold',
+    title: 'Gold & Precious Metals',
+    query: '"gold price" OR "gold rally" OR "gold record" OR ' +
+      '"precious metals" OR "silver price" OR "bullion" OR ' +
+      '"safe haven" OR "gold forecast" OR "gold investment" OR ' +
+      '"central bank gold" OR "gold demand" OR "gold bullish"',
+    feeds: ['kitco', 'reuters-commodities', 'mining-com'],
+    keywords: GOLD_KEYWORDS,
+    emptyIcon: '🥇',
+    emptyText: 'No gold news available'
+  },
+  {
+    key: 'headlines',
+    title: 'Investment News',
+    query: '"gold investment" OR "precious metals" OR "gold rally" OR ' +
+      '"silver gains" OR "bullion demand" OR "gold outlook" OR ' +
+      '"gold forecast" OR "invest in gold" OR "gold ETF" OR ' +
+      '"gold stocks" OR "mining stocks" OR "gold bullish"',
+    feeds: ['kitco', 'mining-com', 'reuters-commodities'],
+    keywords: [...GOLD_KEYWORDS, 'mining stocks', 'gold stocks', 'miners', 'ETF'],
+    pageSize: 30,
+    // The sales-floor sidebar never shows bearish-leaning headlines
+    minSentiment: 0,
+    limit: 25,
+    excludeTitles: ['[Removed]'],
+    emptyText: 'No headlines available'
+  }
+];
+
+/**
+ * Load custom topics from NEWS_TOPICS_FILE, if configured
+ */
+function loadCustomTopics() {
+  const file = process.env.NEWS_TOPICS_FILE;
+  if (!file) return [];
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(custom)) {
+      throw new Error('expected a JSON array of topics');
+    }
+    return custom;
+  } catch (error) {
+    console.error(`[Error] Failed to load ${file}:`, error.message);
+    return [];
+  }
+}
+
+function buildRegistry() {
+  const registry = new Map();
+
+  [...BUILT_IN, ...loadCustomTopics()].forEach(topic => {
+    const merged = {
+      ...DEFAULTS,
+      title: topic.key,
+      ...registry.get(topic.key),
+      ...topic
+    };
+
+    if (!merged.key || (!merged.query && !merged.feeds?.length)) {
+      console.error('[Error] Skipping news topic without key or query/feeds:', topic);
+      return;
+    }
+    registry.set(merged.key, merged);
+  });
+
+  return registry;
+}
+
+const registry = buildRegistry();
+
+function getTopic(key) {
+  return registry.get(key) || null;
+}
+
+function listTopics() {
+  return [...registry.values()];
+}
+
+/**
+ * Public topic metadata for the frontend
+ */
+function describeTopic(topic) {
+  return {
+    key: topic.key,
+    title: topic.title,
+    emptyIcon: topic.emptyIcon,
+    emptyText: topic.emptyText
+  };
+}
+
+module.exports = {
+  getTopic,
+  listTopics,
+  describeTopic
+};
@@ -0,0 +1,55 @@
+/**
+ * Email notifier (SMTP)
+ *
+ * Sends the fired alert to the rule's `email` recipients, or ALERT_EMAIL_TO.
+ *
+ * Configuration:
+ * - SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for port 465)
+ * - SMTP_USER, SMTP_PASS (optional, for authenticated relays)
+ * - ALERT_EMAIL_FROM: sender address
+ * - ALERT_EMAIL_TO: default recipients (comma-separated)
+ */
+
+const nodemailer = require('nodemailer');
+
+const name = 'email';
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST not configured');
+  }
+
+  transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return transport;
+}
+
+/**
+ * @param {Object} alert - Fired alert record
+ * @param {Object} rule - Rule that fired
+ */
+async function send(alert, rule) {
+  const to = rule.email || process.env.ALERT_EMAIL_TO;
+  if (!to) {
+    throw new Error('No alert email recipients configured');
+  }
+
+  await getTransport().sendMail({
+    from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+    to,
+    subject: `[Price Alert] ${alert.ruleName}`,
+    text: `${alert.message}\n\nFired at ${alert.firedAt}`
+  });
+}
+
+module.exports = { name, send };
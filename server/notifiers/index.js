@@ -0,0 +1,62 @@
+/**
+ * Alert Delivery Channels
+ *
+ * Every notifier implements one interface:
+ *
+ *   { name: string, send(alert, rule) => Promise<void> }
+ *
+ * Rules list the channels they deliver to by name. Built-in channels:
+ * - webhook: JSON POST (see webhook.js)
+ * - email: SMTP (see email.js)
+ * - toast: in-app toast on connected dashboards (registered at startup,
+ *   since it needs the price stream)
+ *
+ * Each channel is attempted independently; one failing doesn't stop the others.
+ */
+
+const webhook = require('./webhook');
+const email = require('./email');
+
+const NOTIFIERS = {
+  [webhook.name]: webhook,
+  [email.name]: email
+};
+
+/**
+ * Add or replace a delivery channel
+ */
+function registerNotifier(notifier) {
+  NOTIFIERS[notifier.name] = notifier;
+}
+
+function listChannels() {
+  return Object.keys(NOTIFIERS);
+}
+
+/**
+ * Deliver a fired alert to each of the rule's channels
+ *
+ * @returns {Promise<Array<{ channel, status: 'sent' | 'failed', error? }>>}
+ */
+async function deliver(alert, rule) {
+  return Promise.all(rule.channels.map(async channel => {
+    const notifier = NOTIFIERS[channel];
+    if (!notifier) {
+      return { channel, status: 'failed', error: `Unknown channel: ${channel}` };
+    }
+
+    try {
+      await notifier.send(alert, rule);
+      return { channel, status: 'sent' };
+    } catch (error) {
+      console.error(`[Error] Alert delivery via ${channel}:`, error.message);
+      return { channel, status: 'failed', error: error.message };
+    }
+  }));
+}
+
+module.exports = {
+  registerNotifier,
+  listChannels,
+  deliver
+};
@@ -0,0 +1,24 @@
+/**
+ * In-app toast notifier
+ *
+ * Pushes the fired alert as an `alert` event to the price stream clients
+ * that connected with a viewer's stream ticket (?alerts=<ticket>), so alert
+ * names never reach anonymous screens or partner pages. The dashboard shows
+ * it as a toast.
+ */
+
+const name = 'toast';
+
+/**
+ * @param {Function} broadcastAlert - (alert) => void, from the price stream
+ */
+function createToastNotifier(broadcastAlert) {
+  return {
+    name,
+    async send(alert) {
+      broadcastAlert(alert);
+    }
+  };
+}
+
+module.exports = { name, createToastNotifier };
@@ -0,0 +1,26 @@
+/**
+ * Webhook notifier
+ *
+ * POSTs the fired alert as JSON to the rule's webhookUrl, or
+ * ALERT_WEBHOOK_URL if the rule doesn't set one. Works with Slack/Teams
+ * incoming webhooks (the `text` field) and generic receivers alike.
+ */
+
+const axios = require('axios');
+
+const name = 'webhook';
+
+/**
+ * @param {Object} alert - Fired alert record
+ * @param {Object} rule - Rule that fired
+ */
+async function send(alert, rule) {
+  const url = rule.webhookUrl || process.env.ALERT_WEBHOOK_URL;
+  if (!url) {
+    throw new Error('No webhook URL configured');
+  }
+
+  await axios.post(url, { text: alert.message, alert }, { timeout: 10000 });
+}
+
+module.exports = { name, send };
@@ -0,0 +1,267 @@
+/**
+ * Asset Performance Service
+ *
+ * Total returns for the "Gold & Silver vs. Traditional Asset Classes"
+ * chart over a selectable horizon. Each period is cached separately.
+ *
+ * Every asset gets a nominal `return` and a CPI-deflated `realReturn`.
+ * CDs/Savings and Cash come from the bundled CPI and short-rate datasets
+ * (see server/economicData.js) rather than market prices. When a dataset
+ * ends before the window does it is carried forward, and `coverage` plus
+ * each affected entry's `projected` flag say so.
+ *
+ * Market assets also carry `stats` (CAGR, volatility, max drawdown, Sharpe,
+ * best/worst year) computed from every bar in the window; see riskStats.js.
+ */
+
+const { cache } = require('./cache');
+const yahoo = require('./providers/yahoo');
+const { inflationFactor, shortRateGrowth, datasetCoverage } = require('./economicData');
+const { computeStats } = require('./riskStats');
+
+// Cache for 1 hour (historical data doesn't change often)
+const PERFORMANCE_TTL = 3600;
+
+// An asset whose first bar is this much later than the requested start
+// doesn't cover the whole window (e.g. an ETF younger than the period)
+const PARTIAL_HISTORY_GRACE_DAYS = 45;
+
+/**
+ * Supported periods
+ * - years: window length (null for year-to-date)
+ * - interval: bar size (daily for short windows so YTD works in January)
+ */
+const PERIODS = {
+  ytd: { label: 'Year-to-Date', years: null, interval: '1d' },
+  '1y': { label: '1-Year', years: 1, interval: '1d' },
+  '3y': { label: '3-Year', years: 3, interval: '1mo' },
+  '5y': { label: '5-Year', years: 5, interval: '1mo' },
+  '10y': { label: '10-Year', years: 10, interval: '1mo' },
+  '20y': { label: '20-Year', years: 20, interval: '1mo' }
+};
+
+const DEFAULT_PERIOD = '20y';
+
+// Bars per year for annualising volatility
+const PERIODS_PER_YEAR = { '1d': 252, '1mo': 12 };
+
+const YEAR_MS = 365.25 * 86400000;
+
+// Symbols to fetch
+const ASSETS = [
+  { name: 'Gold', symbol: 'GC=F' },          // Gold Futures
+  { name: 'Silver', symbol: 'SI=F' },        // Silver Futures
+  { name: 'S&P 500', symbol: '^GSPC' },      // S&P 500
+  { name: 'Dow Jones', symbol: '^DJI' },     // Dow Jones
+  { name: 'Real Estate', symbol: 'VNQ' },    // Vanguard Real Estate ETF (since 2004)
+  { name: 'Bonds', symbol: 'AGG' }           // iShares Core US Aggregate Bond ETF (since 2003)
+];
+
+/**
+ * Start of the window for a period
+ */
+function periodStart(period, endDate) {
+  const { years } = PERIODS[period];
+  if (years === null) {
+    return new Date(endDate.getFullYear(), 0, 1);
+  }
+
+  const start = new Date(endDate);
+  start.setFullYear(start.getFullYear() - years);
+  return start;
+}
+
+/**
+ * Annualised cash (short-rate) return between two dates, as a fraction
+ * (null if the short-rate data doesn't cover them)
+ */
+function cashRate(startDate, endDate) {
+  const years = (endDate - startDate) / YEAR_MS;
+  if (years <= 0) return 0;
+  const growth = shortRateGrowth(startDate, endDate);
+  return growth === null ? null : Math.pow(growth, 1 / years) - 1;
+}
+
+/**
+ * Total return and risk statistics for one asset over the window
+ */
+async function fetchAssetReturn({ name, symbol }, startDate, interval) {
+  try {
+    const history = await yahoo.fetchHistory(symbol, { period1: startDate, interval });
+
+    if (history.length < 2) return null;
+
+    const startPrice = history[0].close;
+    const endPrice = history[history.length - 1].close;
+    const returnPct = ((endPrice - startPrice) / startPrice) * 100;
+
+    // Flag assets that don't have data for the whole window
+    const firstDate = new Date(history[0].time);
+    const lastDate = new Date(history[history.length - 1].time);
+    const gapDays = (firstDate - startDate) / 86400000;
+    const partial = gapDays > PARTIAL_HISTORY_GRACE_DAYS;
+
+    // Sharpe is measured against cash over the asset's own window
+    const stats = computeStats(history, {
+      periodsPerYear: PERIODS_PER_YEAR[interval],
+      riskFreeRate: cashRate(firstDate, lastDate)
+    });
+
+    return {
+      name,
+      return: returnPct,
+      stats,
+      ...(partial && { partialHistory: true, historyStart: history[0].time })
+    };
+  } catch (err) {
+    console.error(`[Error] Failed to fetch ${name}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Deflate a nominal return (%) by CPI growth over the window
+ * (null without CPI data for the window)
+ */
+function toRealReturn(nominalPct, inflation) {
+  if (inflation === null) return null;
+  return ((1 + nominalPct / 100) / inflation - 1) * 100;
+}
+
+/**
+ * Dataset series are annual averages, so only CAGR is meaningful; the
+ * price-based statistics are left null
+ */
+function datasetStats(returnPct, startDate, endDate) {
+  const years = (endDate - startDate) / YEAR_MS;
+  const cagr = years > 0 ? (Math.pow(1 + returnPct / 100, 1 / years) - 1) * 100 : null;
+
+  return {
+    cagr: cagr === null ? null : Math.round(cagr * 10) / 10,
+    volatility: null,
+    maxDrawdown: null,
+    sharpe: null,
+    riskFreeRate: null,
+    bestYear: null,
+    worstYear: null
+  };
+}
+
+/**
+ * CDs/Savings and Cash returns from the economic datasets
+ * - CDs/Savings: rolling the 3-month T-bill rate over the window
+ * - Cash (USD): purchasing power, so its nominal and real returns are both
+ *   the loss to inflation
+ * Each is omitted when the window starts before its dataset, and flagged
+ * `projected` when the dataset is carried forward to the window's end
+ */
+function datasetReturns(startDate, endDate, inflation, coverage) {
+  const entries = [];
+
+  const rateGrowth = shortRateGrowth(startDate, endDate);
+  if (rateGrowth !== null) {
+    const cdReturn = (rateGrowth - 1) * 100;
+    entries.push({
+      name: 'CDs/Savings',
+      return: cdReturn,
+      realReturn: toRealReturn(cdReturn, inflation),
+      stats: datasetStats(cdReturn, startDate, endDate),
+      ...((coverage.shortRateProjected || coverage.cpiProjected) && { projected: true })
+    });
+  }
+
+  if (inflation !== null) {
+    const cashReturn = (1 / inflation - 1) * 100;
+    entries.push({
+      name: 'Cash (USD)',
+      return: cashReturn,
+      realReturn: cashReturn,
+      stats: datasetStats(cashReturn, startDate, endDate),
+      ...(coverage.cpiProjected && { projected: true })
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Get asset returns for a period
+ *
+ * @param {string} period - Key of PERIODS
+ * @returns {Promise<{ period, label, startDate, endDate, inflation, coverage, data: Array }>}
+ *   Each data entry: { name, return, realReturn, stats, partialHistory?, historyStart?, projected? };
+ *   inflation and every realReturn are null when the window starts before the CPI data;
+ *   coverage is datasetCoverage() for the window's end
+ */
+async function getPerformance(period = DEFAULT_PERIOD) {
+  const config = PERIODS[period];
+  if (!config) {
+    throw new Error(`Unsupported period: ${period}`);
+  }
+
+  const cacheKey = `performance_data:${period}`;
+  const cached = cache.get(cacheKey);
+
+  if (cached) {
+    console.log(`[Cache] Returning cached ${period} performance data`);
+    return cached;
+  }
+
+  const endDate = new Date();
+  const startDate = periodStart(period, endDate);
+
+  console.log(`[API] Fetching ${period} historical performance data`);
+
+  // Fetch all assets in parallel
+  const results = await Promise.all(
+    ASSETS.map(asset => fetchAssetReturn(asset, startDate, config.interval))
+  );
+
+  // Filter out failures
+  const marketData = results.filter(r => r !== null);
+  if (marketData.length === 0) {
+    throw new Error('No performance data available');
+  }
+
+  const inflation = inflationFactor(startDate, endDate);
+  const coverage = datasetCoverage(endDate);
+
+  // Deflate market returns (over each asset's own window) and add CDs and Cash
+  const assetData = marketData
+    .map(asset => {
+      const assetStart = asset.historyStart ? new Date(asset.historyStart) : startDate;
+      return {
+        ...asset,
+        realReturn: toRealReturn(asset.return, inflationFactor(assetStart, endDate))
+      };
+    })
+    .concat(datasetReturns(startDate, endDate, inflation, coverage))
+    .map(asset => ({
+      ...asset,
+      return: Math.round(asset.return),
+      realReturn: asset.realReturn === null ? null : Math.round(asset.realReturn)
+    }));
+
+  // Sort by return descending
+  assetData.sort((a, b) => b.return - a.return);
+
+  const result = {
+    period,
+    label: config.label,
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    // CPI change over the window, % (null before the CPI data)
+    inflation: inflation === null ? null : Math.round((inflation - 1) * 1000) / 10,
+    coverage,
+    data: assetData
+  };
+
+  cache.set(cacheKey, result, PERFORMANCE_TTL);
+  return result;
+}
+
+module.exports = {
+  getPerformance,
+  PERIODS,
+  DEFAULT_PERIOD
+};
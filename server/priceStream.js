@@ -0,0 +1,226 @@
+/**
+ * Price Stream (Server-Sent Events)
+ *
+ * Replaces per-browser polling with a single server-side refresh loop:
+ * - The loop only runs while at least one dashboard is connected
+ * - Each tick builds the prices payload once and broadcasts it to everyone
+ * - Clients get a full `snapshot` on connect, then `tick` events carrying
+ *   only the instruments whose values changed
+ *
+ * Events:
+ *   event: snapshot  data: full /api/prices payload
+ *   event: tick      data: { data: { [key]: quote }, lastUpdated, warnings }
+ *   event: alert     data: fired price alert (see alerts.js), only to clients
+ *                    resolveAlerts lets in (signed-in viewers, never embeds)
+ *
+ * Each client only receives the instruments it subscribed to, in its
+ * display currency. One payload is built per currency in use, covering
+ * the instruments that currency's clients subscribed to.
+ */
+
+const HEARTBEAT_INTERVAL = 25000; // Keep proxies from closing idle connections
+
+/**
+ * Return the keys whose serialized value differs between two data maps
+ */
+function changedKeys(previous = {}, next = {}) {
+  return Object.keys(next).filter(
+    key => JSON.stringify(previous[key]) !== JSON.stringify(next[key])
+  );
+}
+
+/**
+ * Pick a subset of instrument keys out of a data map
+ */
+function pickData(data, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (key in data) picked[key] = data[key];
+  });
+  return picked;
+}
+
+/**
+ * Narrow a full snapshot to one client's instruments, in the client's order
+ */
+function pickSnapshot(snapshot, keys) {
+  const byKey = new Map((snapshot.instruments || []).map(inst => [inst.key, inst]));
+  return {
+    ...snapshot,
+    instruments: keys.map(key => byKey.get(key)).filter(Boolean),
+    data: pickData(snapshot.data, keys)
+  };
+}
+
+function writeEvent(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Create a price stream around a payload builder
+ *
+ * @param {Function} buildSnapshot - async (currency, keys) => /api/prices payload
+ * @param {Object} options
+ * @param {number} options.interval - Refresh interval in milliseconds
+ * @param {Function} options.resolveKeys - (req) => instrument keys the client wants
+ * @param {Function} [options.resolveCurrency] - (req) => display currency code
+ * @param {Function} [options.resolveAlerts] - (req) => whether the client gets alert events
+ * @returns {{ handler: Function, clientCount: Function, broadcastAlert: Function }}
+ */
+function createPriceStream(buildSnapshot, {
+  interval = 30000,
+  resolveKeys,
+  resolveCurrency = () => null,
+  resolveAlerts = () => false
+} = {}) {
+  // res -> { keys, currency, alerts, ready } the client subscribed to; ready
+  // once it has had its snapshot
+  const clients = new Map();
+  // currency -> latest payload
+  const latest = new Map();
+  const inFlight = new Map();
+  let refreshTimer = null;
+  let heartbeatTimer = null;
+
+  /**
+   * Fetch a fresh payload for one currency and broadcast what changed
+   * Only the instruments its clients subscribed to are fetched. Clients
+   * still waiting for their snapshot (just connected, or their first
+   * refresh failed) get it here; the rest get a tick.
+   * Concurrent callers share the same in-flight refresh
+   */
+  function refreshCurrency(currency) {
+    if (inFlight.has(currency)) return inFlight.get(currency);
+
+    const request = (async () => {
+      try {
+        const watching = [...clients.values()].filter(client => client.currency === currency);
+        const keys = [...new Set(watching.flatMap(client => client.keys))];
+        if (keys.length === 0) return;
+
+        const next = await buildSnapshot(currency, keys);
+        const changed = changedKeys(latest.get(currency)?.data, next.data);
+        latest.set(currency, next);
+
+        clients.forEach((client, res) => {
+          if (client.currency !== currency) return;
+          if (!client.ready) {
+            sendSnapshot(res, client, next);
+            return;
+          }
+
+          const data = pickData(next.data, changed.filter(key => client.keys.includes(key)));
+          if (Object.keys(data).length === 0) return;
+
+          writeEvent(res, 'tick', {
+            data,
+            lastUpdated: next.lastUpdated,
+            warnings: next.warnings
+          });
+        });
+      } catch (error) {
+        console.error('[Error] Price stream refresh:', error.message);
+      } finally {
+        inFlight.delete(currency);
+      }
+    })();
+
+    inFlight.set(currency, request);
+    return request;
+  }
+
+  /**
+   * Send a client its snapshot if the payload covers all its instruments
+   * (a refresh started before it connected may not)
+   */
+  function sendSnapshot(res, client, payload) {
+    if (!client.keys.every(key => key in payload.data)) return;
+    writeEvent(res, 'snapshot', pickSnapshot(payload, client.keys));
+    client.ready = true;
+  }
+
+  /**
+   * Refresh every currency a connected client is using
+   * (quotes are cached upstream, so extra currencies only cost an FX rate)
+   */
+  function refresh() {
+    const currencies = new Set([...clients.values()].map(client => client.currency));
+    // Drop payloads nobody is watching so a returning client gets fresh data
+    [...latest.keys()].forEach(currency => {
+      if (!currencies.has(currency)) latest.delete(currency);
+    });
+    return Promise.all([...currencies].map(refreshCurrency));
+  }
+
+  function start() {
+    if (refreshTimer) return;
+    console.log('[Stream] Starting price stream loop');
+    refreshTimer = setInterval(refresh, interval);
+    heartbeatTimer = setInterval(() => {
+      clients.forEach((client, res) => res.write(': heartbeat\n\n'));
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  function stop() {
+    if (!refreshTimer) return;
+    console.log('[Stream] No clients connected, stopping price stream loop');
+    clearInterval(refreshTimer);
+    clearInterval(heartbeatTimer);
+    refreshTimer = null;
+    heartbeatTimer = null;
+  }
+
+  /**
+   * Express handler for the SSE endpoint
+   */
+  async function handler(req, res) {
+    const keys = resolveKeys(req);
+    const currency = resolveCurrency(req);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx/Railway proxy buffering
+    });
+    res.flushHeaders();
+    // Ask the browser to wait 5s before its automatic reconnect
+    res.write('retry: 5000\n\n');
+
+    const client = { keys, currency, alerts: resolveAlerts(req), ready: false };
+    const idle = !refreshTimer;
+    clients.set(res, client);
+    req.on('close', () => {
+      clients.delete(res);
+      if (clients.size === 0) stop();
+    });
+    start();
+
+    // Reuse the last payload unless the loop was idle (so it may be hours
+    // old); otherwise refresh now, and once more if a refresh already in
+    // flight didn't include this client's instruments. If both fail, the
+    // snapshot follows the next successful refresh.
+    const cached = latest.get(currency);
+    if (!idle && cached) sendSnapshot(res, client, cached);
+    if (!client.ready) await refreshCurrency(currency);
+    if (!client.ready && clients.has(res)) await refreshCurrency(currency);
+  }
+
+  /**
+   * Send a fired alert to every client that asked for alerts, whatever
+   * instruments it subscribed to
+   */
+  function broadcastAlert(alert) {
+    clients.forEach((client, res) => {
+      if (client.alerts) writeEvent(res, 'alert', alert);
+    });
+  }
+
+  return {
+    handler,
+    clientCount: () => clients.size,
+    broadcastAlert
+  };
+}
+
+module.exports = { createPriceStream };
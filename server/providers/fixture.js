@@ -0,0 +1,47 @@
+/**
+ * Local fixture provider
+ *
+ * Serves static quotes from a JSON file so the dashboard works offline,
+ * in demos and in development without API keys. Only added to failover
+ * chains when MARKET_DATA_FIXTURES is enabled.
+ *
+ * Fixture file format (keyed by instrument key):
+ * { "gold": { "price": 2650.25, "previousClose": 2641.1 }, ... }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const name = 'fixture';
+
+const FIXTURE_FILE = process.env.MARKET_DATA_FIXTURE_FILE
+  || path.join(__dirname, '../fixtures/quotes.json');
+
+/**
+ * @param {string[]} symbols - Instrument keys, e.g. ['gold', 'sp500']
+ * @returns {Promise<Object>} Quotes keyed by symbol
+ */
+async function fetchQuotes(symbols) {
+  // Re-read on every call so fixtures can be edited without a restart
+  const fixtures = JSON.parse(await fs.promises.readFile(FIXTURE_FILE, 'utf8'));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const quotes = {};
+
+  symbols.forEach(symbol => {
+    const fixture = fixtures[symbol];
+    if (!fixture) return;
+
+    const { price, previousClose } = fixture;
+    quotes[symbol] = {
+      price,
+      previousClose,
+      change: previousClose ? price - previousClose : undefined,
+      changePercent: previousClose ? ((price - previousClose) / previousClose) * 100 : undefined,
+      timestamp
+    };
+  });
+
+  return quotes;
+}
+
+module.exports = { name, fetchQuotes };
@@ -0,0 +1,253 @@
+/**
+ * Market Data Provider Layer
+ *
+ * Wraps every upstream price source behind one interface:
+ *
+ *   { name: string, fetchQuotes(symbols: string[]) => Promise<{ [symbol]: quote }> }
+ *
+ * where a quote is { price, previousClose?, change?, changePercent?,
+ * marketState?, timestamp }.
+ *
+ * Each instrument lists an ordered failover chain of { provider, symbol }
+ * sources (see server/instruments.js). Quotes are requested from the first
+ * source, and anything that fails falls through to the next. Providers that
+ * keep failing are skipped for a cooldown period.
+ *
+ * Every quote returned reports the provider that actually served it.
+ *
+ * Providers may also implement fetchHistory(symbol, { period1, period2,
+ * interval }) => Promise<[{ time, close }]> for price series.
+ */
+
+const { cache } = require('../cache');
+const metalsApi = require('./metalsApi');
+const yahoo = require('./yahoo');
+const fixture = require('./fixture');
+
+const PROVIDERS = {
+  [metalsApi.name]: metalsApi,
+  [yahoo.name]: yahoo,
+  [fixture.name]: fixture
+};
+
+// Append the fixture provider to every chain (offline/demo use only)
+const FIXTURES_ENABLED = process.env.MARKET_DATA_FIXTURES === 'true';
+
+// Skip a provider for COOLDOWN_MS after FAILURE_THRESHOLD consecutive failures
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 60000;
+
+const health = {};
+Object.keys(PROVIDERS).forEach(name => {
+  health[name] = {
+    status: 'unknown',
+    consecutiveFailures: 0,
+    successCount: 0,
+    failureCount: 0,
+    lastSuccess: null,
+    lastFailure: null,
+    lastError: null
+  };
+});
+
+// Last quote served per instrument, returned as stale if every source fails
+const lastGood = new Map();
+
+// In-flight upstream requests, so concurrent callers share one fetch
+const inFlight = new Map();
+
+function markSuccess(name) {
+  const h = health[name];
+  h.status = 'up';
+  h.consecutiveFailures = 0;
+  h.successCount += 1;
+  h.lastSuccess = new Date().toISOString();
+}
+
+function markFailure(name, error) {
+  const h = health[name];
+  h.status = 'down';
+  h.consecutiveFailures += 1;
+  h.failureCount += 1;
+  h.lastFailure = new Date().toISOString();
+  h.lastError = error.message;
+}
+
+/**
+ * A provider is skipped while cooling down after repeated failures
+ */
+function isAvailable(name) {
+  const h = health[name];
+  if (!h || h.consecutiveFailures < FAILURE_THRESHOLD) return true;
+  return Date.now() - new Date(h.lastFailure).getTime() > COOLDOWN_MS;
+}
+
+/**
+ * Fetch quotes from a single provider, using the shared cache per symbol
+ *
+ * @param {string} name - Provider name, e.g. 'yahoo'
+ * @param {string[]} symbols - Provider-specific symbols
+ * @returns {Promise<Object>} Quotes keyed by symbol (missing symbols omitted)
+ */
+async function fetchProviderQuotes(name, symbols) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown market data provider: ${name}`);
+  }
+
+  const cacheKey = symbol => `quote:${name}:${symbol}`;
+  const missing = symbols.filter(symbol => cache.get(cacheKey(symbol)) === undefined);
+
+  if (missing.length > 0) {
+    const requestKey = `${name}:${missing.join(',')}`;
+
+    if (!inFlight.has(requestKey)) {
+      const request = provider.fetchQuotes(missing)
+        .then(quotes => {
+          markSuccess(name);
+          Object.entries(quotes).forEach(([symbol, quote]) => {
+            cache.set(cacheKey(symbol), quote);
+          });
+        })
+        .catch(error => {
+          console.error(`[Error] Provider ${name}:`, error.message);
+          markFailure(name, error);
+          throw error;
+        })
+        .finally(() => inFlight.delete(requestKey));
+
+      inFlight.set(requestKey, request);
+    }
+
+    await inFlight.get(requestKey);
+  } else {
+    console.log(`[Cache] Returning cached ${name} quotes`);
+  }
+
+  const quotes = {};
+  symbols.forEach(symbol => {
+    const quote = cache.get(cacheKey(symbol));
+    if (quote) quotes[symbol] = quote;
+  });
+  return quotes;
+}
+
+/**
+ * Ordered failover chain for an instrument
+ */
+function chainFor(inst) {
+  const chain = [...inst.providers];
+  if (FIXTURES_ENABLED && !chain.some(source => source.provider === fixture.name)) {
+    chain.push({ provider: fixture.name, symbol: inst.key });
+  }
+  return chain;
+}
+
+/**
+ * Fetch quotes for a set of instruments, walking each failover chain
+ *
+ * Sources at the same chain position are batched per provider, so e.g.
+ * gold and silver share one metals-api request.
+ *
+ * @param {Object[]} instruments - Registry definitions
+ * @returns {Promise<Object>} Quotes keyed by instrument key, each with
+ *   { ...quote, provider, symbol, stale? }. Instruments with no quote are omitted.
+ */
+async function fetchQuotes(instruments) {
+  const results = {};
+  const chains = new Map(instruments.map(inst => [inst.key, chainFor(inst)]));
+  const longestChain = Math.max(0, ...[...chains.values()].map(chain => chain.length));
+  let pending = instruments;
+
+  for (let step = 0; step < longestChain && pending.length > 0; step++) {
+    // Group this step's sources by provider
+    const groups = new Map();
+    pending.forEach(inst => {
+      const source = chains.get(inst.key)[step];
+      if (!source) return;
+      if (!groups.has(source.provider)) groups.set(source.provider, []);
+      groups.get(source.provider).push({ inst, symbol: source.symbol });
+    });
+
+    await Promise.all([...groups].map(async ([name, items]) => {
+      if (!isAvailable(name)) {
+        console.log(`[Provider] Skipping ${name} (cooling down after failures)`);
+        return;
+      }
+
+      try {
+        const quotes = await fetchProviderQuotes(name, items.map(item => item.symbol));
+        items.forEach(({ inst, symbol }) => {
+          const quote = quotes[symbol];
+          if (quote && typeof quote.price === 'number') {
+            results[inst.key] = { ...quote, provider: name, symbol };
+          }
+        });
+      } catch (error) {
+        // Already recorded in provider health; fall through to next source
+      }
+    }));
+
+    pending = pending.filter(inst => !results[inst.key]);
+  }
+
+  instruments.forEach(inst => {
+    if (results[inst.key]) {
+      lastGood.set(inst.key, results[inst.key]);
+    } else if (lastGood.has(inst.key)) {
+      // Stale data is always preferred over no data
+      results[inst.key] = { ...lastGood.get(inst.key), stale: true };
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Fetch a price series for an instrument, walking its failover chain
+ * through the providers that support history
+ *
+ * @param {Object} inst - Registry definition
+ * @param {Object} options - { period1, period2?, interval }
+ * @returns {Promise<{ points: Array<{ time, close }>, provider: string, symbol: string }>}
+ */
+async function fetchHistory(inst, options) {
+  const sources = chainFor(inst).filter(source => PROVIDERS[source.provider]?.fetchHistory);
+  let lastError = new Error(`No history provider for ${inst.key}`);
+
+  for (const { provider: name, symbol } of sources) {
+    if (!isAvailable(name)) continue;
+
+    try {
+      const points = await PROVIDERS[name].fetchHistory(symbol, options);
+      markSuccess(name);
+      if (points.length > 0) {
+        return { points, provider: name, symbol };
+      }
+    } catch (error) {
+      console.error(`[Error] Provider ${name} history:`, error.message);
+      markFailure(name, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Snapshot of per-provider health for /api/health
+ */
+function getProviderHealth() {
+  const snapshot = {};
+  Object.entries(health).forEach(([name, h]) => {
+    snapshot[name] = { ...h, available: isAvailable(name) };
+  });
+  return snapshot;
+}
+
+module.exports = {
+  fetchQuotes,
+  fetchProviderQuotes,
+  fetchHistory,
+  getProviderHealth
+};
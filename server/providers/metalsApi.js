@@ -0,0 +1,49 @@
+/**
+ * Metals API provider (metals-api.com)
+ *
+ * Returns spot prices in USD per troy ounce. The API has no previous close,
+ * so quotes from this provider rely on the daily close store for change.
+ *
+ * Note: Free tier has limited requests, so callers should batch symbols
+ */
+
+const axios = require('axios');
+
+const name = 'metals-api';
+
+/**
+ * @param {string[]} symbols - Metal codes, e.g. ['XAU', 'XAG']
+ * @returns {Promise<Object>} Quotes keyed by symbol: { price, timestamp }
+ */
+async function fetchQuotes(symbols) {
+  const apiKey = process.env.METALS_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('METALS_API_KEY not configured');
+  }
+
+  const url = `https://metals-api.com/api/latest?access_key=${apiKey}&base=USD&symbols=${symbols.join(',')}`;
+
+  console.log('[API] Fetching metals prices from metals-api.com');
+  const response = await axios.get(url, { timeout: 10000 });
+
+  if (!response.data.success) {
+    throw new Error(response.data.error?.info || 'Metals API request failed');
+  }
+
+  // Metals API returns USDXAU, USDXAG, ... which are USD per troy ounce
+  const rates = response.data.rates;
+  const quotes = {};
+
+  symbols.forEach(symbol => {
+    const inverse = rates[symbol];
+    const price = rates[`USD${symbol}`] || (inverse ? (1 / inverse) : null);
+    if (price) {
+      quotes[symbol] = { price, timestamp: response.data.timestamp };
+    }
+  });
+
+  return quotes;
+}
+
+module.exports = { name, fetchQuotes };
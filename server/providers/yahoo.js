@@ -0,0 +1,78 @@
+/**
+ * Yahoo Finance provider
+ * Uses the yahoo-finance2 library for reliable data access
+ *
+ * Serves indices (^GSPC, ^DJI), ETFs, crypto and futures (GC=F, SI=F),
+ * which makes it the failover source for metals. Also the only provider
+ * with price history.
+ */
+
+const name = 'yahoo';
+
+/**
+ * @param {string[]} symbols - Yahoo symbols, e.g. ['^GSPC', 'GC=F']
+ * @returns {Promise<Object>} Quotes keyed by symbol
+ */
+async function fetchQuotes(symbols) {
+  // Dynamic import for yahoo-finance2 (ES module)
+  const yahooFinance = await import('yahoo-finance2');
+  const yf = yahooFinance.default;
+
+  console.log(`[API] Fetching ${symbols.join(', ')} from Yahoo Finance`);
+
+  // Fetch all symbols in parallel; one bad symbol shouldn't sink the batch
+  const results = await Promise.allSettled(symbols.map(symbol => yf.quote(symbol)));
+  const quotes = {};
+
+  results.forEach((outcome, i) => {
+    if (outcome.status !== 'fulfilled' || !outcome.value) {
+      console.error(`[Error] Yahoo Finance ${symbols[i]}:`, outcome.reason?.message);
+      return;
+    }
+
+    const quote = outcome.value;
+    quotes[symbols[i]] = {
+      price: quote.regularMarketPrice,
+      previousClose: quote.regularMarketPreviousClose,
+      change: quote.regularMarketChange,
+      changePercent: quote.regularMarketChangePercent,
+      marketState: quote.marketState, // 'PRE', 'REGULAR', 'POST', 'CLOSED'
+      timestamp: quote.regularMarketTime
+    };
+  });
+
+  if (Object.keys(quotes).length === 0) {
+    throw new Error('No Yahoo Finance quotes returned');
+  }
+
+  return quotes;
+}
+
+// Intervals served by yf.historical (daily bars and up); anything finer uses yf.chart
+const HISTORICAL_INTERVALS = ['1d', '1wk', '1mo'];
+
+/**
+ * Fetch a price series
+ * Daily and longer bars use yf.historical (as /api/performance does);
+ * intraday bars use the chart API, which historical doesn't support
+ *
+ * @param {string} symbol - Yahoo symbol
+ * @param {Object} options - { period1: Date, period2?: Date, interval: '5m' | '1d' | ... }
+ * @returns {Promise<Array<{ time: string, close: number }>>} Oldest first
+ */
+async function fetchHistory(symbol, { period1, period2 = new Date(), interval }) {
+  const yahooFinance = await import('yahoo-finance2');
+  const yf = yahooFinance.default;
+
+  console.log(`[API] Fetching ${interval} history for ${symbol} from Yahoo Finance`);
+
+  const bars = HISTORICAL_INTERVALS.includes(interval)
+    ? await yf.historical(symbol, { period1, period2, interval })
+    : (await yf.chart(symbol, { period1, period2, interval })).quotes;
+
+  return (bars || [])
+    .filter(bar => typeof bar.close === 'number')
+    .map(bar => ({ time: new Date(bar.date).toISOString(), close: bar.close }));
+}
+
+module.exports = { name, fetchQuotes, fetchHistory };
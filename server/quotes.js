@@ -0,0 +1,191 @@
+/**
+ * Bullion Quote Service
+ *
+ * Prices a basket of catalog products against locked live spot:
+ * - unit price = fine metal value at spot + premium (per catalog rule/tier)
+ * - the /api/prices snapshot used is stored with the quote (the spot lock),
+ *   so every number on a quote can be traced to the exact prices behind it
+ * - quotes expire after QUOTE_TTL seconds (default 10 minutes)
+ *
+ * Quotes are persisted to DATA_DIR/quotes.json so share links keep working
+ * across restarts.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { getProduct, premiumTier } = require('./catalog');
+const { convertWeight } = require('./units');
+
+const QUOTE_TTL = parseInt(process.env.QUOTE_TTL) || 600;
+
+// Largest quantity a single line may request
+const MAX_QUANTITY = 100000;
+const MAX_LINES = 50;
+
+// Stored quotes are kept this long after they expire, for reference
+const RETENTION_DAYS = 90;
+
+// Share links are public and show the customer and notes, so ids carry
+// 128 random bits. Quotes created before that have 8 hex digits.
+const QUOTE_ID = /^Q-(?:[0-9A-F]{32}|[0-9A-F]{8})$/;
+
+const store = createJsonStore('quotes.json');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check a basket request
+ *
+ * @param {Array<{ productId, quantity }>} items
+ * @returns {string|null} Error message, or null if the basket is valid
+ */
+function validateBasket(items) {
+  if (!Array.isArray(items) || items.length === 0) return 'Basket is empty';
+  if (items.length > MAX_LINES) return `Basket has more than ${MAX_LINES} lines`;
+
+  for (const item of items) {
+    if (!getProduct(item?.productId)) return `Unknown product: ${item?.productId}`;
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      return `Invalid quantity for ${item.productId}: ${item.quantity}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Instrument keys whose spot a basket needs
+ */
+function basketMetals(items) {
+  return [...new Set(items.map(item => getProduct(item.productId).metal))];
+}
+
+/**
+ * Spot per troy ounce for a metal from the snapshot, refusing stale data
+ */
+function lockedSpot(snapshot, metal) {
+  const quote = snapshot.data[metal];
+  if (!quote || typeof quote.price !== 'number') {
+    throw new Error(`Live ${metal} spot unavailable`);
+  }
+  if (quote.stale) {
+    throw new Error(`${quote.name} spot is stale; cannot lock a quote`);
+  }
+  return quote.price;
+}
+
+/**
+ * Price one basket line
+ * Flat premiums are set in USD and converted at the snapshot's FX rate
+ */
+function priceLine({ productId, quantity }, snapshot) {
+  const product = getProduct(productId);
+  const qty = Number(quantity);
+  const spot = lockedSpot(snapshot, product.metal);
+  const fineOz = convertWeight(product.content.amount, product.content.unit, 'oz');
+  const metalValue = fineOz * spot;
+
+  const tier = premiumTier(product, qty);
+  const premium = product.premium.type === 'percent'
+    ? metalValue * (tier.value / 100)
+    : tier.value / snapshot.currency.rate;
+
+  const unitPrice = round2(metalValue + premium);
+
+  return {
+    productId,
+    name: product.name,
+    metal: product.metal,
+    quantity: qty,
+    fineOzEach: fineOz,
+    spot,
+    metalValueEach: round2(metalValue),
+    premiumEach: round2(premium),
+    premiumRule: { type: product.premium.type, value: tier.value, minQuantity: tier.minQuantity },
+    unitPrice,
+    lineTotal: round2(unitPrice * qty)
+  };
+}
+
+/**
+ * Drop quotes past the retention window
+ */
+function prune(quotes, now) {
+  const cutoff = now - RETENTION_DAYS * 86400000;
+  Object.keys(quotes).forEach(id => {
+    if (new Date(quotes[id].expiresAt).getTime() < cutoff) delete quotes[id];
+  });
+}
+
+/**
+ * Price a basket and store the quote
+ *
+ * @param {Object} request - { items: [{ productId, quantity }], customer?, notes? }
+ * @param {Object} snapshot - /api/prices payload covering basketMetals(items)
+ * @returns {Object} Stored quote
+ * @throws if spot for a metal in the basket is missing or stale
+ */
+function createQuote({ items, customer, notes }, snapshot) {
+  const lines = items.map(item => priceLine(item, snapshot));
+  const now = new Date();
+
+  const fineOunces = {};
+  lines.forEach(line => {
+    fineOunces[line.metal] = (fineOunces[line.metal] || 0) + line.fineOzEach * line.quantity;
+  });
+
+  const quote = {
+    id: `Q-${crypto.randomBytes(16).toString('hex').toUpperCase()}`,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + QUOTE_TTL * 1000).toISOString(),
+    currency: snapshot.currency,
+    customer: customer ? String(customer).slice(0, 200) : undefined,
+    notes: notes ? String(notes).slice(0, 1000) : undefined,
+    lines,
+    fineOunces,
+    total: round2(lines.reduce((sum, line) => sum + line.lineTotal, 0)),
+    spotLock: {
+      lockedAt: snapshot.lastUpdated,
+      snapshot
+    }
+  };
+
+  const quotes = store.load();
+  prune(quotes, now.getTime());
+  quotes[quote.id] = quote;
+  store.save();
+
+  console.log(`[Quote] ${quote.id}: ${lines.length} line(s), total ${quote.total} ${quote.currency.code}`);
+  return withStatus(quote);
+}
+
+/**
+ * Add live status fields: status ('active' | 'expired') and secondsRemaining
+ */
+function withStatus(quote, now = Date.now()) {
+  const secondsRemaining = Math.max(0, Math.round((new Date(quote.expiresAt).getTime() - now) / 1000));
+  return {
+    ...quote,
+    status: secondsRemaining > 0 ? 'active' : 'expired',
+    secondsRemaining
+  };
+}
+
+/**
+ * Look up a stored quote
+ *
+ * @returns {Object|null} Quote with status, or null if the id is malformed or unknown
+ */
+function getQuote(id) {
+  if (!QUOTE_ID.test(id)) return null;
+  const quotes = store.load();
+  return Object.hasOwn(quotes, id) ? withStatus(quotes[id]) : null;
+}
+
+module.exports = {
+  validateBasket,
+  basketMetals,
+  createQuote,
+  getQuote,
+  QUOTE_TTL
+};
@@ -0,0 +1,276 @@
+/**
+ * Derived Ratio Instruments
+ *
+ * Ratios advisors quote (gold/silver, Dow/gold, ...) computed server-side
+ * from registered instruments. Each ratio is an arithmetic expression over
+ * registry keys, e.g. `gold/silver` or `(gold+silver)/platinum`, supporting
+ * + - * /, parentheses and numeric constants.
+ *
+ * Each ratio reports:
+ * - value: expression over current prices
+ * - previousValue / change / changePercent: expression over previous closes
+ * - percentile: where today's value sits in the last 20 years of monthly
+ *   values (e.g. 85 = higher than 85% of months)
+ *
+ * Configuration:
+ * - RATIOS: comma-separated default ratio keys (or expressions)
+ * - Screens can pick their own with ?ratios=gold-silver,platinum/gold
+ */
+
+const { getInstrument } = require('./instruments');
+const { getHistory } = require('./history');
+
+const DEFAULT_RATIOS = 'gold-silver,dow-gold,sp500-gold';
+
+// History range the percentile is measured against
+const PERCENTILE_RANGE = '20y';
+const PERCENTILE_YEARS = 20;
+const PERCENTILE_POINTS = 500; // keep every monthly bar
+
+const BUILT_IN = [
+  { key: 'gold-silver', expression: 'gold/silver', name: 'Gold/Silver Ratio', label: 'GOLD / SILVER' },
+  { key: 'dow-gold', expression: 'dow/gold', name: 'Dow/Gold Ratio', label: 'DOW / GOLD' },
+  { key: 'sp500-gold', expression: 'sp500/gold', name: 'S&P 500/Gold Ratio', label: 'S&P 500 / GOLD' },
+  { key: 'gold-platinum', expression: 'gold/platinum', name: 'Gold/Platinum Ratio', label: 'GOLD / PLATINUM' }
+];
+
+const registry = new Map(BUILT_IN.map(ratio => [ratio.key, ratio]));
+
+/**
+ * Split an expression into number, identifier and operator tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/()]))/y;
+  let match;
+
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new Error(`Unexpected character in "${expression}" at ${start}`);
+    }
+    if (match[1]) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2]) tokens.push({ type: 'symbol', value: match[2] });
+    else if (match[3]) tokens.push({ type: 'op', value: match[3] });
+  }
+
+  return tokens;
+}
+
+/**
+ * Compile an expression into its operand keys and an evaluator
+ *
+ * @param {string} expression - e.g. 'gold/silver'
+ * @returns {{ operands: string[], evaluate: (values: Object) => number|null }}
+ * @throws if the expression is malformed or references an unknown instrument
+ */
+function compileExpression(expression) {
+  const tokens = tokenize(expression);
+  const operands = new Set();
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  // expr := term (('+'|'-') term)*
+  function parseExpr() {
+    let node = parseTerm();
+    while (peek()?.type === 'op' && '+-'.includes(peek().value)) {
+      const op = next().value;
+      node = { op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  // term := factor (('*'|'/') factor)*
+  function parseTerm() {
+    let node = parseFactor();
+    while (peek()?.type === 'op' && '*/'.includes(peek().value)) {
+      const op = next().value;
+      node = { op, left: node, right: parseFactor() };
+    }
+    return node;
+  }
+
+  // factor := number | symbol | '(' expr ')' | '-' factor
+  function parseFactor() {
+    const token = next();
+    if (!token) throw new Error(`Unexpected end of "${expression}"`);
+
+    if (token.type === 'number') return { number: token.value };
+    if (token.type === 'symbol') {
+      const inst = getInstrument(token.value);
+      if (!inst) throw new Error(`Unknown instrument "${token.value}" in "${expression}"`);
+      operands.add(inst.key);
+      return { key: inst.key };
+    }
+    if (token.value === '(') {
+      const node = parseExpr();
+      if (next()?.value !== ')') throw new Error(`Missing ")" in "${expression}"`);
+      return node;
+    }
+    if (token.value === '-') return { op: '-', left: { number: 0 }, right: parseFactor() };
+
+    throw new Error(`Unexpected "${token.value}" in "${expression}"`);
+  }
+
+  const tree = parseExpr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos].value}" in "${expression}"`);
+  }
+
+  // Missing values or division by zero yield null rather than NaN/Infinity
+  function evaluate(node, values) {
+    if ('number' in node) return node.number;
+    if ('key' in node) return values[node.key] ?? null;
+
+    const left = evaluate(node.left, values);
+    const right = evaluate(node.right, values);
+    if (left === null || right === null) return null;
+
+    switch (node.op) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      default: return right === 0 ? null : left / right;
+    }
+  }
+
+  return {
+    operands: [...operands],
+    evaluate: values => evaluate(tree, values)
+  };
+}
+
+/**
+ * Resolve a ratio key or ad-hoc expression to a definition
+ */
+function resolveRatio(id) {
+  const known = registry.get(id);
+  if (known) return known;
+
+  return {
+    key: id,
+    expression: id,
+    name: id,
+    label: id.toUpperCase().replace(/\//g, ' / ')
+  };
+}
+
+/**
+ * Resolve a screen's ratio selection, skipping invalid expressions
+ *
+ * @param {string} [selection] - Comma-separated ratio keys or expressions
+ * @returns {{ ratios: Object[], errors: string[] }} Definitions with compiled expressions
+ */
+function resolveRatios(selection) {
+  const ids = String(selection || process.env.RATIOS || DEFAULT_RATIOS)
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  const errors = [];
+  const ratios = [...new Set(ids)].map(id => {
+    const ratio = resolveRatio(id);
+    try {
+      return { ...ratio, compiled: compileExpression(ratio.expression) };
+    } catch (error) {
+      errors.push(error.message);
+      return null;
+    }
+  }).filter(Boolean);
+
+  return { ratios, errors };
+}
+
+/**
+ * Monthly ratio values over the percentile window, aligned by month
+ */
+async function ratioHistory(compiled) {
+  const series = await Promise.all(compiled.operands.map(async key => {
+    const { points } = await getHistory(getInstrument(key), PERCENTILE_RANGE, PERCENTILE_POINTS);
+    return [key, new Map(points.map(point => [point.time.slice(0, 7), point.close]))];
+  }));
+
+  const byKey = Object.fromEntries(series);
+  const months = [...series[0][1].keys()].sort();
+
+  return months
+    .map(month => {
+      const values = Object.fromEntries(compiled.operands.map(key => [key, byKey[key].get(month)]));
+      return { month, value: compiled.evaluate(values) };
+    })
+    .filter(point => point.value !== null);
+}
+
+/**
+ * Percentile rank of a value within a history (0-100)
+ */
+function percentileRank(history, value) {
+  const below = history.filter(point => point.value < value).length;
+  const equal = history.filter(point => point.value === value).length;
+  return Math.round(((below + equal / 2) / history.length) * 100);
+}
+
+/**
+ * Compute ratio tiles from current quotes
+ *
+ * @param {Object[]} ratios - From resolveRatios()
+ * @param {Object} quotes - /api/prices data keyed by instrument key
+ * @returns {Promise<{ ratios: Object[], warnings: string[] }>}
+ */
+async function computeRatios(ratios, quotes) {
+  const warnings = [];
+
+  const results = await Promise.all(ratios.map(async ({ compiled, ...ratio }) => {
+    const pick = field => Object.fromEntries(
+      compiled.operands.map(key => [key, quotes[key]?.[field] ?? null])
+    );
+
+    const value = compiled.evaluate(pick('price'));
+    const previousValue = compiled.evaluate(pick('previousClose'));
+    if (value === null) {
+      warnings.push(`Unable to compute ${ratio.name}`);
+    }
+
+    let percentile = null;
+    if (value !== null) {
+      try {
+        const history = await ratioHistory(compiled);
+        if (history.length > 0) {
+          percentile = {
+            rank: percentileRank(history, value),
+            years: PERCENTILE_YEARS,
+            since: history[0].month,
+            min: Math.min(...history.map(point => point.value)),
+            max: Math.max(...history.map(point => point.value))
+          };
+        }
+      } catch (error) {
+        console.error(`[Error] ${ratio.name} history:`, error.message);
+        warnings.push(`${ratio.name} percentile unavailable`);
+      }
+    }
+
+    return {
+      ...ratio,
+      operands: compiled.operands,
+      value,
+      previousValue,
+      change: value !== null && previousValue !== null ? value - previousValue : null,
+      changePercent: value !== null && previousValue ? ((value - previousValue) / previousValue) * 100 : null,
+      percentile
+    };
+  }));
+
+  return { ratios: results, warnings };
+}
+
+module.exports = {
+  resolveRatio,
+  resolveRatios,
+  computeRatios,
+  compileExpression
+};
@@ -0,0 +1,118 @@
+/**
+ * Risk & Return Statistics
+ *
+ * Computed from an asset's full price history (monthly or daily closes):
+ * - CAGR: compound annual growth rate
+ * - Volatility: annualised standard deviation of period returns
+ * - Max drawdown: worst peak-to-trough fall, with peak/trough/recovery dates
+ * - Sharpe: (CAGR - risk-free rate) / volatility, risk-free = cash (T-bill) series;
+ *   the rate used is returned alongside so the UI can explain a missing Sharpe
+ * - Best/worst complete calendar year (null when the window holds none,
+ *   e.g. YTD or 1Y)
+ *
+ * Percentages are returned rounded to one decimal place.
+ */
+
+const YEAR_MS = 365.25 * 86400000;
+
+const round1 = (value) => (value === null || !isFinite(value) ? null : Math.round(value * 10) / 10);
+const round2 = (value) => (value === null || !isFinite(value) ? null : Math.round(value * 100) / 100);
+
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Worst peak-to-trough decline
+ */
+function maxDrawdown(points) {
+  let peak = points[0];
+  let worst = { drawdown: 0, peak: null, trough: null };
+
+  points.forEach(point => {
+    if (point.close > peak.close) peak = point;
+    const drawdown = point.close / peak.close - 1;
+    if (drawdown < worst.drawdown) {
+      worst = { drawdown, peak, trough: point };
+    }
+  });
+
+  if (!worst.trough) {
+    return { percent: 0, peakDate: null, troughDate: null, recoveryDate: null };
+  }
+
+  const recovery = points.find(point =>
+    point.time > worst.trough.time && point.close >= worst.peak.close
+  );
+
+  return {
+    percent: round1(worst.drawdown * 100),
+    peakDate: worst.peak.time,
+    troughDate: worst.trough.time,
+    recoveryDate: recovery ? recovery.time : null
+  };
+}
+
+/**
+ * Returns for each complete calendar year, measured from the previous
+ * year's last close. The window's first and last years are partial (no
+ * prior year-end close, or not over yet), so they're left out.
+ */
+function calendarYearReturns(points) {
+  const lastCloseByYear = new Map();
+  points.forEach(point => {
+    lastCloseByYear.set(new Date(point.time).getUTCFullYear(), point.close);
+  });
+
+  const years = [...lastCloseByYear.keys()];
+  return years.slice(1, -1).map((year, i) => ({
+    year,
+    return: round1((lastCloseByYear.get(year) / lastCloseByYear.get(years[i]) - 1) * 100)
+  }));
+}
+
+/**
+ * Compute statistics for a price series
+ *
+ * @param {Array<{ time: string, close: number }>} points - Oldest first
+ * @param {Object} options
+ * @param {number} options.periodsPerYear - 12 for monthly bars, 252 for daily
+ * @param {number|null} options.riskFreeRate - Annual cash return over the window, as a
+ *   fraction (null when unknown, which leaves Sharpe null)
+ * @returns {Object|null} Statistics, or null if the series is too short
+ */
+function computeStats(points, { periodsPerYear, riskFreeRate = 0 }) {
+  if (!points || points.length < 2) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const years = (new Date(last.time) - new Date(first.time)) / YEAR_MS;
+
+  const cagr = years > 0 ? Math.pow(last.close / first.close, 1 / years) - 1 : null;
+
+  const periodReturns = points.slice(1).map((point, i) => point.close / points[i].close - 1);
+  const periodVol = standardDeviation(periodReturns);
+  const volatility = periodVol === null ? null : periodVol * Math.sqrt(periodsPerYear);
+
+  const sharpe = cagr !== null && riskFreeRate !== null && volatility
+    ? (cagr - riskFreeRate) / volatility
+    : null;
+
+  const yearReturns = calendarYearReturns(points);
+  const sortedYears = [...yearReturns].sort((a, b) => b.return - a.return);
+
+  return {
+    cagr: cagr === null ? null : round1(cagr * 100),
+    volatility: volatility === null ? null : round1(volatility * 100),
+    maxDrawdown: maxDrawdown(points),
+    sharpe: round2(sharpe),
+    riskFreeRate: riskFreeRate === null ? null : round1(riskFreeRate * 100),
+    bestYear: sortedYears[0] || null,
+    worstYear: sortedYears[sortedYears.length - 1] || null
+  };
+}
+
+module.exports = { computeStats };
@@ -0,0 +1,52 @@
+/**
+ * Create a local user account, or reset an existing one's password and role
+ *
+ * Usage: npm run create-user -- <username> <viewer|editor|admin>
+ *
+ * Prompts for the password (or reads USER_PASSWORD). Run it while the
+ * server is stopped; a running server keeps its own copy of users.json.
+ * Once an admin exists, manage users through /api/auth/users instead.
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const { ROLES, listUsers, createUser, updateUser } = require('../auth/users');
+
+/**
+ * Read a password without echoing it
+ */
+function promptPassword() {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question('Password: ', answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    rl._writeToOutput = (text) => {
+      if (text.startsWith('Password: ')) process.stdout.write(text);
+    };
+  });
+}
+
+(async () => {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !ROLES.includes(role)) {
+    console.error(`Usage: npm run create-user -- <username> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const password = process.env.USER_PASSWORD || await promptPassword();
+  const existing = listUsers().find(user => user.username.toLowerCase() === username.toLowerCase());
+
+  const { error } = existing
+    ? updateUser(existing.id, { password, role })
+    : createUser({ username, password, role });
+
+  if (error) {
+    console.error(`[Error] ${error}`);
+    process.exit(1);
+  }
+  if (existing) console.log(`[Auth] Updated ${role} ${username}`);
+  process.exit(0);
+})();
@@ -0,0 +1,68 @@
+/**
+ * Refresh the bundled economic datasets from FRED
+ *
+ * Usage: npm run refresh-datasets
+ *
+ * Downloads monthly observations and rewrites server/datasets/*.csv in the
+ * `date,value` format read by server/economicData.js. Commit the result so
+ * deployments keep working offline.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseCsv, DATASET_DIR } = require('../economicData');
+
+const DATASETS = [
+  {
+    file: 'cpi',
+    series: 'CPIAUCNS',
+    description: 'CPI-U, all items, index 1982-84=100 (FRED CPIAUCNS, monthly)'
+  },
+  {
+    file: 'short-rate',
+    series: 'TB3MS',
+    description: '3-month Treasury bill secondary market rate, percent per year (FRED TB3MS, monthly). Used as the CDs/Savings proxy'
+  }
+];
+
+async function refresh({ file, series, description }) {
+  const url = `https://fred.stlouisfed.org/graph/fredgraph.csv?id=${series}`;
+  console.log(`[API] Downloading ${series} from FRED`);
+
+  const response = await axios.get(url, { timeout: 30000, responseType: 'text' });
+
+  // FRED's header names vary (DATE / observation_date); the parser skips it
+  // along with missing values, which FRED writes as "."
+  const points = parseCsv(response.data);
+  if (points.length < 2) {
+    throw new Error(`${series} returned no usable observations`);
+  }
+
+  const lines = points.map(point =>
+    `${new Date(point.time).toISOString().split('T')[0]},${point.value}`
+  );
+  const csv = [
+    `# ${description}`,
+    `# Downloaded ${new Date().toISOString().split('T')[0]} by npm run refresh-datasets`,
+    'date,value',
+    ...lines
+  ].join('\n') + '\n';
+
+  fs.writeFileSync(path.join(DATASET_DIR, `${file}.csv`), csv);
+  console.log(`[Data] Wrote ${points.length} observations to ${file}.csv (through ${lines[lines.length - 1].split(',')[0]})`);
+}
+
+(async () => {
+  let failed = false;
+  for (const dataset of DATASETS) {
+    try {
+      await refresh(dataset);
+    } catch (error) {
+      console.error(`[Error] Failed to refresh ${dataset.file}:`, error.message);
+      failed = true;
+    }
+  }
+  process.exit(failed ? 1 : 0);
+})();
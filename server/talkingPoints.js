@@ -0,0 +1,212 @@
+/**
+ * Talking Points
+ *
+ * The quotes on the wall, managed through the API instead of code:
+ *   { title, quote, sourceName, sourceUrl, startsAt, endsAt, priority, tags }
+ *
+ * A point is active from `startsAt` until `endsAt` (either may be omitted);
+ * dates without a time cover the whole day. Points past their end date
+ * drop off the screens on their own and stay listed as expired for editors.
+ * Active points are served highest priority first.
+ *
+ * Persisted to DATA_DIR/talking-points.json, seeded with the original
+ * hardcoded quotes on first run.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+const MAX_TITLE = 120;
+const MAX_QUOTE = 600;
+const MAX_TAGS = 10;
+
+// "Gold & Silver Up, Dollar Down" is now generated from live data when true
+// (see generatedPoints.js)
+const SEED = [
+  {
+    title: 'Market Volatility = Risk of Missing Out',
+    quote: 'Recent sell-offs show markets are unstable and can swing fast — precious metals often act as a hedge when stocks and currencies get shaky.',
+    sourceName: 'AP News'
+  },
+  {
+    title: 'Central Banks Are Buying',
+    quote: 'Central banks are buying gold aggressively to diversify reserves, reducing reliance on fiat currencies and underpinning long-term demand.',
+    sourceName: 'Bloomberg'
+  }
+];
+
+const newId = () => crypto.randomBytes(6).toString('hex');
+
+// Seed ids are fixed so they stay valid until the store is first saved
+function seedPoints() {
+  const now = new Date().toISOString();
+  return {
+    points: SEED.map((point, index) => ({
+      id: `seed-${index + 1}`,
+      ...point,
+      sourceUrl: null,
+      startsAt: null,
+      endsAt: null,
+      priority: SEED.length - index,
+      tags: [],
+      createdAt: now,
+      updatedAt: now
+    }))
+  };
+}
+
+const store = createJsonStore('talking-points.json', seedPoints);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Start or end of a point's active range in ms, or null if open-ended.
+ * A bare date ends at the following midnight.
+ */
+function boundary(value, isEnd) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return isEnd && DATE_ONLY.test(value) ? time + 86400000 : time;
+}
+
+/**
+ * 'scheduled' | 'active' | 'expired'
+ */
+function pointStatus(point, now = Date.now()) {
+  const start = boundary(point.startsAt, false);
+  const end = boundary(point.endsAt, true);
+  if (end !== null && now >= end) return 'expired';
+  if (start !== null && now < start) return 'scheduled';
+  return 'active';
+}
+
+const byPriority = (a, b) => (b.priority - a.priority) || b.updatedAt.localeCompare(a.updatedAt);
+
+/**
+ * Validate and normalise a talking point from the API
+ *
+ * @param {Object} input - Request body
+ * @returns {{ point?: Object, error?: string }}
+ */
+function validatePoint(input = {}) {
+  const { title, quote, sourceName, sourceUrl, startsAt, endsAt, priority = 0, tags = [] } = input;
+
+  if (!title || !String(title).trim()) return { error: 'title is required' };
+  if (!quote || !String(quote).trim()) return { error: 'quote is required' };
+  if (String(title).length > MAX_TITLE) return { error: `title must be at most ${MAX_TITLE} characters` };
+  if (String(quote).length > MAX_QUOTE) return { error: `quote must be at most ${MAX_QUOTE} characters` };
+
+  if (sourceUrl && !/^https?:\/\/\S+$/i.test(sourceUrl)) {
+    return { error: 'sourceUrl must be an http(s) URL' };
+  }
+
+  for (const [field, value] of [['startsAt', startsAt], ['endsAt', endsAt]]) {
+    if (value && isNaN(Date.parse(value))) return { error: `${field} must be a date` };
+  }
+  if (startsAt && endsAt && boundary(endsAt, true) <= boundary(startsAt, false)) {
+    return { error: 'endsAt must be after startsAt' };
+  }
+
+  if (!Number.isInteger(Number(priority))) return { error: 'priority must be a whole number' };
+
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS || tags.some(tag => typeof tag !== 'string')) {
+    return { error: `tags must be a list of at most ${MAX_TAGS} strings` };
+  }
+
+  return {
+    point: {
+      title: String(title).trim(),
+      quote: String(quote).trim(),
+      sourceName: sourceName ? String(sourceName).trim().slice(0, 100) : null,
+      sourceUrl: sourceUrl || null,
+      startsAt: startsAt || null,
+      endsAt: endsAt || null,
+      priority: Number(priority),
+      tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+    }
+  };
+}
+
+/**
+ * Points currently on the wall, highest priority first
+ *
+ * @param {Object} [filter] - { tag? }
+ */
+function listActivePoints({ tag } = {}) {
+  const now = Date.now();
+  return store.load().points
+    .filter(point => pointStatus(point, now) === 'active')
+    .filter(point => !tag || point.tags.includes(String(tag).toLowerCase()))
+    .sort(byPriority);
+}
+
+/**
+ * Every point, with its status, for the editor
+ */
+function listPoints() {
+  const now = Date.now();
+  return store.load().points
+    .map(point => ({ ...point, status: pointStatus(point, now) }))
+    .sort(byPriority);
+}
+
+function getPoint(id) {
+  const point = store.load().points.find(candidate => candidate.id === id);
+  return point ? { ...point, status: pointStatus(point) } : null;
+}
+
+/**
+ * @returns {{ point?: Object, error?: string }}
+ */
+function createPoint(input) {
+  const { point, error } = validatePoint(input);
+  if (error) return { error };
+
+  const now = new Date().toISOString();
+  const created = { id: newId(), ...point, createdAt: now, updatedAt: now };
+
+  store.load().points.push(created);
+  store.save();
+  return { point: { ...created, status: pointStatus(created) } };
+}
+
+/**
+ * Replace a point's content
+ *
+ * @returns {{ point?: Object, error?: string, notFound?: boolean }}
+ */
+function updatePoint(id, input) {
+  const state = store.load();
+  const index = state.points.findIndex(point => point.id === id);
+  if (index === -1) return { notFound: true };
+
+  const { point, error } = validatePoint(input);
+  if (error) return { error };
+
+  state.points[index] = {
+    id,
+    ...point,
+    createdAt: state.points[index].createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  store.save();
+  return { point: { ...state.points[index], status: pointStatus(state.points[index]) } };
+}
+
+function deletePoint(id) {
+  const state = store.load();
+  const before = state.points.length;
+  state.points = state.points.filter(point => point.id !== id);
+  if (state.points.length === before) return false;
+  store.save();
+  return true;
+}
+
+module.exports = {
+  listActivePoints,
+  listPoints,
+  getPoint,
+  createPoint,
+  updatePoint,
+  deletePoint
+};
@@ -0,0 +1,110 @@
+/**
+ * Weight Units
+ *
+ * Single source of conversion factors for precious metal weights. Metal
+ * prices arrive per troy ounce; everything that shows or quotes another
+ * weight (price tiles, quotes, exports) converts through here.
+ *
+ * Factors are grams per unit:
+ * - oz: troy ounce (31.1034768 g, exact by definition)
+ * - g / kg: gram, kilogram
+ * - tola: 3/8 troy ounce (11.6638038 g), as traded in South Asia and the Gulf
+ * - dwt: pennyweight, 1/20 troy ounce (1.55517384 g)
+ */
+
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+const WEIGHT_UNITS = {
+  oz: { name: 'Troy ounce', label: 'OZ', grams: GRAMS_PER_TROY_OUNCE },
+  g: { name: 'Gram', label: 'G', grams: 1 },
+  kg: { name: 'Kilogram', label: 'KG', grams: 1000 },
+  tola: { name: 'Tola', label: 'TOLA', grams: 11.6638038 },
+  dwt: { name: 'Pennyweight', label: 'DWT', grams: 1.55517384 }
+};
+
+const BASE_UNIT = 'oz';
+
+/**
+ * Whether an instrument is priced per troy ounce (metals)
+ */
+function isPerTroyOunce(inst) {
+  return /\/oz$/.test(inst.unit || '');
+}
+
+/**
+ * Convert a per-troy-ounce price to another weight unit
+ *
+ * @param {number} pricePerOz
+ * @param {string} unit - Key of WEIGHT_UNITS
+ * @returns {number|null}
+ */
+function convertPrice(pricePerOz, unit) {
+  const target = WEIGHT_UNITS[unit];
+  if (!target) throw new Error(`Unsupported weight unit: ${unit}`);
+  if (pricePerOz === null || pricePerOz === undefined) return null;
+  return pricePerOz * (target.grams / GRAMS_PER_TROY_OUNCE);
+}
+
+/**
+ * Convert a weight between units, e.g. 1 kg -> 32.15 oz
+ */
+function convertWeight(amount, from, to) {
+  if (!WEIGHT_UNITS[from] || !WEIGHT_UNITS[to]) {
+    throw new Error(`Unsupported weight unit: ${WEIGHT_UNITS[from] ? to : from}`);
+  }
+  return amount * (WEIGHT_UNITS[from].grams / WEIGHT_UNITS[to].grams);
+}
+
+/**
+ * Unit options for a per-ounce instrument's tile, with the label to show
+ * for each (e.g. "GOLD (G)"); null for other instruments
+ */
+function describeUnits(inst) {
+  if (!isPerTroyOunce(inst)) return null;
+
+  return Object.entries(WEIGHT_UNITS).map(([key, unit]) => ({
+    key,
+    name: unit.name,
+    label: key === BASE_UNIT ? inst.label : `${inst.name.toUpperCase()} (${unit.label})`
+  }));
+}
+
+/**
+ * Add per-unit prices to a per-ounce quote entry
+ * `perUnit` is keyed by unit: { price, previousClose, change, unit }
+ */
+function withUnitPrices(inst, quote) {
+  if (!quote || !isPerTroyOunce(inst)) return quote;
+
+  const currencyUnit = quote.unit.replace(/\/oz$/, '');
+  const perUnit = {};
+  Object.keys(WEIGHT_UNITS).forEach(key => {
+    perUnit[key] = {
+      price: convertPrice(quote.price, key),
+      previousClose: convertPrice(quote.previousClose, key),
+      change: convertPrice(quote.change, key),
+      unit: `${currencyUnit}/${key}`
+    };
+  });
+
+  return { ...quote, perUnit };
+}
+
+/**
+ * Public factor table, e.g. for GET /api/units
+ */
+function listUnits() {
+  return Object.entries(WEIGHT_UNITS).map(([key, unit]) => ({ key, ...unit }));
+}
+
+module.exports = {
+  WEIGHT_UNITS,
+  BASE_UNIT,
+  GRAMS_PER_TROY_OUNCE,
+  isPerTroyOunce,
+  convertPrice,
+  convertWeight,
+  describeUnits,
+  withUnitPrices,
+  listUnits
+};
@@ -1,83 +1,97 @@
-import React from 'react';
-import MarketWidget from './components/MarketWidget';
-import PerformanceChart from './components/PerformanceChart';
-import NewsWidget from './components/NewsWidget';
-import HeadlinesWidget from './components/HeadlinesWidget';
+import React, { useState, useCallback } from 'react';
+import TalkingPointsEditor from './components/TalkingPointsEditor';
+import LayoutEditor from './components/LayoutEditor';
+import DashboardLayout from './components/DashboardLayout';
+import AdminLogin from './components/AdminLogin';
+import KioskLayout from './components/KioskLayout';
+import { useTalkingPoints } from './hooks/useTalkingPoints';
+import { useLayout } from './hooks/useLayout';
+import { useAuth } from './hooks/useAuth';
 import './styles/App.css';
 
-const talkingPoints = [
-  {
-    title: "Gold & Silver Up, Dollar Down",
-    quote: "Gold and silver prices have hit multi-year highs fueled by a weakening dollar, expected rate cuts, and global risk appetite shifting to hard assets like bullion.",
-    source: "New York Post"
-  },
-  {
-    title: "Market Volatility = Risk of Missing Out",
-    quote: "Recent sell-offs show markets are unstable and can swing fast — precious metals often act as a hedge when stocks and currencies get shaky.",
-    source: "AP News"
-  },
-  {
-    title: "Central Banks Are Buying",
-    quote: "Central banks are buying gold aggressively to diversify reserves, reducing reliance on fiat currencies and underpinning long-term demand.",
-    source: "Bloomberg"
-  }
-];
+// Each room's screen opens its layout at /d/:layoutId; / shows the default
+const layoutMatch = window.location.pathname.match(/^\/d\/([^/]+)/);
+const layoutId = layoutMatch ? decodeURIComponent(layoutMatch[1]) : 'default';
+
+// Screens can choose their tiles with ?instruments=gold,silver,platinum,btc
+// and their ratio row with ?ratios=gold-silver,platinum/gold
+const params = new URLSearchParams(window.location.search);
+const instrumentParam = params.get('instruments');
+const screenInstruments = instrumentParam ? instrumentParam.split(',') : undefined;
+const ratioParam = params.get('ratios');
+const screenRatios = ratioParam ? ratioParam.split(',') : undefined;
+// ...and pin a display currency with ?currency=EUR
+const screenCurrency = params.get('currency') || undefined;
+// Shared quote links open the quote builder: ?quote=Q-<32 hex digits>
+const sharedQuoteId = params.get('quote') || undefined;
+// Admin panels (sign-in required): ?admin=talking-points or ?admin=layouts
+const adminPanel = params.get('admin');
+const ADMIN_PANELS = ['talking-points', 'layouts'];
+// Wall TVs: ?kiosk=1 cycles the layout's widgets as focus panels, optionally
+// ?panelSeconds=45 per panel
+const kioskMode = params.get('kiosk') === '1';
+const panelSeconds = parseInt(params.get('panelSeconds'), 10);
+const kioskInterval = panelSeconds > 0 ? panelSeconds * 1000 : undefined;
+
+/**
+ * Drop ?admin from the address bar so a reload shows the plain screen
+ */
+function clearAdminParam() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('admin');
+  window.history.replaceState(null, '', url);
+}
 
 function App() {
-  return (
-    <div className="app">
-      <div className="app-layout">
-        {/* Main Content Area */}
-        <div className="main-content">
-          <header className="app-header">
-            <img src="/logo.png" alt="Citadel Gold" className="logo" />
-            <p className="subtitle">
-              <span className="line"></span>
-              THE CITADEL GOLD REPORT
-              <span className="line"></span>
-            </p>
-          </header>
+  const { points, refresh: refreshPoints } = useTalkingPoints();
+  const { layout, refresh: refreshLayout } = useLayout(layoutId);
+  const { user, checking, login, logout } = useAuth();
+  const [openPanel, setOpenPanel] = useState(ADMIN_PANELS.includes(adminPanel) ? adminPanel : null);
 
-          <main className="app-main">
-            <MarketWidget />
-          </main>
+  const closeEditor = useCallback(() => {
+    setOpenPanel(null);
+    clearAdminParam();
+  }, []);
 
-          <section className="talking-points">
-            <h2 className="section-header">
-              <span className="line"></span>
-              TALKING POINTS
-              <span className="line"></span>
-            </h2>
-            <div className="points-grid">
-              {talkingPoints.map((point, index) => (
-                <div key={index} className="point-card">
-                  <h3 className="point-title">{point.title}</h3>
-                  <p className="point-quote">"{point.quote}"</p>
-                  <span className="point-source">— {point.source}</span>
-                </div>
-              ))}
-            </div>
-          </section>
+  // Screen settings from the URL, applied to the layout's widgets
+  const overrides = {
+    instruments: screenInstruments,
+    ratios: screenRatios,
+    currency: screenCurrency,
+    quoteId: sharedQuoteId
+  };
 
-          {/* Chart + News: 50% / 25% / 25% Layout */}
-          <section className="chart-news-section">
-            <div className="chart-column">
-              <PerformanceChart />
-            </div>
-            <div className="news-column">
-              <NewsWidget topic="inflation" />
-            </div>
-            <div className="news-column">
-              <NewsWidget topic="gold" />
-            </div>
-          </section>
-        </div>
+  if (kioskMode) {
+    return layout && (
+      <KioskLayout layout={layout} points={points} overrides={overrides} interval={kioskInterval} />
+    );
+  }
+
+  let panel = null;
+  if (openPanel && !checking) {
+    if (!user) {
+      panel = <AdminLogin onLogin={login} onClose={closeEditor} />;
+    } else if (openPanel === 'layouts') {
+      panel = (
+        <LayoutEditor
+          user={user}
+          layoutId={layoutId}
+          points={points}
+          onSignOut={logout}
+          onChange={refreshLayout}
+          onClose={closeEditor}
+        />
+      );
+    } else {
+      panel = <TalkingPointsEditor user={user} onSignOut={logout} onChange={refreshPoints} onClose={closeEditor} />;
+    }
+  }
+
+  return (
+    <div className="app">
+      {layout && <DashboardLayout layout={layout} points={points} overrides={overrides} />}
 
-        {/* Right Sidebar */}
-        <aside className="sidebar">
-          <HeadlinesWidget />
-        </aside>
-      </div>
+      {panel}
     </div>
   );
 }
@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from 'react';
+import MarketWidget from './components/MarketWidget';
+import PerformanceChart from './components/PerformanceChart';
+import NewsWidget from './components/NewsWidget';
+import HeadlinesWidget from './components/HeadlinesWidget';
+import './styles/Embed.css';
+
+/**
+ * EmbedApp - One widget on its own, for the public website and partner pages
+ * Served at /embed/<widget>?embed=<id>, in an iframe or through /embed.js
+ *
+ * Query parameters:
+ * - embed: registered embed id (the server only lets its origins frame the page)
+ * - theme: 'dark' (default) or 'transparent' to sit on the host's own dark background
+ * - market: instruments, currency
+ * - news / headlines: topic
+ *
+ * Reports its height to the host page so the loader can size the iframe,
+ * posting only to the embed's allowed origins (set by the server in a meta tag).
+ */
+
+const params = new URLSearchParams(window.location.search);
+// Exactly /embed/<widget>; the server 404s anything longer, and so do we
+const widget = window.location.pathname.match(/^\/embed\/([^/]+)$/)?.[1] || '';
+const theme = params.get('theme') === 'transparent' ? 'transparent' : 'dark';
+const instrumentParam = params.get('instruments');
+const allowedOrigins = (document.querySelector('meta[name="embed-origins"]')?.content || '')
+  .split(' ')
+  .filter(Boolean);
+
+const WIDGETS = {
+  market: () => (
+    <MarketWidget
+      instruments={instrumentParam ? instrumentParam.split(',') : undefined}
+      currency={params.get('currency') || undefined}
+      embedded
+    />
+  ),
+  performance: () => <PerformanceChart />,
+  news: () => <NewsWidget topic={params.get('topic') || undefined} />,
+  headlines: () => <HeadlinesWidget topic={params.get('topic') || undefined} />
+};
+
+function EmbedApp() {
+  const containerRef = useRef(null);
+
+  // Drop the dashboard backdrop
+  useEffect(() => {
+    document.body.classList.add('embed-page', `embed-page--${theme}`);
+  }, []);
+
+  // Keep the host's iframe as tall as the widget
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || window.parent === window || !window.ResizeObserver) return undefined;
+
+    // A message to an origin that isn't the host's is dropped by the browser
+    const observer = new ResizeObserver(() => {
+      allowedOrigins.forEach(origin => {
+        window.parent.postMessage({ type: 'market-widget:resize', height: container.offsetHeight }, origin);
+      });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const renderWidget = WIDGETS[widget];
+
+  return (
+    <div className={`embed embed--${widget}`} ref={containerRef}>
+      {renderWidget ? renderWidget() : <p className="embed-missing">Unknown widget: {widget}</p>}
+    </div>
+  );
+}
+
+export default EmbedApp;
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import '../styles/AdminLogin.css';
+
+/**
+ * AdminLogin - Sign-in overlay shown before any admin panel or a new quote
+ * The dashboard itself never asks for a login
+ *
+ * Props:
+ * - onLogin: (username, password) => Promise<error message | null>
+ * - onClose: called when the overlay is dismissed
+ * - title: heading (default 'ADMIN SIGN IN')
+ */
+
+function AdminLogin({ onLogin, onClose, title = 'ADMIN SIGN IN' }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    const loginError = await onLogin(username, password);
+    if (loginError) {
+      setError(loginError);
+      setPassword('');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-overlay">
+      <form className="login-panel" onSubmit={submit}>
+        <h2 className="login-title">{title}</h2>
+        {error && <div className="login-error">{error}</div>}
+        <label className="login-field">
+          Username
+          <input
+            value={username}
+            onChange={e => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+          />
+        </label>
+        <label className="login-field">
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+          />
+        </label>
+        <div className="login-actions">
+          <button type="button" className="login-button" onClick={onClose}>Cancel</button>
+          <button type="submit" className="login-button login-button--primary" disabled={submitting}>
+            {submitting ? 'Signing in…' : 'Sign In'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default AdminLogin;
@@ -0,0 +1,44 @@
+import React, { useEffect } from 'react';
+import '../styles/AlertToasts.css';
+
+/**
+ * AlertToasts - Price alerts fired on the server, shown as toasts
+ * Alerts arrive on the price stream (see useMarketData); each toast
+ * dismisses itself after a while or on click
+ *
+ * Props:
+ * - alerts: fired alerts, oldest first
+ * - onDismiss: called with an alert id to remove it
+ */
+
+const TOAST_DURATION = 15000;
+const MAX_VISIBLE = 4;
+
+function AlertToast({ alert, onDismiss }) {
+  useEffect(() => {
+    const timeoutId = setTimeout(() => onDismiss(alert.id), TOAST_DURATION);
+    return () => clearTimeout(timeoutId);
+  }, [alert.id, onDismiss]);
+
+  return (
+    <button className="alert-toast" onClick={() => onDismiss(alert.id)} title="Dismiss">
+      <span className="alert-toast-title">{alert.ruleName}</span>
+      <span className="alert-toast-message">{alert.message}</span>
+      <span className="alert-toast-time">{new Date(alert.firedAt).toLocaleTimeString()}</span>
+    </button>
+  );
+}
+
+function AlertToasts({ alerts, onDismiss }) {
+  if (!alerts.length) return null;
+
+  return (
+    <div className="alert-toasts" role="status" aria-live="polite">
+      {alerts.slice(-MAX_VISIBLE).map(alert => (
+        <AlertToast key={alert.id} alert={alert} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
+
+export default AlertToasts;
@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * CurrencySelector - Display currency dropdown for the price tiles
+ * Options come from /api/currencies so the server's list is the only one
+ *
+ * Props:
+ * - value: selected currency code
+ * - onChange: called with the new code
+ */
+function CurrencySelector({ value, onChange }) {
+  const [currencies, setCurrencies] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch('/api/currencies')
+      .then(response => response.json())
+      .then(result => {
+        if (!cancelled && result.success) setCurrencies(result.currencies);
+      })
+      .catch(err => console.error('Failed to fetch currencies:', err));
+
+    return () => { cancelled = true; };
+  }, []);
+
+  // Nothing to choose between until the list loads
+  if (currencies.length < 2) return null;
+
+  return (
+    <select
+      className="currency-selector"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label="Display currency"
+    >
+      {currencies.map(c => (
+        <option key={c.code} value={c.code}>
+          {c.code} ({c.symbol})
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default CurrencySelector;
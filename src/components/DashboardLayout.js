@@ -0,0 +1,132 @@
+import React from 'react';
+import MarketWidget from './MarketWidget';
+import RatioWidget from './RatioWidget';
+import PerformanceChart from './PerformanceChart';
+import NewsWidget from './NewsWidget';
+import HeadlinesWidget from './HeadlinesWidget';
+import TalkingPoints from './TalkingPoints';
+// Widget types: label, default width (share of the columns) and props,
+// shared with the server's layout validation
+import widgetTypes from 'market-widget-shared/widgetTypes.json';
+
+/**
+ * DashboardLayout - Renders a screen's layout from /api/layouts
+ * Each widget sits in a CSS grid cell at its layout position; rows size to
+ * their content. Also used by the layout editor's live preview.
+ *
+ * Props:
+ * - layout: { columns, widgets: [{ id, type, props, x, y, w, h }] }
+ * - points: active talking points for talkingPoints widgets
+ * - overrides: per-screen URL settings { instruments, ratios, currency, quoteId },
+ *   plus alerts: false to hide alert toasts (the editor preview);
+ *   instruments, ratios and quoteId apply to the first widget of their type.
+ *   Only the first market widget shows alert toasts, so each shows once.
+ */
+
+/**
+ * How to render each widget type
+ */
+const RENDERERS = {
+  header: () => (
+    <header className="app-header">
+      <img src="/logo.png" alt="Citadel Gold" className="logo" />
+      <p className="subtitle">
+        <span className="line"></span>
+        THE CITADEL GOLD REPORT
+        <span className="line"></span>
+      </p>
+    </header>
+  ),
+  market: (props) => (
+    <MarketWidget
+      instruments={props.instruments}
+      currency={props.currency}
+      quoteId={props.quoteId}
+      alerts={props.alerts}
+    />
+  ),
+  ratios: (props) => <RatioWidget ratios={props.ratios} />,
+  talkingPoints: (props, { points }) => <TalkingPoints points={points} />,
+  performance: () => <PerformanceChart />,
+  news: (props, { screen }) => <NewsWidget topic={props.topic} screen={screen} />,
+  headlines: (props, { screen }) => <HeadlinesWidget topic={props.topic} screen={screen} />
+};
+
+/**
+ * Widget types for the editor and renderer: the shared definitions plus a
+ * render function
+ */
+export const WIDGET_TYPES = Object.fromEntries(
+  Object.entries(widgetTypes).map(([type, definition]) => [
+    type,
+    { ...definition, render: RENDERERS[type] }
+  ])
+);
+
+// Topics the news widgets use when the layout doesn't set one
+const DEFAULT_TOPICS = { news: 'gold', headlines: 'headlines' };
+
+/**
+ * A widget's props with the screen's URL settings applied
+ */
+function applyOverrides(widget, overrides, isFirst) {
+  const props = { ...widget.props };
+  if (widget.type === 'market') {
+    if (overrides.currency) props.currency = overrides.currency;
+    if (isFirst && overrides.instruments) props.instruments = overrides.instruments;
+    if (isFirst) props.quoteId = overrides.quoteId;
+    props.alerts = isFirst && overrides.alerts !== false;
+  }
+  if (widget.type === 'ratios' && isFirst && overrides.ratios) props.ratios = overrides.ratios;
+  return props;
+}
+
+/**
+ * Every news topic on a layout, so each story shows only once on the screen
+ */
+export function layoutTopics(layout) {
+  return [...new Set(
+    layout.widgets
+      .filter(widget => DEFAULT_TOPICS[widget.type])
+      .map(widget => widget.props.topic || DEFAULT_TOPICS[widget.type])
+  )];
+}
+
+/**
+ * One of a layout's widgets with the screen's overrides applied
+ * (null for unknown types). Also used by the kiosk's panels.
+ */
+export function renderWidget(widget, layout, { points = [], overrides = {}, screen }) {
+  const type = WIDGET_TYPES[widget.type];
+  if (!type) return null;
+
+  const isFirst = layout.widgets.find(other => other.type === widget.type) === widget;
+  return type.render(applyOverrides(widget, overrides, isFirst), { points, screen });
+}
+
+function DashboardLayout({ layout, points = [], overrides = {} }) {
+  const screen = layoutTopics(layout);
+
+  return (
+    <div className="dashboard-grid" style={{ '--layout-columns': layout.columns }}>
+      {layout.widgets.map(widget => {
+        if (!WIDGET_TYPES[widget.type]) return null;
+
+        return (
+          <div
+            key={widget.id}
+            className={`layout-cell layout-cell--${widget.type}`}
+            style={{
+              gridColumn: `${widget.x + 1} / span ${widget.w}`,
+              gridRow: `${widget.y + 1} / span ${widget.h}`
+            }}
+          >
+            {renderWidget(widget, layout, { points, overrides, screen })}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default DashboardLayout;
@@ -4,31 +4,43 @@ import '../styles/HeadlinesWidget.css';
 /**
  * HeadlinesWidget - Sidebar carousel of bullish investment headlines
  * Shows 5 headlines at a time, rotates every 60 seconds
+ *
+ * Props:
+ * - topic: registered news topic key (default 'headlines')
+ * - screen: every news topic on the screen, so each story shows only once
  */
 
 const ROTATION_INTERVAL = 60000; // 1 minute
 const REFRESH_INTERVAL = 600000; // 10 minutes
 const HEADLINES_PER_PAGE = 5;
 
-function HeadlinesWidget() {
+function HeadlinesWidget({ topic = 'headlines', screen = [] }) {
   const [headlines, setHeadlines] = useState([]);
+  const [title, setTitle] = useState('Investment News');
   const [currentPage, setCurrentPage] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [slideDirection, setSlideDirection] = useState('');
 
+  const screenParam = screen.join(',');
+
   const totalPages = Math.ceil(headlines.length / HEADLINES_PER_PAGE);
 
   // Fetch headlines from API
   const fetchHeadlines = useCallback(async () => {
     try {
-      const response = await fetch('/api/news/headlines');
+      const query = screenParam ? `?screen=${encodeURIComponent(screenParam)}` : '';
+      const response = await fetch(`/api/news/${encodeURIComponent(topic)}${query}`);
       const result = await response.json();
 
-      if (result.success && result.headlines.length > 0) {
-        setHeadlines(result.headlines);
+      if (result.topic) {
+        setTitle(result.topic.title);
+      }
+
+      if (result.success && result.articles.length > 0) {
+        setHeadlines(result.articles);
         setError(null);
-      } else if (result.headlines.length === 0) {
+      } else if (result.articles.length === 0) {
         setError('No headlines found');
       }
     } catch (err) {
@@ -37,7 +49,7 @@ function HeadlinesWidget() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [topic, screenParam]);
 
   // Initial fetch and refresh interval
   useEffect(() => {
@@ -89,7 +101,7 @@ function HeadlinesWidget() {
   if (loading) {
     return (
       <div className="headlines-widget">
-        <h3 className="headlines-title">Investment News</h3>
+        <h3 className="headlines-title">{title}</h3>
         <div className="headlines-list">
           {[...Array(5)].map((_, i) => (
             <div key={i} className="headline-item headline-item--skeleton">
@@ -106,7 +118,7 @@ function HeadlinesWidget() {
   if (error || headlines.length === 0) {
     return (
       <div className="headlines-widget">
-        <h3 className="headlines-title">Investment News</h3>
+        <h3 className="headlines-title">{title}</h3>
         <div className="headlines-empty">
           <p>No headlines available</p>
         </div>
@@ -116,7 +128,7 @@ function HeadlinesWidget() {
 
   return (
     <div className="headlines-widget">
-      <h3 className="headlines-title">Investment News</h3>
+      <h3 className="headlines-title">{title}</h3>
 
       <div className={`headlines-list ${slideDirection}`}>
         {getCurrentHeadlines().map((headline, index) => (
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useServerStatus } from '../hooks/useServerStatus';
+import '../styles/KioskDisplay.css';
+
+/**
+ * KioskDisplay - Full-screen 16:9 layout for wall-mounted TVs
+ * Opened with ?kiosk=1
+ *
+ * Shows one focus panel at a time and cycles through them; every panel
+ * stays mounted so its data keeps refreshing while off screen. The cursor
+ * is hidden, the whole stage shifts a few pixels every few minutes to
+ * avoid burn-in, and the page reloads itself when the server starts
+ * serving a new build.
+ *
+ * Props:
+ * - panels: [{ key, title, content }] in display order
+ * - interval: milliseconds each panel stays up (default 30s)
+ */
+
+const DEFAULT_INTERVAL = 30000; // 30 seconds
+const NUDGE_INTERVAL = 180000; // 3 minutes
+// Pixel offsets the stage steps through; small enough not to be noticed
+const NUDGE_OFFSETS = [[0, 0], [3, 2], [-2, 3], [-3, -2], [2, -3], [0, 3], [-3, 0]];
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Clock - ticks on its own so the panels don't re-render every second
+ */
+function KioskClock() {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="kiosk-clock">
+      <span className="kiosk-clock-time">{formatTime(now)}</span>
+      <span className="kiosk-clock-date">
+        {now.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+      </span>
+    </div>
+  );
+}
+
+function KioskDisplay({ panels, interval = DEFAULT_INTERVAL }) {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [nudgeIndex, setNudgeIndex] = useState(0);
+  const { online, build, lastSeen } = useServerStatus();
+  const loadedBuild = useRef(null);
+
+  // Lock the page: no scrolling, no cursor, text scaled to the screen
+  useEffect(() => {
+    document.documentElement.classList.add('kiosk-mode');
+    return () => document.documentElement.classList.remove('kiosk-mode');
+  }, []);
+
+  // Cycle focus panels
+  useEffect(() => {
+    if (panels.length <= 1) return undefined;
+    const timer = setInterval(() => {
+      setActiveIndex(prev => (prev + 1) % panels.length);
+    }, interval);
+    return () => clearInterval(timer);
+  }, [panels.length, interval]);
+
+  // Burn-in protection
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setNudgeIndex(prev => (prev + 1) % NUDGE_OFFSETS.length);
+    }, NUDGE_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Reload when a new build is deployed
+  useEffect(() => {
+    if (!build) return;
+    if (!loadedBuild.current) {
+      loadedBuild.current = build;
+    } else if (build !== loadedBuild.current) {
+      window.location.reload();
+    }
+  }, [build]);
+
+  // Keep the screen awake where the browser supports it
+  useEffect(() => {
+    if (!navigator.wakeLock) return undefined;
+
+    let lock = null;
+    const requestLock = () => {
+      navigator.wakeLock.request('screen')
+        .then(sentinel => { lock = sentinel; })
+        .catch(() => {});
+    };
+    // The lock is dropped whenever the page is hidden
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') requestLock();
+    };
+
+    requestLock();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      lock?.release().catch(() => {});
+    };
+  }, []);
+
+  const [nudgeX, nudgeY] = NUDGE_OFFSETS[nudgeIndex];
+  const current = panels[activeIndex] || panels[0];
+
+  return (
+    <div className="kiosk">
+      <div className="kiosk-stage" style={{ transform: `translate(${nudgeX}px, ${nudgeY}px)` }}>
+        <header className="kiosk-header">
+          <div className="kiosk-brand">
+            <img src="/logo.png" alt="Citadel Gold" className="kiosk-logo" />
+            <span className="kiosk-report">THE CITADEL GOLD REPORT</span>
+          </div>
+
+          <div className="kiosk-focus">
+            <span className="kiosk-focus-title">{current?.title}</span>
+            <div className="kiosk-dots">
+              {panels.map((panel, index) => (
+                <span
+                  key={panel.key}
+                  className={`kiosk-dot ${index === activeIndex ? 'kiosk-dot--active' : ''}`}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="kiosk-status">
+            <div className={`kiosk-connection ${online ? 'kiosk-connection--online' : 'kiosk-connection--offline'}`}>
+              <span className="kiosk-connection-dot" />
+              {online ? 'LIVE' : `OFFLINE${lastSeen ? ` · LAST UPDATE ${formatTime(lastSeen)}` : ''}`}
+            </div>
+            <KioskClock />
+          </div>
+        </header>
+
+        <div className="kiosk-panels">
+          {panels.map((panel, index) => (
+            <section
+              key={panel.key}
+              className={`kiosk-panel kiosk-panel--${panel.key} ${index === activeIndex ? 'kiosk-panel--active' : ''}`}
+              aria-hidden={index !== activeIndex}
+            >
+              {panel.content}
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KioskDisplay;
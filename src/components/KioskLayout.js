@@ -0,0 +1,66 @@
+import React from 'react';
+import KioskDisplay from './KioskDisplay';
+import { layoutTopics, renderWidget } from './DashboardLayout';
+
+/**
+ * KioskLayout - A screen's layout as kiosk focus panels (?kiosk=1)
+ * Groups the layout's widgets into the kiosk's panels, in reading order
+ * (top to bottom, left to right), and skips panels with no widgets. The
+ * header widget is left out: the kiosk has its own header.
+ *
+ * Props:
+ * - layout: { widgets } from /api/layouts (see DashboardLayout)
+ * - points: active talking points for talkingPoints widgets
+ * - overrides: per-screen URL settings, as for DashboardLayout
+ * - interval: milliseconds each panel stays up
+ */
+
+// Kiosk panels in display order and the widget types each shows
+const PANELS = [
+  { key: 'tiles', title: 'Markets', types: ['market', 'ratios', 'talkingPoints'] },
+  { key: 'chart', title: 'Performance', types: ['performance'] },
+  { key: 'news', title: 'News', types: ['news'] },
+  { key: 'headlines', title: 'Headlines', types: ['headlines'] }
+];
+
+// Tile rows share the dashboard's main column
+const MAIN_TYPES = ['market', 'ratios'];
+
+function KioskLayout({ layout, points = [], overrides = {}, interval }) {
+  const screen = layoutTopics(layout);
+  const widgets = [...layout.widgets].sort((a, b) => a.y - b.y || a.x - b.x);
+  const render = (widget) => renderWidget(widget, layout, { points, overrides, screen });
+
+  const panels = PANELS
+    .map(panel => ({ ...panel, widgets: widgets.filter(widget => panel.types.includes(widget.type)) }))
+    .filter(panel => panel.widgets.length > 0)
+    .map(({ key, title, widgets: panelWidgets }) => {
+      let content;
+      if (key === 'tiles') {
+        const main = panelWidgets.filter(widget => MAIN_TYPES.includes(widget.type));
+        content = (
+          <>
+            {main.length > 0 && (
+              <main className="app-main">
+                {main.map(widget => <React.Fragment key={widget.id}>{render(widget)}</React.Fragment>)}
+              </main>
+            )}
+            {panelWidgets
+              .filter(widget => !MAIN_TYPES.includes(widget.type))
+              .map(widget => <React.Fragment key={widget.id}>{render(widget)}</React.Fragment>)}
+          </>
+        );
+      } else if (key === 'news') {
+        content = panelWidgets.map(widget => (
+          <div key={widget.id} className="news-column">{render(widget)}</div>
+        ));
+      } else {
+        content = panelWidgets.map(widget => <React.Fragment key={widget.id}>{render(widget)}</React.Fragment>);
+      }
+      return { key, title, content };
+    });
+
+  return <KioskDisplay panels={panels} interval={interval} />;
+}
+
+export default KioskLayout;
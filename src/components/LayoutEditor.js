@@ -0,0 +1,480 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import DashboardLayout, { WIDGET_TYPES } from './DashboardLayout';
+import { authFetch } from '../hooks/useAuth';
+import '../styles/LayoutEditor.css';
+
+/**
+ * LayoutEditor - Admin overlay for arranging each screen's widgets
+ * Opened with ?admin=layouts
+ *
+ * Drag a widget to move it and its corner handle to resize it on the
+ * layout grid; widgets can't overlap. The preview underneath renders the
+ * draft with live data. Saved layouts reach their screens (/d/:layoutId)
+ * within a few minutes. Viewers see layouts; editors and admins can change them.
+ *
+ * Props:
+ * - user: the signed-in user ({ username, role })
+ * - layoutId: layout of the screen the editor was opened on
+ * - points: active talking points, for the preview
+ * - onSignOut: signs the user out
+ * - onChange: called after a layout is saved or deleted (refreshes the screen)
+ * - onClose: called when the overlay is dismissed
+ */
+
+const ROW_HEIGHT = 48; // px per grid row on the canvas
+const MAX_ROWS = 40;
+const PREVIEW_WIDTH = 1500; // px the preview is laid out at before scaling
+
+const newWidgetId = (type) => `${type}-${Math.random().toString(16).slice(2, 8)}`;
+
+const overlaps = (a, b) =>
+  a.id !== b.id && a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Layout from the API -> editable draft (list props as comma-separated text)
+ */
+function toDraft(layout) {
+  return {
+    ...layout,
+    widgets: layout.widgets.map(widget => ({
+      ...widget,
+      props: Object.fromEntries(
+        Object.entries(widget.props).map(([name, value]) => [name, Array.isArray(value) ? value.join(', ') : value])
+      )
+    }))
+  };
+}
+
+/**
+ * Draft -> layout for the API and the preview
+ */
+function toLayout(draft) {
+  return {
+    id: draft.id,
+    name: draft.name,
+    columns: draft.columns,
+    widgets: draft.widgets.map(widget => {
+      const props = {};
+      for (const field of WIDGET_TYPES[widget.type].fields) {
+        const text = String(widget.props[field.name] || '').trim();
+        if (!text) continue;
+        props[field.name] = field.list
+          ? text.split(',').map(item => item.trim()).filter(Boolean)
+          : text;
+      }
+      return { id: widget.id, type: widget.type, props, x: widget.x, y: widget.y, w: widget.w, h: widget.h };
+    })
+  };
+}
+
+/**
+ * LayoutPreview - The draft at full dashboard width, scaled to fit
+ */
+function LayoutPreview({ layout, points }) {
+  const frameRef = useRef(null);
+  const innerRef = useRef(null);
+  const [scale, setScale] = useState(0.5);
+  const [height, setHeight] = useState(0);
+
+  useEffect(() => {
+    if (!window.ResizeObserver) return undefined;
+    const observer = new ResizeObserver(() => {
+      setScale(frameRef.current.clientWidth / PREVIEW_WIDTH);
+      setHeight(innerRef.current.offsetHeight);
+    });
+    observer.observe(frameRef.current);
+    observer.observe(innerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <div className="le-preview" ref={frameRef} style={{ height: height * scale }}>
+      <div
+        className="le-preview-inner"
+        ref={innerRef}
+        style={{ width: PREVIEW_WIDTH, transform: `scale(${scale})` }}
+      >
+        <DashboardLayout layout={layout} points={points} overrides={{ alerts: false }} />
+      </div>
+    </div>
+  );
+}
+
+function LayoutEditor({ user, layoutId, points, onSignOut, onChange, onClose }) {
+  const [layouts, setLayouts] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [selectedWidget, setSelectedWidget] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const canvasRef = useRef(null);
+
+  const canEdit = user.role === 'editor' || user.role === 'admin';
+
+  const loadLayouts = useCallback(async (selectId) => {
+    try {
+      const response = await authFetch('/api/layouts');
+      const result = await response.json();
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      setLayouts(result.layouts);
+      const selected = result.layouts.find(layout => layout.id === selectId)
+        || result.layouts.find(layout => layout.id === 'default');
+      setDraft(selected ? toDraft(selected) : null);
+      setSelectedWidget(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLayouts(layoutId);
+  }, [loadLayouts, layoutId]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const preview = useMemo(() => (draft ? toLayout(draft) : null), [draft]);
+
+  const selectLayout = (id) => {
+    const layout = layouts.find(candidate => candidate.id === id);
+    if (layout) {
+      setDraft(toDraft(layout));
+      setSelectedWidget(null);
+      setError(null);
+    }
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateWidget = (id, changes) => setDraft(prev => ({
+    ...prev,
+    widgets: prev.widgets.map(widget => (widget.id === id ? { ...widget, ...changes } : widget))
+  }));
+
+  const changeColumns = (value) => {
+    const columns = clamp(parseInt(value, 10) || 1, 1, 24);
+    setDraft(prev => ({
+      ...prev,
+      columns,
+      widgets: prev.widgets.map(widget => {
+        const x = Math.min(widget.x, columns - 1);
+        return { ...widget, x, w: Math.min(widget.w, columns - x) };
+      })
+    }));
+  };
+
+  // New widgets start on a fresh row at the bottom, at their type's default width
+  const addWidget = (type) => {
+    const y = draft.widgets.reduce((bottom, widget) => Math.max(bottom, widget.y + widget.h), 0);
+    if (y >= MAX_ROWS) {
+      setError(`Layouts are limited to ${MAX_ROWS} rows`);
+      return;
+    }
+    const widget = {
+      id: newWidgetId(type),
+      type,
+      props: {},
+      x: 0,
+      y,
+      w: clamp(Math.round(draft.columns * WIDGET_TYPES[type].width), 1, draft.columns),
+      h: 1
+    };
+    updateDraft({ widgets: [...draft.widgets, widget] });
+    setSelectedWidget(widget.id);
+  };
+
+  const removeWidget = (id) => {
+    updateDraft({ widgets: draft.widgets.filter(widget => widget.id !== id) });
+    setSelectedWidget(null);
+  };
+
+  /**
+   * Drag a widget (mode 'move') or its corner handle ('resize'), snapping
+   * to grid cells; positions that would overlap another widget are skipped
+   */
+  const startDrag = (e, widget, mode) => {
+    e.stopPropagation();
+    setSelectedWidget(widget.id);
+    if (!canEdit || e.button !== 0) return;
+    e.preventDefault();
+
+    const cellWidth = canvasRef.current.clientWidth / draft.columns;
+    const startX = e.clientX;
+    const startY = e.clientY;
+
+    const onMove = (moveEvent) => {
+      const dx = Math.round((moveEvent.clientX - startX) / cellWidth);
+      const dy = Math.round((moveEvent.clientY - startY) / ROW_HEIGHT);
+
+      setDraft(prev => {
+        const next = mode === 'move'
+          ? {
+              ...widget,
+              x: clamp(widget.x + dx, 0, prev.columns - widget.w),
+              y: clamp(widget.y + dy, 0, MAX_ROWS - widget.h)
+            }
+          : {
+              ...widget,
+              w: clamp(widget.w + dx, 1, prev.columns - widget.x),
+              h: clamp(widget.h + dy, 1, MAX_ROWS - widget.y)
+            };
+        if (prev.widgets.some(other => overlaps(next, other))) return prev;
+        return {
+          ...prev,
+          widgets: prev.widgets.map(item => (item.id === widget.id ? { ...item, x: next.x, y: next.y, w: next.w, h: next.h } : item))
+        };
+      });
+    };
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  };
+
+  const startNew = () => {
+    setDraft({ ...draft, id: '', name: `${draft.name} copy`, isNew: true, copiedFrom: draft.id });
+    setSelectedWidget(null);
+    setError(null);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await authFetch(
+        draft.isNew ? '/api/layouts' : `/api/layouts/${encodeURIComponent(draft.id)}`,
+        {
+          method: draft.isNew ? 'POST' : 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(toLayout(draft))
+        }
+      );
+      const result = await response.json();
+
+      if (!result.success) {
+        setError(result.error || 'Failed to save layout');
+        return;
+      }
+      await loadLayouts(result.layout.id);
+      onChange?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete layout "${draft.name}"?`)) return;
+    try {
+      const response = await authFetch(`/api/layouts/${encodeURIComponent(draft.id)}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      await loadLayouts('default');
+      onChange?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const rows = draft
+    ? Math.min(MAX_ROWS, draft.widgets.reduce((bottom, widget) => Math.max(bottom, widget.y + widget.h), 0) + 2)
+    : 0;
+  const selected = draft?.widgets.find(widget => widget.id === selectedWidget);
+
+  return (
+    <div className="le-overlay" onClick={onClose}>
+      <div className="le-panel" onClick={e => e.stopPropagation()}>
+        <div className="le-header">
+          <h2 className="le-title">LAYOUTS</h2>
+          <div className="le-session">
+            <span>{user.username} · {user.role}</span>
+            <button className="le-button" onClick={onSignOut}>Sign Out</button>
+            <button className="le-close" onClick={onClose} aria-label="Close">&times;</button>
+          </div>
+        </div>
+
+        {error && <div className="le-error">{error}</div>}
+
+        {draft && (
+          <form className="le-settings" onSubmit={save}>
+            {draft.isNew ? (
+              <label className="le-field">
+                Id (screen URL /d/…)
+                <input
+                  value={draft.id}
+                  onChange={e => updateDraft({ id: e.target.value.toLowerCase() })}
+                  pattern="[a-z0-9][a-z0-9\-]{0,39}"
+                  placeholder="trading-desk"
+                  required
+                />
+              </label>
+            ) : (
+              <label className="le-field">
+                Layout
+                <select value={draft.id} onChange={e => selectLayout(e.target.value)}>
+                  {layouts.map(layout => (
+                    <option key={layout.id} value={layout.id}>{layout.name} (/d/{layout.id})</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label className="le-field">
+              Name
+              <input
+                value={draft.name}
+                onChange={e => updateDraft({ name: e.target.value })}
+                maxLength={80}
+                disabled={!canEdit}
+                required
+              />
+            </label>
+            <label className="le-field le-field--narrow">
+              Columns
+              <input
+                type="number"
+                min="1"
+                max="24"
+                value={draft.columns}
+                onChange={e => changeColumns(e.target.value)}
+                disabled={!canEdit}
+              />
+            </label>
+            <div className="le-actions">
+              {!draft.isNew && (
+                <a className="le-button" href={`/d/${encodeURIComponent(draft.id)}`} target="_blank" rel="noopener noreferrer">
+                  Open
+                </a>
+              )}
+              {canEdit && (
+                <>
+                  {draft.isNew
+                    ? <button type="button" className="le-button" onClick={() => selectLayout(draft.copiedFrom)}>Cancel</button>
+                    : <button type="button" className="le-button" onClick={startNew}>Copy</button>}
+                  {!draft.isNew && draft.id !== 'default' && (
+                    <button type="button" className="le-button" onClick={remove}>Delete</button>
+                  )}
+                  <button type="submit" className="le-button le-button--primary" disabled={saving}>
+                    {saving ? 'Saving…' : draft.isNew ? 'Create Layout' : 'Save Layout'}
+                  </button>
+                </>
+              )}
+            </div>
+          </form>
+        )}
+
+        {draft && canEdit && (
+          <div className="le-palette">
+            <span className="le-palette-label">Add</span>
+            {Object.entries(WIDGET_TYPES).map(([type, { label }]) => (
+              <button key={type} type="button" className="le-button" onClick={() => addWidget(type)}>
+                + {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {draft && (
+          <div className="le-workspace">
+            <div
+              className="le-canvas"
+              ref={canvasRef}
+              style={{
+                '--le-columns': draft.columns,
+                '--le-row-height': `${ROW_HEIGHT}px`,
+                height: rows * ROW_HEIGHT
+              }}
+              onPointerDown={() => setSelectedWidget(null)}
+            >
+              {draft.widgets.map(widget => (
+                <div
+                  key={widget.id}
+                  className={`le-widget ${widget.id === selectedWidget ? 'le-widget--selected' : ''}`}
+                  style={{
+                    left: `${(widget.x / draft.columns) * 100}%`,
+                    width: `${(widget.w / draft.columns) * 100}%`,
+                    top: widget.y * ROW_HEIGHT,
+                    height: widget.h * ROW_HEIGHT
+                  }}
+                  onPointerDown={e => startDrag(e, widget, 'move')}
+                >
+                  <span className="le-widget-label">{WIDGET_TYPES[widget.type]?.label || widget.type}</span>
+                  <span className="le-widget-meta">
+                    {widget.props.topic || widget.props.instruments || widget.props.ratios || ''}
+                  </span>
+                  {canEdit && (
+                    <span className="le-widget-resize" onPointerDown={e => startDrag(e, widget, 'resize')} />
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="le-inspector">
+              {selected ? (
+                <>
+                  <h3 className="le-inspector-title">{WIDGET_TYPES[selected.type].label}</h3>
+                  <p className="le-inspector-position">
+                    Column {selected.x + 1}, row {selected.y + 1} · {selected.w} × {selected.h}
+                  </p>
+                  {WIDGET_TYPES[selected.type].fields.map(field => (
+                    <label key={field.name} className="le-field">
+                      {field.label}
+                      <input
+                        value={selected.props[field.name] || ''}
+                        onChange={e => updateWidget(selected.id, {
+                          props: { ...selected.props, [field.name]: e.target.value }
+                        })}
+                        placeholder={field.placeholder}
+                        disabled={!canEdit}
+                      />
+                    </label>
+                  ))}
+                  {WIDGET_TYPES[selected.type].fields.length === 0 && (
+                    <p className="le-hint">No settings</p>
+                  )}
+                  {canEdit && (
+                    <button type="button" className="le-button" onClick={() => removeWidget(selected.id)}>
+                      Remove Widget
+                    </button>
+                  )}
+                </>
+              ) : (
+                <p className="le-hint">
+                  {canEdit
+                    ? 'Drag widgets to move them, drag the corner to resize. Select one to change its settings.'
+                    : 'Select a widget to see its settings.'}
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <>
+            <h3 className="le-section-title">Preview</h3>
+            <LayoutPreview layout={preview} points={points} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LayoutEditor;
@@ -1,30 +1,134 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import PriceTile from './PriceTile';
+import PriceHistoryChart from './PriceHistoryChart';
+import CurrencySelector from './CurrencySelector';
+import QuoteBuilder from './QuoteBuilder';
+import AlertToasts from './AlertToasts';
 import useMarketData from '../hooks/useMarketData';
+import usePriceHistory from '../hooks/usePriceHistory';
 import '../styles/MarketWidget.css';
 
 /**
  * MarketWidget Component - Citadel Gold Design
  *
- * Four price tiles in horizontal layout matching the design:
+ * Renders one price tile per instrument returned by the server registry,
+ * in the configured order, each with an intraday sparkline. Clicking a
+ * tile opens its historical price chart. Default set:
  * - Gold (OZ) - golden background
  * - Silver (OZ) - silver/gray background
  * - S&P 500 - blue/teal background
  * - DOW - darker teal background
+ *
+ * USD-priced tiles (metals, Bitcoin) are shown in the selected display
+ * currency, remembered per browser; sparklines and the chart stay in USD.
+ * Metal tiles can switch weight unit (oz, g, kg, tola, dwt), also
+ * remembered per browser and per instrument.
+ * Price alerts fired on the server pop up as toasts when signed in as a viewer.
+ *
+ * Props:
+ * - instruments: optional list of registry keys, e.g. ['gold', 'platinum', 'btc']
+ * - currency: optional currency code that overrides the remembered choice
+ * - quoteId: optional shared quote to open in the quote builder on load
+ * - alerts: show alert toasts (default true); a screen shows them on one
+ *   widget only so each alert pops up once
+ * - embedded: public embed (/embed/market); no quote builder or alert toasts
  */
-function MarketWidget() {
+
+const SKELETON_TILES = 4;
+const CURRENCY_STORAGE_KEY = 'marketWidget.currency';
+const UNITS_STORAGE_KEY = 'marketWidget.units';
+
+/**
+ * localStorage that fails quietly; storage can be blocked in third-party
+ * iframes (embeds)
+ */
+function readSetting(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveSetting(key, value) {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch (err) {
+    // Not remembered, still applied
+  }
+}
+
+/**
+ * Remembered weight unit per instrument, e.g. { gold: 'g' }
+ */
+function loadUnits() {
+  try {
+    return JSON.parse(readSetting(UNITS_STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function MarketWidget({
+  instruments: instrumentKeys,
+  currency: currencyOverride,
+  quoteId,
+  alerts: showAlerts = true,
+  embedded = false
+}) {
+  const alertsEnabled = showAlerts && !embedded;
+
+  const [currency, setCurrency] = useState(
+    () => currencyOverride || readSetting(CURRENCY_STORAGE_KEY) || ''
+  );
+
   const {
     data,
+    instruments,
+    currency: currencyInfo,
     loading,
     updatedTiles,
-  } = useMarketData(30000);
+    alerts,
+    dismissAlert,
+  } = useMarketData(30000, instrumentKeys, currency, { alerts: alertsEnabled });
+
+  const changeCurrency = (code) => {
+    setCurrency(code);
+    saveSetting(CURRENCY_STORAGE_KEY, code);
+  };
+
+  const [units, setUnits] = useState(loadUnits);
+
+  const changeUnit = (key, unit) => {
+    setUnits(prev => {
+      const next = { ...prev, [key]: unit };
+      saveSetting(UNITS_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  // Quote in the tile's chosen weight unit (per-ounce quote for everything else)
+  const tileQuote = (key) => data?.[key]?.perUnit?.[units[key]] || data?.[key];
+
+  const history = usePriceHistory(instruments.map(inst => inst.key));
+
+  // Instrument whose history chart is open
+  const [selected, setSelected] = useState(null);
+  const closeChart = useCallback(() => setSelected(null), []);
+
+  // Quote builder overlay (opened directly by a shared quote link)
+  const [quoteOpen, setQuoteOpen] = useState(Boolean(quoteId));
+  const closeQuote = useCallback(() => setQuoteOpen(false), []);
+
+  const tileCount = instruments.length || instrumentKeys?.length || SKELETON_TILES;
+  const gridStyle = { '--tile-columns': tileCount };
 
   // Loading skeleton
   if (loading && !data) {
     return (
       <div className="market-widget">
-        <div className="widget-grid">
-          {[1, 2, 3, 4].map((i) => (
+        <div className="widget-grid" style={gridStyle}>
+          {[...Array(tileCount)].map((_, i) => (
             <div key={i} className="price-tile price-tile--skeleton">
               <div className="tile-header">
                 <div className="skeleton-text"></div>
@@ -42,43 +146,52 @@ function MarketWidget() {
 
   return (
     <div className="market-widget">
-      <div className="widget-grid">
-        <PriceTile
-          name="GOLD (OZ)"
-          price={data?.gold?.price}
-          changePercent={data?.gold?.changePercent}
-          variant="gold"
-          isUpdated={updatedTiles.gold}
-          showDollarSign={true}
-        />
+      <div className="widget-toolbar">
+        {!embedded && (
+          <button className="widget-toolbar-button" onClick={() => setQuoteOpen(true)}>
+            NEW QUOTE
+          </button>
+        )}
+        <CurrencySelector value={currencyInfo?.code || currency} onChange={changeCurrency} />
+      </div>
 
-        <PriceTile
-          name="SILVER (OZ)"
-          price={data?.silver?.price}
-          changePercent={data?.silver?.changePercent}
-          variant="silver"
-          isUpdated={updatedTiles.silver}
-          showDollarSign={true}
-        />
+      <div className="widget-grid" style={gridStyle}>
+        {instruments.map((inst) => (
+          <PriceTile
+            key={inst.key}
+            name={inst.label}
+            price={tileQuote(inst.key)?.price}
+            changePercent={data?.[inst.key]?.changePercent}
+            previousClose={history[inst.key]?.previousClose}
+            history={history[inst.key]?.points}
+            variant={inst.variant}
+            isUpdated={updatedTiles[inst.key]}
+            showDollarSign={inst.showDollarSign}
+            currency={currencyInfo || undefined}
+            units={inst.units}
+            unit={units[inst.key]}
+            onUnitChange={(unit) => changeUnit(inst.key, unit)}
+            onClick={() => setSelected(inst)}
+          />
+        ))}
+      </div>
 
-        <PriceTile
-          name="S&P 500"
-          price={data?.sp500?.price}
-          changePercent={data?.sp500?.changePercent}
-          variant="blue"
-          isUpdated={updatedTiles.sp500}
-          showDollarSign={false}
+      {selected && (
+        <PriceHistoryChart
+          instrument={selected}
+          onClose={closeChart}
         />
+      )}
 
-        <PriceTile
-          name="DOW"
-          price={data?.dow?.price}
-          changePercent={data?.dow?.changePercent}
-          variant="teal"
-          isUpdated={updatedTiles.dow}
-          showDollarSign={false}
+      {quoteOpen && (
+        <QuoteBuilder
+          currency={currencyInfo?.code || currency || undefined}
+          quoteId={quoteId}
+          onClose={closeQuote}
         />
-      </div>
+      )}
+
+      {alertsEnabled && <AlertToasts alerts={alerts} onDismiss={dismissAlert} />}
     </div>
   );
 }
@@ -6,47 +6,48 @@ import '../styles/NewsWidget.css';
  * Auto-rotates every 30 seconds, refreshes data every 10 minutes
  *
  * Props:
- * - topic: 'inflation' | 'gold' (determines API endpoint and title)
+ * - topic: any registered news topic key, e.g. 'inflation' | 'gold'
+ *   (see server/news/topics.js); title and empty state come from the topic
+ * - screen: every news topic on the screen, so each story shows only once
  */
 
 const ROTATION_INTERVAL = 30000; // 30 seconds
 const REFRESH_INTERVAL = 600000; // 10 minutes
 
-const TOPIC_CONFIG = {
-  inflation: {
-    title: 'Dollar & Inflation',
-    endpoint: '/api/news/inflation',
-    emptyIcon: '💵',
-    emptyText: 'No inflation news available'
-  },
-  gold: {
-    title: 'Gold & Precious Metals',
-    endpoint: '/api/news/gold',
-    emptyIcon: '🥇',
-    emptyText: 'No gold news available'
-  }
+const DEFAULT_CONFIG = {
+  title: '',
+  emptyIcon: '📰',
+  emptyText: 'No news available'
 };
 
-function NewsWidget({ topic = 'gold' }) {
+function NewsWidget({ topic = 'gold', screen = [] }) {
   const [articles, setArticles] = useState([]);
+  const [topicInfo, setTopicInfo] = useState(null);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [slideDirection, setSlideDirection] = useState('');
 
-  const config = TOPIC_CONFIG[topic] || TOPIC_CONFIG.gold;
+  const config = { ...DEFAULT_CONFIG, ...topicInfo };
+  const screenParam = screen.join(',');
 
   // Fetch articles from API
   const fetchArticles = useCallback(async () => {
     try {
-      const response = await fetch(config.endpoint);
+      const query = screenParam ? `?screen=${encodeURIComponent(screenParam)}` : '';
+      const response = await fetch(`/api/news/${encodeURIComponent(topic)}${query}`);
       const result = await response.json();
 
+      if (result.topic) {
+        setTopicInfo(result.topic);
+      }
+
       if (result.success && result.articles.length > 0) {
         setArticles(result.articles);
+        setCurrentIndex(prev => (prev < result.articles.length ? prev : 0));
         setError(null);
       } else if (result.articles.length === 0) {
-        setError('No recent articles found');
+        setError(result.error || 'No recent articles found');
       }
     } catch (err) {
       console.error('Failed to fetch news:', err);
@@ -54,7 +55,7 @@ function NewsWidget({ topic = 'gold' }) {
     } finally {
       setLoading(false);
     }
-  }, [config.endpoint]);
+  }, [topic, screenParam]);
 
   // Initial fetch and refresh interval
   useEffect(() => {
@@ -1,12 +1,33 @@
 import React, { useState, useEffect } from 'react';
+import PerformanceStatsTable from './PerformanceStatsTable';
 import '../styles/PerformanceChart.css';
 
 /**
  * Asset Performance Bar Chart
- * Fetches real 20-year performance data from Yahoo Finance
- * Gold and Silver prominently featured
+ * Fetches real performance data from Yahoo Finance over a selectable period
+ * (YTD to 20 years). Gold and Silver prominently featured, with a
+ * risk/return stats table (CAGR, volatility, drawdown, Sharpe) underneath
  */
 
+// Period toggle options (keys match /api/performance?period=)
+const PERIODS = [
+  { key: 'ytd', label: 'YTD', title: 'Year-to-Date' },
+  { key: '1y', label: '1Y', title: '1-Year' },
+  { key: '3y', label: '3Y', title: '3-Year' },
+  { key: '5y', label: '5Y', title: '5-Year' },
+  { key: '10y', label: '10Y', title: '10-Year' },
+  { key: '20y', label: '20Y', title: '20-Year' }
+];
+
+const DEFAULT_PERIOD = '20y';
+const GRID_STEPS = 5;
+
+// Nominal vs inflation-adjusted (CPI-deflated) returns
+const MODES = [
+  { key: 'nominal', label: 'NOMINAL' },
+  { key: 'real', label: 'REAL' }
+];
+
 // Color mapping for each asset - Gold/Silver prominent, others muted
 const colorMap = {
   'Gold': '#d4a84b',
@@ -19,7 +40,7 @@ const colorMap = {
   'Cash (USD)': '#4a4a4a'
 };
 
-// Fallback data in case API fails
+// Fallback data in case API fails (20-year period only)
 const fallbackData = [
   { name: 'Gold', return: 680 },
   { name: 'Silver', return: 420 },
@@ -31,17 +52,35 @@ const fallbackData = [
   { name: 'Cash (USD)', return: -44 }
 ];
 
+/**
+ * Round a value up to a "nice" axis step (1, 2, 2.5, 5 x 10^n)
+ */
+function niceStep(value) {
+  if (value <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const nice = [1, 2, 2.5, 5, 10].find(m => m * magnitude >= value);
+  return nice * magnitude;
+}
+
 function PerformanceChart() {
+  const [period, setPeriod] = useState(DEFAULT_PERIOD);
+  const [mode, setMode] = useState('nominal');
   const [assetData, setAssetData] = useState(fallbackData);
+  const [meta, setMeta] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
+    let cancelled = false;
+
     const fetchPerformance = async () => {
+      setLoading(true);
       try {
-        const response = await fetch('/api/performance');
+        const response = await fetch(`/api/performance?period=${period}`);
         const result = await response.json();
 
+        if (cancelled) return;
+
         if (result.success && result.data.length > 0) {
           // Add colors to the data
           const dataWithColors = result.data.map(item => ({
@@ -49,35 +88,91 @@ function PerformanceChart() {
             color: colorMap[item.name] || '#666666'
           }));
           setAssetData(dataWithColors);
+          setMeta({ inflation: result.inflation, coverage: result.coverage });
+          setError(null);
+        } else {
+          throw new Error(result.error || 'No performance data');
         }
       } catch (err) {
         console.error('Failed to fetch performance data:', err);
+        if (cancelled) return;
         setError(err.message);
+        // The bundled fallback only describes the 20-year window
+        setAssetData(period === DEFAULT_PERIOD ? fallbackData : []);
+        setMeta(null);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
     fetchPerformance();
-  }, []);
+    return () => { cancelled = true; };
+  }, [period]);
+
+  const periodConfig = PERIODS.find(p => p.key === period);
+
+  // Real returns need CPI data from the window's start (fallback data is nominal only)
+  const hasInflation = meta !== null && meta.inflation !== null;
+  const isReal = mode === 'real' && hasInflation;
+  const displayData = assetData
+    .map(asset => ({ ...asset, value: isReal ? asset.realReturn : asset.return }))
+    .sort((a, b) => b.value - a.value);
+
+  // Scale the axis to the period's largest return
+  const largestReturn = Math.max(1, ...displayData.map(a => a.value));
+  const step = Math.max(1, niceStep(largestReturn / GRID_STEPS));
+  const gridLines = [...Array(Math.ceil(largestReturn / step) + 1)].map((_, i) => i * step);
+  const maxReturn = gridLines[gridLines.length - 1];
+
+  // CDs need T-bill data from the window's start
+  const hasCds = assetData.some(a => a.name === 'CDs/Savings');
 
-  // Calculate max for scale
-  const maxReturn = Math.max(1000, ...assetData.map(a => a.return));
-  const gridLines = [0, 200, 400, 600, 800, 1000];
+  const formatMonth = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
 
-  // Add more grid lines if needed
-  if (maxReturn > 1000) {
-    const extra = Math.ceil(maxReturn / 200) * 200;
-    gridLines.push(...[1200, 1400, 1600, 1800, 2000].filter(v => v <= extra));
-  }
+  // Datasets carried forward past their last observation to reach today
+  const projections = meta ? [
+    meta.coverage.cpiProjected &&
+      `CPI after ${formatMonth(meta.coverage.cpiThrough)} grows at its latest annual rate`,
+    meta.coverage.shortRateProjected &&
+      `T-bill rates after ${formatMonth(meta.coverage.shortRateThrough)} stay at the last reading`
+  ].filter(Boolean) : [];
+
+  // Assets that don't cover the whole window, e.g. "Real Estate (since 2004)"
+  const partialAssets = assetData.filter(a => a.partialHistory);
 
   return (
     <div className="performance-chart">
       <h2 className="chart-title">
         Gold & Silver vs. Traditional Asset Classes
-        <span className="chart-period">(20-Year Performance)</span>
+        <span className="chart-period">
+          ({periodConfig.title} {isReal ? 'Inflation-Adjusted ' : ''}Performance)
+        </span>
       </h2>
 
+      <div className="chart-periods">
+        {PERIODS.map(p => (
+          <button
+            key={p.key}
+            className={`chart-period-button ${p.key === period ? 'chart-period-button--active' : ''}`}
+            onClick={() => setPeriod(p.key)}
+          >
+            {p.label}
+          </button>
+        ))}
+        <span className="chart-periods-divider" />
+        {MODES.map(m => (
+          <button
+            key={m.key}
+            className={`chart-period-button ${m.key === mode ? 'chart-period-button--active' : ''}`}
+            onClick={() => setMode(m.key)}
+            disabled={m.key === 'real' && !hasInflation}
+            title={m.key === 'real' && meta && !hasInflation ? 'CPI data does not go back to the start of this period' : undefined}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+
       <div className="bar-chart-container">
         {/* Y-axis */}
         <div className="bar-y-axis">
@@ -104,9 +199,9 @@ function PerformanceChart() {
 
           {/* Bars */}
           <div className="bars-container">
-            {assetData.map((asset) => {
-              const isNegative = asset.return < 0;
-              const height = Math.abs(asset.return) / maxReturn * 100;
+            {displayData.map((asset) => {
+              const isNegative = asset.value < 0;
+              const height = Math.abs(asset.value) / maxReturn * 100;
               const barStyle = {
                 height: `${Math.max(height, 1)}%`,
                 backgroundColor: asset.color || colorMap[asset.name] || '#666',
@@ -117,13 +212,15 @@ function PerformanceChart() {
               return (
                 <div key={asset.name} className="bar-wrapper">
                   <div className="bar-value">
-                    {asset.return >= 0 ? '+' : ''}{asset.return}%
+                    {asset.value >= 0 ? '+' : ''}{asset.value}%
                   </div>
                   <div className="bar" style={barStyle}>
                     {asset.name === 'Gold' && <div className="bar-highlight" />}
                     {asset.name === 'Silver' && <div className="bar-highlight silver" />}
                   </div>
-                  <div className="bar-label">{asset.name}</div>
+                  <div className="bar-label">
+                    {asset.name}{asset.partialHistory && '†'}{asset.projected && '‡'}
+                  </div>
                 </div>
               );
             })}
@@ -131,9 +228,30 @@ function PerformanceChart() {
         </div>
       </div>
 
+      {!loading && <PerformanceStatsTable assets={assetData} />}
+
       <p className="chart-footnote">
         {loading ? 'Loading real-time data...' :
-          '*Live data from Yahoo Finance. CDs & Cash are estimated. Past performance does not guarantee future results.'}
+          error && assetData.length === 0
+            ? `Unable to load ${periodConfig.title.toLowerCase()} performance data.`
+            : meta && !hasInflation
+              ? `*Live ${periodConfig.title.toLowerCase()} data from Yahoo Finance. Cash and real returns are unavailable: CPI data starts after this period does.${hasCds ? ' CDs use 3-month T-bill rates.' : ''} Past performance does not guarantee future results.`
+              : meta
+              ? `*Live ${periodConfig.title.toLowerCase()} data from Yahoo Finance. CDs use 3-month T-bill rates; Cash shows purchasing power (CPI ${meta.inflation >= 0 ? '+' : ''}${meta.inflation}% over the period, data through ${formatMonth(meta.coverage.cpiThrough)}).${isReal ? ' Returns deflated by CPI.' : ''} Past performance does not guarantee future results.`
+              : '*Estimated data. CDs & Cash are estimated. Past performance does not guarantee future results.'}
+        {!loading && partialAssets.length > 0 && (
+          <span className="chart-footnote-partial">
+            † Shorter history than the selected period:{' '}
+            {partialAssets
+              .map(a => `${a.name} since ${formatMonth(a.historyStart)}`)
+              .join(', ')}
+          </span>
+        )}
+        {!loading && projections.length > 0 && (
+          <span className="chart-footnote-partial">
+            ‡ Projected: {projections.join('; ')}.
+          </span>
+        )}
       </p>
     </div>
   );
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import '../styles/PerformanceStatsTable.css';
+
+/**
+ * PerformanceStatsTable - Risk/return statistics under the performance chart
+ * Click a column header to sort by it; click again to reverse
+ *
+ * Props:
+ * - assets: /api/performance data entries ({ name, color, stats })
+ */
+
+const formatPercent = (value) => (value == null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`);
+
+const formatMonth = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+const formatYear = (entry) => (entry ? `${entry.year} (${formatPercent(entry.return)})` : '—');
+
+// Column definitions: sortValue returns a number (null sorts last)
+const COLUMNS = [
+  {
+    key: 'cagr',
+    label: 'CAGR',
+    sortValue: s => s.cagr,
+    render: s => formatPercent(s.cagr)
+  },
+  {
+    key: 'volatility',
+    label: 'Volatility',
+    title: 'Annualised standard deviation of returns',
+    sortValue: s => s.volatility,
+    render: s => (s.volatility == null ? '—' : `${s.volatility.toFixed(1)}%`)
+  },
+  {
+    key: 'maxDrawdown',
+    label: 'Max Drawdown',
+    title: 'Largest peak-to-trough decline',
+    sortValue: s => s.maxDrawdown?.percent,
+    render: s => (s.maxDrawdown ? (
+      <>
+        {formatPercent(s.maxDrawdown.percent)}
+        {s.maxDrawdown.peakDate && (
+          <span className="stats-detail">
+            {formatMonth(s.maxDrawdown.peakDate)} – {formatMonth(s.maxDrawdown.troughDate)}
+            {s.maxDrawdown.recoveryDate
+              ? `, recovered ${formatMonth(s.maxDrawdown.recoveryDate)}`
+              : ', not recovered'}
+          </span>
+        )}
+      </>
+    ) : '—')
+  },
+  {
+    key: 'sharpe',
+    label: 'Sharpe',
+    title: 'Return above cash (3-month T-bills) per unit of volatility',
+    sortValue: s => s.sharpe,
+    render: s => {
+      if (s.sharpe != null) {
+        return <span title={`Against cash at ${s.riskFreeRate.toFixed(1)}% a year`}>{s.sharpe.toFixed(2)}</span>;
+      }
+      // Dataset rows have no volatility; market rows can lack a cash rate
+      if (s.volatility == null) return '—';
+      return (
+        <>
+          —
+          <span className="stats-detail">
+            {s.riskFreeRate == null ? 'no T-bill data for this period' : 'no volatility'}
+          </span>
+        </>
+      );
+    }
+  },
+  {
+    key: 'bestYear',
+    label: 'Best Year',
+    sortValue: s => s.bestYear?.return,
+    render: s => formatYear(s.bestYear)
+  },
+  {
+    key: 'worstYear',
+    label: 'Worst Year',
+    sortValue: s => s.worstYear?.return,
+    render: s => formatYear(s.worstYear)
+  }
+];
+
+function PerformanceStatsTable({ assets }) {
+  const [sort, setSort] = useState({ key: 'cagr', descending: true });
+
+  const rows = assets.filter(asset => asset.stats);
+  if (rows.length === 0) return null;
+
+  const handleSort = (key) => {
+    setSort(prev => ({ key, descending: prev.key === key ? !prev.descending : true }));
+  };
+
+  const sortColumn = COLUMNS.find(c => c.key === sort.key);
+  const sorted = [...rows].sort((a, b) => {
+    if (sort.key === 'name') {
+      return sort.descending ? b.name.localeCompare(a.name) : a.name.localeCompare(b.name);
+    }
+    const av = sortColumn.sortValue(a.stats);
+    const bv = sortColumn.sortValue(b.stats);
+    if (av == null) return bv == null ? 0 : 1;
+    if (bv == null) return -1;
+    return sort.descending ? bv - av : av - bv;
+  });
+
+  const headerClass = (key) => (
+    `stats-header ${sort.key === key ? `stats-header--active stats-header--${sort.descending ? 'desc' : 'asc'}` : ''}`
+  );
+
+  return (
+    <table className="performance-stats">
+      <thead>
+        <tr>
+          <th className={headerClass('name')} onClick={() => handleSort('name')}>Asset</th>
+          {COLUMNS.map(column => (
+            <th
+              key={column.key}
+              className={headerClass(column.key)}
+              onClick={() => handleSort(column.key)}
+              title={column.title}
+            >
+              {column.label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {sorted.map(asset => (
+          <tr key={asset.name}>
+            <td className="stats-asset">
+              <span className="stats-swatch" style={{ backgroundColor: asset.color || '#666' }} />
+              {asset.name}{asset.partialHistory && '†'}{asset.projected && '‡'}
+            </td>
+            {COLUMNS.map(column => (
+              <td key={column.key}>{column.render(asset.stats)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default PerformanceStatsTable;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useRef } from 'react';
+import '../styles/PriceHistoryChart.css';
+
+/**
+ * PriceHistoryChart - Interactive historical price chart for one instrument
+ * Opened as an overlay by clicking a PriceTile
+ *
+ * Features:
+ * - Range buttons from intraday (1D) to 20 years
+ * - Hover crosshair with date/price tooltip
+ * - Log/linear scale toggle (log makes 20-year moves comparable)
+ *
+ * Props:
+ * - instrument: tile metadata { key, label, showDollarSign }
+ *
+ * The 1D range marks the series' own previous close as a baseline
+ * - onClose: called when the overlay is dismissed
+ */
+
+const RANGES = [
+  { key: '1d', label: '1D' },
+  { key: '5d', label: '5D' },
+  { key: '1m', label: '1M' },
+  { key: '6m', label: '6M' },
+  { key: 'ytd', label: 'YTD' },
+  { key: '1y', label: '1Y' },
+  { key: '5y', label: '5Y' },
+  { key: '20y', label: '20Y' }
+];
+
+const CHART_POINTS = 300;
+const WIDTH = 800;
+const HEIGHT = 320;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 72 };
+const Y_TICKS = 5;
+const X_TICKS = 5;
+
+function PriceHistoryChart({ instrument, onClose }) {
+  const [range, setRange] = useState('1y');
+  const [logScale, setLogScale] = useState(false);
+  const [points, setPoints] = useState([]);
+  const [previousClose, setPreviousClose] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const response = await fetch(
+          `/api/prices/history?symbol=${encodeURIComponent(instrument.key)}&range=${range}&points=${CHART_POINTS}`
+        );
+        const result = await response.json();
+
+        if (cancelled) return;
+        if (result.success && result.points.length > 1) {
+          setPoints(result.points.map(point => ({ time: new Date(point.time), value: point.close })));
+          setPreviousClose(result.previousClose ?? null);
+          setError(null);
+        } else {
+          setPoints([]);
+          setError(result.error || 'No history available');
+        }
+      } catch (err) {
+        console.error('Failed to fetch price history:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => { cancelled = true; };
+  }, [instrument.key, range]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const isIntraday = range === '1d' || range === '5d';
+  const baseline = range === '1d' ? previousClose : null;
+
+  // Log scale needs strictly positive values
+  const canLog = points.length > 0 && points.every(p => p.value > 0);
+  const useLog = logScale && canLog;
+  const scale = useLog ? Math.log : (v) => v;
+  const unscale = useLog ? Math.exp : (v) => v;
+
+  const values = points.map(p => p.value).concat(baseline != null ? [baseline] : []);
+  const min = scale(Math.min(...values));
+  const max = scale(Math.max(...values));
+  const span = max - min || 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) => PADDING.left + (i / Math.max(points.length - 1, 1)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (scale(value) - min) / span) * plotHeight;
+
+  const formatPrice = (val) => {
+    const formatted = val.toLocaleString('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+    return instrument.showDollarSign ? `$${formatted}` : formatted;
+  };
+
+  const formatTime = (date) => (isIntraday
+    ? date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }));
+
+  const formatAxisTime = (date) => (isIntraday
+    ? date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString('en-US', { year: '2-digit', month: 'short' }));
+
+  // Ticks evenly spaced in the current scale, so log ticks follow the axis
+  const yTicks = [...Array(Y_TICKS)].map((_, i) => unscale(min + (span * i) / (Y_TICKS - 1)));
+  const xTicks = points.length > 1
+    ? [...Array(X_TICKS)].map((_, i) => Math.round((i * (points.length - 1)) / (X_TICKS - 1)))
+    : [];
+
+  const path = points.map((p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+  const first = points[0]?.value;
+  const last = points[points.length - 1]?.value;
+  const reference = baseline ?? first;
+  const isUp = last >= reference;
+  const rangeChange = reference ? ((last - reference) / reference) * 100 : null;
+
+  // Map mouse position to the nearest point
+  const handleMouseMove = (e) => {
+    if (!svgRef.current || points.length < 2) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    const svgX = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const ratio = (svgX - PADDING.left) / plotWidth;
+    const index = Math.round(ratio * (points.length - 1));
+    setHoverIndex(Math.min(Math.max(index, 0), points.length - 1));
+  };
+
+  const hovered = hoverIndex != null ? points[hoverIndex] : null;
+
+  return (
+    <div className="history-overlay" onClick={onClose}>
+      <div className="history-chart" onClick={(e) => e.stopPropagation()}>
+        <div className="history-header">
+          <div>
+            <h2 className="history-title">{instrument.label}</h2>
+            {rangeChange != null && !loading && (
+              <span className={`history-change ${isUp ? 'history-change--up' : 'history-change--down'}`}>
+                {rangeChange >= 0 ? '+' : ''}{rangeChange.toFixed(2)}%
+              </span>
+            )}
+          </div>
+          <button className="history-close" onClick={onClose} aria-label="Close chart">
+            &times;
+          </button>
+        </div>
+
+        <div className="history-controls">
+          <div className="history-ranges">
+            {RANGES.map(r => (
+              <button
+                key={r.key}
+                className={`history-range ${r.key === range ? 'history-range--active' : ''}`}
+                onClick={() => setRange(r.key)}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <button
+            className={`history-range ${useLog ? 'history-range--active' : ''}`}
+            onClick={() => setLogScale(prev => !prev)}
+            disabled={!canLog}
+            title="Toggle logarithmic scale"
+          >
+            {useLog ? 'LOG' : 'LINEAR'}
+          </button>
+        </div>
+
+        <div className="history-plot">
+          {loading && <div className="history-status">Loading...</div>}
+          {!loading && error && <div className="history-status">{error}</div>}
+
+          {!loading && !error && (
+            <svg
+              ref={svgRef}
+              viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+              className={isUp ? 'history-svg history-svg--up' : 'history-svg history-svg--down'}
+              onMouseMove={handleMouseMove}
+              onMouseLeave={() => setHoverIndex(null)}
+            >
+              {/* Grid + Y-axis */}
+              {yTicks.map((tick, i) => (
+                <g key={i}>
+                  <line className="history-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} />
+                  <text className="history-axis" x={PADDING.left - 8} y={y(tick)} textAnchor="end" dominantBaseline="middle">
+                    {formatPrice(tick)}
+                  </text>
+                </g>
+              ))}
+
+              {/* X-axis */}
+              {xTicks.map((index, i) => (
+                <text
+                  key={i}
+                  className="history-axis"
+                  x={x(index)}
+                  y={HEIGHT - 8}
+                  textAnchor={i === 0 ? 'start' : i === xTicks.length - 1 ? 'end' : 'middle'}
+                >
+                  {formatAxisTime(points[index].time)}
+                </text>
+              ))}
+
+              {baseline != null && (
+                <line
+                  className="history-baseline"
+                  x1={PADDING.left}
+                  x2={WIDTH - PADDING.right}
+                  y1={y(baseline)}
+                  y2={y(baseline)}
+                />
+              )}
+
+              <polyline className="history-line" points={path} />
+
+              {/* Crosshair */}
+              {hovered && (
+                <g>
+                  <line className="history-crosshair" x1={x(hoverIndex)} x2={x(hoverIndex)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} />
+                  <line className="history-crosshair" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(hovered.value)} y2={y(hovered.value)} />
+                  <circle className="history-dot" cx={x(hoverIndex)} cy={y(hovered.value)} r="4" />
+                </g>
+              )}
+            </svg>
+          )}
+
+          {hovered && (
+            <div
+              className="history-tooltip"
+              style={{
+                left: `${(x(hoverIndex) / WIDTH) * 100}%`,
+                top: `${(y(hovered.value) / HEIGHT) * 100}%`
+              }}
+            >
+              <div className="history-tooltip-price">{formatPrice(hovered.value)}</div>
+              <div className="history-tooltip-time">{formatTime(hovered.time)}</div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PriceHistoryChart;
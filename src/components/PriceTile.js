@@ -1,25 +1,66 @@
 import React from 'react';
+import Sparkline from './Sparkline';
+
+const USD = { code: 'USD', symbol: '$', locale: 'en-US' };
+
+/**
+ * Whether a locale writes the currency symbol after the amount
+ */
+function symbolAfterAmount({ code, locale }) {
+  try {
+    const parts = new Intl.NumberFormat(locale, { style: 'currency', currency: code }).formatToParts(1);
+    const types = parts.map(part => part.type);
+    return types.indexOf('currency') > types.indexOf('integer');
+  } catch (err) {
+    return false;
+  }
+}
 
 /**
  * PriceTile Component - Refined Dashboard Design
  *
  * New layout: Price prominent on top, label below, % as pill badge
  * Glassmorphism styling with improved scannability
+ * Optional intraday sparkline marks the previous close
+ * Clickable when onClick is provided (opens the history chart)
+ * Optional detail line under the badge (e.g. a ratio's percentile)
+ * Prices are formatted for the display currency's locale, with its symbol
+ * placed where that locale puts it (e.g. "2.444,43 €")
+ * Metals get a unit toggle (oz → g → kg → tola → dwt) when units are given
  */
 function PriceTile({
   name,
   price,
   changePercent,
+  previousClose,
+  history,
   variant = 'default',
   isUpdated = false,
-  showDollarSign = true
+  showDollarSign = true,
+  currency = USD,
+  units,
+  unit,
+  onUnitChange,
+  detail,
+  onClick
 }) {
-  const isPositive = changePercent >= 0;
+  // No baseline (changePercent null) gets a neutral badge, not a green one
+  const direction = typeof changePercent !== 'number' ? 'neutral'
+    : changePercent >= 0 ? 'positive' : 'negative';
+  const symbolAfter = symbolAfterAmount(currency);
+  const currentUnit = units?.find(u => u.key === unit) || units?.[0];
+
+  // Cycle to the next unit without opening the history chart
+  const handleUnitToggle = (e) => {
+    e.stopPropagation();
+    const index = units.indexOf(currentUnit);
+    onUnitChange(units[(index + 1) % units.length].key);
+  };
 
   // Format price based on magnitude
   const formatPrice = (val) => {
     if (val === null || val === undefined) return '--';
-    return val.toLocaleString('en-US', {
+    return val.toLocaleString(currency.locale, {
       minimumFractionDigits: 2,
       maximumFractionDigits: 2
     });
@@ -35,20 +76,37 @@ function PriceTile({
   const tileClasses = [
     'price-tile',
     `price-tile--${variant}`,
-    isUpdated ? 'price-tile--updated' : ''
+    isUpdated ? 'price-tile--updated' : '',
+    onClick ? 'price-tile--clickable' : ''
   ].filter(Boolean).join(' ');
 
   return (
-    <div className={tileClasses}>
+    <div className={tileClasses} onClick={onClick}>
       <div className="tile-content">
         <div className="tile-price">
-          {showDollarSign && <span className="currency">$</span>}
+          {showDollarSign && !symbolAfter && <span className="currency">{currency.symbol}</span>}
           <span className="price-value">{formatPrice(price)}</span>
+          {showDollarSign && symbolAfter && <span className="currency currency--after">{currency.symbol}</span>}
         </div>
-        <div className="tile-label">{name}</div>
-        <div className={`tile-badge ${isPositive ? 'badge-positive' : 'badge-negative'}`}>
+        <div className="tile-label">{currentUnit ? currentUnit.label : name}</div>
+        <div className={`tile-badge badge-${direction}`}>
           {formatPercent(changePercent)}
         </div>
+        {detail && <div className="tile-detail">{detail}</div>}
+        {units && onUnitChange && (
+          <button
+            className="tile-unit-toggle"
+            onClick={handleUnitToggle}
+            title={`Price per ${currentUnit.name.toLowerCase()} - click to change unit`}
+          >
+            {currentUnit.key.toUpperCase()}
+          </button>
+        )}
+        {history && (
+          <div className="tile-sparkline">
+            <Sparkline points={history} baseline={previousClose} />
+          </div>
+        )}
       </div>
     </div>
   );
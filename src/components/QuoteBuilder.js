@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import AdminLogin from './AdminLogin';
+import { useAuth, authFetch } from '../hooks/useAuth';
+import '../styles/QuoteBuilder.css';
+
+/**
+ * QuoteBuilder - Bullion quote panel for sales reps
+ * Opened as an overlay from the market widget toolbar
+ *
+ * Flow:
+ * - Pick quantities from the product catalog (/api/catalog)
+ * - "Lock Price" prices the basket against live spot (POST /api/quote;
+ *   reps sign in first, shared links open without one)
+ * - The quote shows a countdown to expiry, the spot it was locked at,
+ *   and can be printed or shared as a link (/?quote=<id>)
+ * - Expired quotes can be re-quoted at current spot with one click
+ *
+ * Props:
+ * - currency: display currency code for new quotes
+ * - quoteId: open an existing quote (share links)
+ * - onClose: called when the overlay is dismissed
+ */
+
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+function QuoteBuilder({ currency, quoteId, onClose }) {
+  const [products, setProducts] = useState([]);
+  const [basket, setBasket] = useState({});
+  const [customer, setCustomer] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [shareStatus, setShareStatus] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const { user, checking, login } = useAuth();
+  // A shared link asks for a sign-in only once the viewer prices something
+  const [needsSignIn, setNeedsSignIn] = useState(!quoteId);
+
+  useEffect(() => {
+    fetch('/api/catalog')
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) setProducts(result.products);
+      })
+      .catch(err => console.error('Failed to fetch catalog:', err));
+  }, []);
+
+  // Shared link: load the stored quote
+  useEffect(() => {
+    if (!quoteId) return;
+
+    fetch(`/api/quote/${encodeURIComponent(quoteId)}`)
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) setQuote(result.quote);
+        else setError(result.error);
+      })
+      .catch(err => setError(err.message));
+  }, [quoteId]);
+
+  // Tick the expiry countdown while a quote is open
+  useEffect(() => {
+    if (!quote) return undefined;
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [quote]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const requestQuote = useCallback(async (items, quoteCurrency, quoteCustomer) => {
+    setSubmitting(true);
+    setError(null);
+    setShareStatus(null);
+    try {
+      const response = await authFetch('/api/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items, currency: quoteCurrency, customer: quoteCustomer || undefined })
+      });
+      const result = await response.json();
+
+      if (response.status === 401) {
+        setNeedsSignIn(true);
+      } else if (result.success) {
+        setQuote(result.quote);
+        setNow(Date.now());
+      } else {
+        setError(result.error || 'Unable to price quote');
+      }
+    } catch (err) {
+      console.error('Failed to create quote:', err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }, []);
+
+  const basketItems = Object.entries(basket)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([productId, quantity]) => ({ productId, quantity }));
+
+  const lockPrice = () => requestQuote(basketItems, currency, customer);
+
+  // Same basket at current spot
+  const requote = () => requestQuote(
+    quote.lines.map(line => ({ productId: line.productId, quantity: line.quantity })),
+    quote.currency.code,
+    quote.customer
+  );
+
+  const editBasket = () => {
+    setBasket(Object.fromEntries(quote.lines.map(line => [line.productId, line.quantity])));
+    setCustomer(quote.customer || '');
+    setQuote(null);
+    setShareStatus(null);
+  };
+
+  const shareQuote = async () => {
+    const url = `${window.location.origin}/?quote=${quote.id}`;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: `Bullion quote ${quote.id}`, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        setShareStatus('Link copied');
+      }
+    } catch (err) {
+      // Dismissed share sheet or blocked clipboard: show the link instead
+      setShareStatus(url);
+    }
+  };
+
+  const setQuantity = (productId, value) => {
+    const quantity = Math.max(0, parseInt(value, 10) || 0);
+    setBasket(prev => ({ ...prev, [productId]: quantity }));
+  };
+
+  const money = (value, code = quote?.currency.code) => value.toLocaleString(quote?.currency.locale || 'en-US', {
+    style: 'currency',
+    currency: code || 'USD'
+  });
+
+  const secondsRemaining = quote
+    ? Math.max(0, Math.round((new Date(quote.expiresAt).getTime() - now) / 1000))
+    : 0;
+  const expired = quote && secondsRemaining === 0;
+
+  if (needsSignIn && !user && !checking) {
+    return <AdminLogin title="SIGN IN TO QUOTE" onLogin={login} onClose={onClose} />;
+  }
+
+  return (
+    <div className="quote-overlay" onClick={onClose}>
+      <div className="quote-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="quote-header">
+          <h2 className="quote-title">{quote ? `Quote ${quote.id}` : 'New Bullion Quote'}</h2>
+          <button className="quote-close" onClick={onClose} aria-label="Close quote">
+            &times;
+          </button>
+        </div>
+
+        {error && <div className="quote-error">{error}</div>}
+
+        {!quote && (
+          <div className="quote-builder">
+            <table className="quote-table">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Premium</th>
+                  <th>Qty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {products.map(product => (
+                  <tr key={product.id}>
+                    <td>{product.name}</td>
+                    <td className="quote-premium">
+                      {product.premium.tiers.map(tier => (
+                        <span key={tier.minQuantity}>
+                          {tier.minQuantity}+: {product.premium.type === 'percent' ? `${tier.value}%` : `$${tier.value}`}
+                        </span>
+                      ))}
+                    </td>
+                    <td>
+                      <input
+                        className="quote-qty"
+                        type="number"
+                        min="0"
+                        value={basket[product.id] || ''}
+                        onChange={(e) => setQuantity(product.id, e.target.value)}
+                        aria-label={`${product.name} quantity`}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="quote-actions">
+              <input
+                className="quote-customer"
+                type="text"
+                placeholder="Customer (optional)"
+                value={customer}
+                onChange={(e) => setCustomer(e.target.value)}
+              />
+              <button
+                className="quote-button quote-button--primary"
+                onClick={lockPrice}
+                disabled={basketItems.length === 0 || submitting}
+              >
+                {submitting ? 'Pricing...' : `Lock Price${currency ? ` (${currency})` : ''}`}
+              </button>
+            </div>
+            <p className="quote-note">Flat premiums are set in USD and converted at the locked FX rate.</p>
+          </div>
+        )}
+
+        {quote && (
+          <div className="quote-summary">
+            <div className="quote-meta">
+              <span className={`quote-timer ${expired ? 'quote-timer--expired' : ''}`}>
+                {expired ? 'EXPIRED' : `Expires in ${formatCountdown(secondsRemaining)}`}
+              </span>
+              <span>{new Date(quote.createdAt).toLocaleString()}</span>
+              {quote.customer && <span>For: {quote.customer}</span>}
+              <span>Prices in {quote.currency.code}</span>
+            </div>
+
+            <table className="quote-table">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Qty</th>
+                  <th>Metal Value</th>
+                  <th>Premium</th>
+                  <th>Unit Price</th>
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {quote.lines.map(line => (
+                  <tr key={line.productId}>
+                    <td>{line.name}</td>
+                    <td>{line.quantity}</td>
+                    <td>{money(line.metalValueEach)}</td>
+                    <td>
+                      {money(line.premiumEach)}
+                      <span className="quote-rule">
+                        {line.premiumRule.type === 'percent' ? `${line.premiumRule.value}%` : `$${line.premiumRule.value} USD`}
+                      </span>
+                    </td>
+                    <td>{money(line.unitPrice)}</td>
+                    <td>{money(line.lineTotal)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="5">Total</td>
+                  <td>{money(quote.total)}</td>
+                </tr>
+              </tfoot>
+            </table>
+
+            <p className="quote-spot">
+              Spot locked {new Date(quote.spotLock.lockedAt).toLocaleTimeString()}:{' '}
+              {Object.keys(quote.fineOunces).map(metal => {
+                const spot = quote.spotLock.snapshot.data[metal];
+                return (
+                  <span key={metal} className="quote-spot-metal">
+                    {spot.name} {money(spot.price)}/oz ({spot.provider})
+                  </span>
+                );
+              })}
+            </p>
+
+            <div className="quote-actions">
+              <button className="quote-button" onClick={editBasket}>Edit Basket</button>
+              <button className="quote-button" onClick={() => window.print()}>Print</button>
+              <button className="quote-button" onClick={shareQuote}>Share</button>
+              {expired && (
+                <button className="quote-button quote-button--primary" onClick={requote} disabled={submitting}>
+                  {submitting ? 'Pricing...' : 'Re-quote at Current Spot'}
+                </button>
+              )}
+            </div>
+            {shareStatus && <p className="quote-note">{shareStatus}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default QuoteBuilder;
@@ -0,0 +1,56 @@
+import React from 'react';
+import PriceTile from './PriceTile';
+import useRatios from '../hooks/useRatios';
+import '../styles/MarketWidget.css';
+
+/**
+ * RatioWidget Component
+ *
+ * A row of derived ratio tiles (gold/silver, Dow/gold, S&P 500/gold)
+ * under the price tiles. Each shows the ratio, its daily change and where
+ * it sits in its 20-year range, e.g. "85th percentile · 20Y".
+ *
+ * Props:
+ * - ratios: optional list of ratio keys or expressions, e.g. ['gold-silver', 'platinum/gold']
+ */
+
+/**
+ * English ordinal suffix: 1st, 2nd, 3rd, 11th, 85th
+ */
+function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+}
+
+function RatioWidget({ ratios: ratioKeys }) {
+  const { ratios } = useRatios(ratioKeys);
+
+  if (ratios.length === 0) return null;
+
+  const gridStyle = { '--tile-columns': ratios.length };
+
+  return (
+    <div className="market-widget ratio-widget">
+      <div className="widget-grid" style={gridStyle}>
+        {ratios.map((ratio) => (
+          <PriceTile
+            key={ratio.key}
+            name={ratio.label}
+            price={ratio.value}
+            changePercent={ratio.changePercent}
+            variant="ratio"
+            showDollarSign={false}
+            detail={ratio.percentile && (
+              <span title={`${ratio.percentile.years}-year range: ${ratio.percentile.min.toFixed(2)} – ${ratio.percentile.max.toFixed(2)}`}>
+                {ordinal(ratio.percentile.rank)} percentile · {ratio.percentile.years}Y
+              </span>
+            )}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RatioWidget;
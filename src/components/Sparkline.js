@@ -0,0 +1,53 @@
+import React from 'react';
+
+/**
+ * Sparkline - Lightweight SVG line of the day's prices
+ *
+ * Colored by direction versus the previous close (or the first point
+ * when no baseline is known), with a dashed previous-close line.
+ *
+ * Props:
+ * - points: array of prices, oldest first
+ * - baseline: previous close to mark (optional)
+ * - width / height: SVG viewBox size
+ */
+function Sparkline({ points, baseline, width = 120, height = 32 }) {
+  if (!points || points.length < 2) return null;
+
+  const reference = baseline ?? points[0];
+  const isUp = points[points.length - 1] >= reference;
+
+  // Include the baseline in the scale so the dashed line stays in view
+  const values = baseline != null ? [...points, baseline] : points;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const pad = 2;
+
+  const x = (i) => (i / (points.length - 1)) * width;
+  const y = (value) => pad + (1 - (value - min) / span) * (height - pad * 2);
+
+  const path = points.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+
+  return (
+    <svg
+      className={`sparkline ${isUp ? 'sparkline--up' : 'sparkline--down'}`}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      aria-hidden="true"
+    >
+      {baseline != null && (
+        <line
+          className="sparkline-baseline"
+          x1="0"
+          x2={width}
+          y1={y(baseline)}
+          y2={y(baseline)}
+        />
+      )}
+      <polyline className="sparkline-line" points={path} />
+    </svg>
+  );
+}
+
+export default Sparkline;
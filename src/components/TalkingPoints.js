@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * TalkingPoints - Editorial quote cards under the market tiles
+ * Shows three points at a time; with more active, pages rotate every
+ * 45 seconds, highest priority first
+ *
+ * Props:
+ * - points: active talking points from /api/talking-points, mixed with
+ *   /api/talking-points/generated (flagged `generated`)
+ */
+
+const ROTATION_INTERVAL = 45000; // 45 seconds
+const POINTS_PER_PAGE = 3;
+
+function TalkingPoints({ points }) {
+  const [currentPage, setCurrentPage] = useState(0);
+  const [fading, setFading] = useState(false);
+
+  const totalPages = Math.ceil(points.length / POINTS_PER_PAGE);
+
+  // Stay in range when points expire
+  useEffect(() => {
+    setCurrentPage(prev => (prev < totalPages ? prev : 0));
+  }, [totalPages]);
+
+  // Auto-rotate pages
+  useEffect(() => {
+    if (totalPages <= 1) return undefined;
+
+    let fadeTimer;
+    const rotationTimer = setInterval(() => {
+      setFading(true);
+      fadeTimer = setTimeout(() => {
+        setCurrentPage(prev => (prev + 1) % totalPages);
+        setFading(false);
+      }, 400);
+    }, ROTATION_INTERVAL);
+
+    return () => {
+      clearInterval(rotationTimer);
+      clearTimeout(fadeTimer);
+    };
+  }, [totalPages]);
+
+  if (points.length === 0) return null;
+
+  const start = currentPage * POINTS_PER_PAGE;
+  const pagePoints = points.slice(start, start + POINTS_PER_PAGE);
+
+  return (
+    <section className="talking-points">
+      <h2 className="section-header">
+        <span className="line"></span>
+        TALKING POINTS
+        <span className="line"></span>
+      </h2>
+      <div className={`points-grid ${fading ? 'points-grid--fading' : ''}`}>
+        {pagePoints.map(point => (
+          <div key={point.id} className="point-card">
+            <h3 className="point-title">{point.title}</h3>
+            <p className="point-quote">"{point.quote}"</p>
+            {point.sourceName && (
+              <span className="point-source">
+                — {point.sourceUrl
+                  ? <a href={point.sourceUrl} target="_blank" rel="noopener noreferrer">{point.sourceName}</a>
+                  : point.sourceName}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+      {totalPages > 1 && (
+        <div className="points-pager">
+          {[...Array(totalPages)].map((_, i) => (
+            <span key={i} className={`points-dot ${i === currentPage ? 'points-dot--active' : ''}`} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default TalkingPoints;
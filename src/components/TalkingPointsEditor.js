@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../hooks/useAuth';
+import '../styles/TalkingPointsEditor.css';
+
+/**
+ * TalkingPointsEditor - Admin overlay for managing the wall's talking points
+ * Opened with ?admin=talking-points
+ *
+ * Lists every point (active, scheduled and expired) and edits one at a time
+ * through /api/talking-points. Dates are whole days; a point stays up
+ * through its end date. Viewers see the list; editors and admins can change it.
+ *
+ * Props:
+ * - user: the signed-in user ({ username, role })
+ * - onSignOut: signs the user out
+ * - onChange: called after a point is saved or deleted (refreshes the wall)
+ * - onClose: called when the overlay is dismissed
+ */
+
+const EMPTY_FORM = {
+  title: '',
+  quote: '',
+  sourceName: '',
+  sourceUrl: '',
+  startsAt: '',
+  endsAt: '',
+  priority: 0,
+  tags: ''
+};
+
+const toForm = (point) => ({
+  title: point.title,
+  quote: point.quote,
+  sourceName: point.sourceName || '',
+  sourceUrl: point.sourceUrl || '',
+  startsAt: point.startsAt ? point.startsAt.slice(0, 10) : '',
+  endsAt: point.endsAt ? point.endsAt.slice(0, 10) : '',
+  priority: point.priority,
+  tags: point.tags.join(', ')
+});
+
+const toBody = (form) => ({
+  title: form.title,
+  quote: form.quote,
+  sourceName: form.sourceName || null,
+  sourceUrl: form.sourceUrl || null,
+  startsAt: form.startsAt || null,
+  endsAt: form.endsAt || null,
+  priority: Number(form.priority) || 0,
+  tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+});
+
+const formatRange = (point) => {
+  if (!point.startsAt && !point.endsAt) return 'Always';
+  return `${point.startsAt ? point.startsAt.slice(0, 10) : '…'} – ${point.endsAt ? point.endsAt.slice(0, 10) : '…'}`;
+};
+
+function TalkingPointsEditor({ user, onSignOut, onChange, onClose }) {
+  const [points, setPoints] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = user.role === 'editor' || user.role === 'admin';
+
+  const loadPoints = useCallback(async () => {
+    try {
+      const response = await authFetch('/api/talking-points/all');
+      const result = await response.json();
+      if (result.success) setPoints(result.points);
+      else setError(result.error);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPoints();
+  }, [loadPoints]);
+
+  // Close on Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const startEdit = (point) => {
+    setEditingId(point ? point.id : null);
+    setForm(point ? toForm(point) : EMPTY_FORM);
+    setError(null);
+  };
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await authFetch(
+        editingId ? `/api/talking-points/${encodeURIComponent(editingId)}` : '/api/talking-points',
+        {
+          method: editingId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(toBody(form))
+        }
+      );
+      const result = await response.json();
+
+      if (!result.success) {
+        setError(result.error || 'Failed to save talking point');
+        return;
+      }
+      startEdit(null);
+      await loadPoints();
+      onChange?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (point) => {
+    if (!window.confirm(`Delete "${point.title}"?`)) return;
+    try {
+      const response = await authFetch(`/api/talking-points/${encodeURIComponent(point.id)}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      if (editingId === point.id) startEdit(null);
+      await loadPoints();
+      onChange?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="tpe-overlay" onClick={onClose}>
+      <div className="tpe-panel" onClick={e => e.stopPropagation()}>
+        <div className="tpe-header">
+          <h2 className="tpe-title">TALKING POINTS</h2>
+          <div className="tpe-session">
+            <span>{user.username} · {user.role}</span>
+            <button className="tpe-button" onClick={onSignOut}>Sign Out</button>
+            <button className="tpe-close" onClick={onClose} aria-label="Close">&times;</button>
+          </div>
+        </div>
+
+        {error && <div className="tpe-error">{error}</div>}
+
+        <table className="tpe-table">
+          <thead>
+            <tr>
+              <th>Point</th>
+              <th>Status</th>
+              <th>Active</th>
+              <th>Priority</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {points.map(point => (
+              <tr key={point.id} className={point.id === editingId ? 'tpe-row--editing' : ''}>
+                <td>
+                  <span className="tpe-point-title">{point.title}</span>
+                  <span className="tpe-point-meta">
+                    {point.sourceName || 'No source'}
+                    {point.tags.map(tag => <span key={tag} className="tpe-tag">{tag}</span>)}
+                  </span>
+                </td>
+                <td><span className={`tpe-status tpe-status--${point.status}`}>{point.status}</span></td>
+                <td>{formatRange(point)}</td>
+                <td>{point.priority}</td>
+                <td className="tpe-row-actions">
+                  {canEdit && (
+                    <>
+                      <button className="tpe-button" onClick={() => startEdit(point)}>Edit</button>
+                      <button className="tpe-button" onClick={() => remove(point)}>Delete</button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {canEdit && (
+          <form className="tpe-form" onSubmit={save}>
+            <h3 className="tpe-form-title">{editingId ? 'Edit point' : 'New point'}</h3>
+            <label className="tpe-field tpe-field--wide">
+              Title
+              <input value={form.title} onChange={updateField('title')} maxLength={120} required />
+            </label>
+            <label className="tpe-field tpe-field--wide">
+              Quote
+              <textarea value={form.quote} onChange={updateField('quote')} maxLength={600} rows={3} required />
+            </label>
+            <label className="tpe-field">
+              Source
+              <input value={form.sourceName} onChange={updateField('sourceName')} placeholder="Bloomberg" />
+            </label>
+            <label className="tpe-field">
+              Source URL
+              <input type="url" value={form.sourceUrl} onChange={updateField('sourceUrl')} placeholder="https://" />
+            </label>
+            <label className="tpe-field">
+              From
+              <input type="date" value={form.startsAt} onChange={updateField('startsAt')} />
+            </label>
+            <label className="tpe-field">
+              Until
+              <input type="date" value={form.endsAt} onChange={updateField('endsAt')} />
+            </label>
+            <label className="tpe-field">
+              Priority
+              <input type="number" step="1" value={form.priority} onChange={updateField('priority')} />
+            </label>
+            <label className="tpe-field">
+              Tags
+              <input value={form.tags} onChange={updateField('tags')} placeholder="macro, silver" />
+            </label>
+            <div className="tpe-form-actions">
+              {editingId && (
+                <button type="button" className="tpe-button" onClick={() => startEdit(null)}>Cancel</button>
+              )}
+              <button type="submit" className="tpe-button tpe-button--primary" disabled={saving}>
+                {saving ? 'Saving…' : editingId ? 'Save Changes' : 'Add Point'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TalkingPointsEditor;
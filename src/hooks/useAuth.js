@@ -0,0 +1,93 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Admin sign-in for the management screens
+ *
+ * The session token from /api/auth/login is kept in localStorage and sent
+ * as a bearer token by authFetch. A 401 from any management call signs
+ * the user out everywhere on the page.
+ */
+
+const TOKEN_STORAGE_KEY = 'marketWidget.authToken';
+const SIGNED_OUT_EVENT = 'marketWidget:signedOut';
+
+const getToken = () => window.localStorage.getItem(TOKEN_STORAGE_KEY);
+
+/**
+ * Whether this browser holds a session token (it may still have expired)
+ */
+export const hasSession = () => Boolean(getToken());
+
+function clearToken() {
+  window.localStorage.removeItem(TOKEN_STORAGE_KEY);
+  window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+}
+
+/**
+ * fetch() with the signed-in user's token
+ */
+export async function authFetch(url, options = {}) {
+  const token = getToken();
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+  });
+
+  if (response.status === 401 && token) {
+    clearToken();
+  }
+  return response;
+}
+
+/**
+ * @returns {Object} { user, checking, login, logout }
+ *   login(username, password) resolves to an error message, or null on success
+ */
+export function useAuth() {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(Boolean(getToken()));
+
+  // Restore a stored session
+  useEffect(() => {
+    if (!getToken()) return;
+
+    authFetch('/api/auth/me')
+      .then(response => response.json())
+      .then(result => setUser(result.success ? result.user : null))
+      .catch(() => setUser(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  // Expired or revoked sessions
+  useEffect(() => {
+    const onSignedOut = () => setUser(null);
+    window.addEventListener(SIGNED_OUT_EVENT, onSignedOut);
+    return () => window.removeEventListener(SIGNED_OUT_EVENT, onSignedOut);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const result = await response.json();
+
+      if (!result.success) return result.error || 'Sign in failed';
+      window.localStorage.setItem(TOKEN_STORAGE_KEY, result.token);
+      setUser(result.user);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, []);
+
+  const logout = useCallback(() => {
+    clearToken();
+  }, []);
+
+  return { user, checking, login, logout };
+}
+
+export default useAuth;
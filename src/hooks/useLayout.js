@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react';
+import bundledDefault from 'market-widget-shared/defaultLayout.json';
+
+/**
+ * Custom hook for fetching a screen's dashboard layout
+ * Refetched regularly so edits reach the screens without a reload
+ *
+ * Wall screens must never go blank: `/` starts from the bundled default
+ * layout (the server's seed) until the API answers, a failed refetch keeps
+ * the last layout that loaded, and a screen whose layout never loaded
+ * falls back to the bundled default.
+ *
+ * @param {string} layoutId - Layout id from /d/:layoutId ('default' for /)
+ * @param {number} refreshInterval - Refresh interval in milliseconds
+ * @returns {Object} { layout, loading, error, refresh }
+ */
+export function useLayout(layoutId, refreshInterval = 300000) {
+  const [layout, setLayout] = useState(layoutId === bundledDefault.id ? bundledDefault : null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchLayout = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/layouts/${encodeURIComponent(layoutId)}`);
+      const result = await response.json();
+
+      if (result.success) {
+        setLayout(result.layout);
+        setError(null);
+      } else {
+        console.error('[useLayout] Layout unavailable:', result.error);
+        setError(result.error || 'Failed to fetch layout');
+        setLayout(prev => prev || bundledDefault);
+      }
+    } catch (err) {
+      console.error('[useLayout] Fetch error:', err);
+      setError(err.message);
+      setLayout(prev => prev || bundledDefault);
+    } finally {
+      setLoading(false);
+    }
+  }, [layoutId]);
+
+  useEffect(() => {
+    fetchLayout();
+    const intervalId = setInterval(fetchLayout, refreshInterval);
+    return () => clearInterval(intervalId);
+  }, [fetchLayout, refreshInterval]);
+
+  return { layout, loading, error, refresh: fetchLayout };
+}
+
+export default useLayout;
@@ -1,39 +1,118 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { authFetch, hasSession } from './useAuth';
+
+const STREAM_URL = '/api/prices/stream';
+const STREAM_TICKET_URL = '/api/prices/stream/ticket';
+const PRICES_URL = '/api/prices';
+
+// Backoff before retrying the stream after it fails (ms)
+const STREAM_RETRY_MIN = 5000;
+const STREAM_RETRY_MAX = 60000;
 
 /**
  * Custom hook for fetching and managing market data
  *
  * Features:
- * - Auto-refresh at configurable intervals (default 30 seconds)
- * - Error handling with retry logic
+ * - Live updates pushed from /api/prices/stream (Server-Sent Events)
+ * - Automatic reconnect with backoff if the stream drops
+ * - Falls back to polling /api/prices while the stream is unavailable
  * - Loading states for initial and subsequent fetches
  * - Tracks which prices have updated for animations
+ * - Collects price alerts fired on the server (stream `alert` events) when
+ *   asked to and signed in as a viewer or above; public embeds never ask
  *
- * @param {number} refreshInterval - Refresh interval in milliseconds
- * @returns {Object} Market data, loading state, error state, and last updated time
+ * @param {number} refreshInterval - Fallback polling interval in milliseconds
+ * @param {string[]} [instrumentKeys] - Instruments to show, in order (server default if omitted)
+ * @param {string} [currency] - Display currency code, e.g. 'EUR' (server default if omitted)
+ * @param {Object} [options]
+ * @param {boolean} [options.alerts] - Subscribe to fired price alerts (needs a viewer session)
+ * @returns {Object} Market data, tile and currency metadata, loading state, error state, last updated time, and fired alerts
  */
-export function useMarketData(refreshInterval = 30000) {
+/**
+ * Ticket that gets the stream to send alerts, fetched before each connect
+ * since it is short-lived (null when signed out or not allowed)
+ */
+async function fetchStreamTicket() {
+  if (!hasSession()) return null;
+  try {
+    const response = await authFetch(STREAM_TICKET_URL, { method: 'POST' });
+    const result = await response.json();
+    return result.success ? result.ticket : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export function useMarketData(refreshInterval = 30000, instrumentKeys, currency, { alerts: withAlerts = false } = {}) {
   const [data, setData] = useState(null);
+  const [instruments, setInstruments] = useState([]);
+  const [currencyInfo, setCurrencyInfo] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
   const [warnings, setWarnings] = useState([]);
+  const [connection, setConnection] = useState('connecting'); // 'stream' | 'polling' | 'connecting'
+  const [alerts, setAlerts] = useState([]);
 
   // Track previous prices to detect changes for animations
   const prevPricesRef = useRef({});
   const [updatedTiles, setUpdatedTiles] = useState({});
 
   /**
-   * Fetch market data from our API proxy
+   * Merge a full or partial payload into state and flash changed tiles
+   *
+   * @param {Object} payload - { data, instruments?, currency?, lastUpdated, warnings }
+   * @param {boolean} isPartial - true for stream ticks that only carry changed keys
    */
-  const fetchData = useCallback(async (isInitialFetch = false) => {
-    // Only show loading spinner on initial fetch
-    if (isInitialFetch) {
-      setLoading(true);
+  const applyUpdate = useCallback((payload, isPartial = false) => {
+    const newUpdatedTiles = {};
+    const currentPrices = prevPricesRef.current;
+
+    Object.entries(payload.data || {}).forEach(([key, quote]) => {
+      const newPrice = quote?.price;
+      const oldPrice = currentPrices[key];
+
+      if (oldPrice !== undefined && newPrice !== oldPrice) {
+        newUpdatedTiles[key] = true;
+      }
+
+      if (newPrice !== undefined) {
+        currentPrices[key] = newPrice;
+      }
+    });
+
+    // Trigger update animations
+    if (Object.keys(newUpdatedTiles).length > 0) {
+      setUpdatedTiles(newUpdatedTiles);
+      // Clear animation flags after animation completes
+      setTimeout(() => setUpdatedTiles({}), 600);
+    }
+
+    setData(prev => (isPartial ? { ...prev, ...payload.data } : payload.data));
+    if (payload.instruments) {
+      setInstruments(payload.instruments);
     }
+    if (payload.currency) {
+      setCurrencyInfo(payload.currency);
+    }
+    setWarnings(payload.warnings || []);
+    setLastUpdated(new Date(payload.lastUpdated));
+    setError(null);
+    setLoading(false);
+  }, []);
+
+  // Stable query string so array props don't resubscribe on every render
+  const params = new URLSearchParams();
+  if (instrumentKeys?.length) params.set('instruments', instrumentKeys.join(','));
+  if (currency) params.set('currency', currency);
+  const query = params.toString() ? `?${params}` : '';
 
+  /**
+   * Fetch market data from our API proxy
+   */
+  const fetchData = useCallback(async () => {
     try {
-      const response = await fetch('/api/prices');
+      const response = await fetch(`${PRICES_URL}${query}`);
 
       if (!response.ok) {
         throw new Error(`HTTP error: ${response.status}`);
@@ -45,78 +124,118 @@ export function useMarketData(refreshInterval = 30000) {
         throw new Error('API returned unsuccessful response');
       }
 
-      // Detect which prices changed for animation triggers
-      const newUpdatedTiles = {};
-      const currentPrices = prevPricesRef.current;
-
-      if (result.data) {
-        ['gold', 'silver', 'sp500', 'dow'].forEach((key) => {
-          const newPrice = result.data[key]?.price;
-          const oldPrice = currentPrices[key];
-
-          if (oldPrice !== undefined && newPrice !== oldPrice) {
-            newUpdatedTiles[key] = true;
-          }
-
-          if (newPrice !== undefined) {
-            currentPrices[key] = newPrice;
-          }
-        });
-      }
-
-      // Trigger update animations
-      if (Object.keys(newUpdatedTiles).length > 0) {
-        setUpdatedTiles(newUpdatedTiles);
-        // Clear animation flags after animation completes
-        setTimeout(() => setUpdatedTiles({}), 600);
-      }
-
-      setData(result.data);
-      setWarnings(result.warnings || []);
-      setLastUpdated(new Date(result.lastUpdated));
-      setError(null);
+      applyUpdate(result);
 
     } catch (err) {
+      // Don't clear existing data on error - show stale data with warning
       console.error('[useMarketData] Fetch error:', err);
       setError(err.message);
-
-      // Don't clear existing data on error - show stale data with warning
-      if (!data) {
-        setData(null);
-      }
-    } finally {
       setLoading(false);
     }
-  }, [data]);
+  }, [applyUpdate, query]);
+
+  /**
+   * Remove a fired alert once it has been shown
+   */
+  const dismissAlert = useCallback((id) => {
+    setAlerts(prev => prev.filter(alert => alert.id !== id));
+  }, []);
 
   /**
    * Manual refresh function exposed to components
    */
   const refresh = useCallback(() => {
-    fetchData(false);
+    fetchData();
   }, [fetchData]);
 
-  // Initial fetch on mount (runs once)
+  // Subscribe to the price stream, polling while it is unavailable
   useEffect(() => {
-    fetchData(true);
-  }, []);
-
-  // Set up auto-refresh interval
-  useEffect(() => {
-    const intervalId = setInterval(() => {
-      fetchData(false);
-    }, refreshInterval);
+    let source = null;
+    let pollId = null;
+    let retryId = null;
+    let retryDelay = STREAM_RETRY_MIN;
+    let cancelled = false;
+
+    // A new selection or currency isn't a price move, so don't flash it
+    prevPricesRef.current = {};
+
+    const startPolling = () => {
+      if (pollId) return;
+      setConnection('polling');
+      fetchData();
+      pollId = setInterval(fetchData, refreshInterval);
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollId);
+      pollId = null;
+    };
+
+    const connect = async () => {
+      if (cancelled) return;
+
+      if (typeof EventSource === 'undefined') {
+        startPolling();
+        return;
+      }
 
-    return () => clearInterval(intervalId);
-  }, [fetchData, refreshInterval]);
+      // Only the stream carries alerts
+      const streamParams = new URLSearchParams(query);
+      const ticket = withAlerts ? await fetchStreamTicket() : null;
+      if (cancelled) return;
+      if (ticket) streamParams.set('alerts', ticket);
+
+      source = new EventSource(`${STREAM_URL}?${streamParams}`);
+
+      source.addEventListener('snapshot', (event) => {
+        stopPolling();
+        retryDelay = STREAM_RETRY_MIN;
+        setConnection('stream');
+        applyUpdate(JSON.parse(event.data));
+      });
+
+      source.addEventListener('tick', (event) => {
+        applyUpdate(JSON.parse(event.data), true);
+      });
+
+      source.addEventListener('alert', (event) => {
+        const alert = JSON.parse(event.data);
+        setAlerts(prev => [...prev, alert]);
+      });
+
+      source.onerror = () => {
+        // Take over reconnects ourselves so we can poll in between
+        console.warn('[useMarketData] Price stream lost, falling back to polling');
+        source.close();
+        source = null;
+        startPolling();
+        retryId = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, STREAM_RETRY_MAX);
+      };
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      if (source) source.close();
+      stopPolling();
+      clearTimeout(retryId);
+    };
+  }, [applyUpdate, fetchData, query, withAlerts, refreshInterval]);
 
   return {
     data,
+    instruments,
+    currency: currencyInfo,
     loading,
     error,
     lastUpdated,
     warnings,
     updatedTiles,
+    connection,
+    alerts,
+    dismissAlert,
     refresh
   };
 }
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Custom hook for fetching intraday price series for sparklines
+ * Series are downsampled and cached server-side, so refreshing every
+ * 5 minutes is cheap
+ *
+ * @param {string[]} keys - Instrument keys to fetch
+ * @param {string} range - History range (default '1d')
+ * @param {number} refreshInterval - Refresh interval in milliseconds
+ * @returns {Object} Series keyed by instrument key, e.g.
+ *   { gold: { points: [2641.2, ...], previousClose: 2638.4 } }; previousClose
+ *   comes from the same series, so it is the baseline to draw against
+ */
+export function usePriceHistory(keys, range = '1d', refreshInterval = 300000) {
+  const [series, setSeries] = useState({});
+
+  // Stable dependency so a new array with the same keys doesn't refetch
+  const keyList = keys.join(',');
+
+  const fetchSeries = useCallback(async () => {
+    const entries = await Promise.all(keyList.split(',').filter(Boolean).map(async (key) => {
+      try {
+        const response = await fetch(`/api/prices/history?symbol=${encodeURIComponent(key)}&range=${range}`);
+        const result = await response.json();
+        return result.success
+          ? [key, { points: result.points.map(point => point.close), previousClose: result.previousClose ?? null }]
+          : null;
+      } catch (err) {
+        console.error(`[usePriceHistory] Fetch error for ${key}:`, err);
+        return null;
+      }
+    }));
+
+    // Keep the previous series for any instrument that failed this round
+    setSeries(prev => ({ ...prev, ...Object.fromEntries(entries.filter(Boolean)) }));
+  }, [keyList, range]);
+
+  useEffect(() => {
+    fetchSeries();
+    const intervalId = setInterval(fetchSeries, refreshInterval);
+    return () => clearInterval(intervalId);
+  }, [fetchSeries, refreshInterval]);
+
+  return series;
+}
+
+export default usePriceHistory;
@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Custom hook for fetching derived ratio tiles (gold/silver, Dow/gold, ...)
+ * Ratios are computed server-side from the same quotes as the price tiles
+ *
+ * @param {string[]} [ratioKeys] - Ratio keys or expressions (server default if omitted)
+ * @param {number} refreshInterval - Refresh interval in milliseconds
+ * @returns {Object} { ratios, loading, error }
+ */
+export function useRatios(ratioKeys, refreshInterval = 60000) {
+  const [ratios, setRatios] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Stable dependency so a new array with the same keys doesn't refetch
+  const query = ratioKeys?.length ? `?ratios=${encodeURIComponent(ratioKeys.join(','))}` : '';
+
+  const fetchRatios = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/ratios${query}`);
+      const result = await response.json();
+
+      if (result.success) {
+        setRatios(result.ratios);
+        setError(null);
+      } else {
+        setError(result.error || 'Failed to fetch ratios');
+      }
+    } catch (err) {
+      console.error('[useRatios] Fetch error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchRatios();
+    const intervalId = setInterval(fetchRatios, refreshInterval);
+    return () => clearInterval(intervalId);
+  }, [fetchRatios, refreshInterval]);
+
+  return { ratios, loading, error };
+}
+
+export default useRatios;
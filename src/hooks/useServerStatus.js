@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Custom hook for polling /api/health
+ * Drives the kiosk connectivity indicator and build-version reloads
+ *
+ * `online` is false while the browser reports no network or the last
+ * health check failed; `build` is the front-end build the server is
+ * currently serving (null in development); `lastSeen` is when the server
+ * last answered.
+ *
+ * @param {number} interval - Poll interval in milliseconds
+ * @returns {Object} { online, build, lastSeen }
+ */
+export function useServerStatus(interval = 30000) {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [build, setBuild] = useState(null);
+  const [lastSeen, setLastSeen] = useState(null);
+
+  const checkHealth = useCallback(async () => {
+    try {
+      const response = await fetch('/api/health', { cache: 'no-store' });
+      if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+      const result = await response.json();
+
+      setBuild(result.build || null);
+      setOnline(true);
+      setLastSeen(new Date());
+    } catch (err) {
+      setOnline(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    checkHealth();
+    const intervalId = setInterval(checkHealth, interval);
+    return () => clearInterval(intervalId);
+  }, [checkHealth, interval]);
+
+  // React to the network dropping or returning without waiting for the next poll
+  useEffect(() => {
+    const onOffline = () => setOnline(false);
+    window.addEventListener('online', checkHealth);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', checkHealth);
+      window.removeEventListener('offline', onOffline);
+    };
+  }, [checkHealth]);
+
+  return { online, build, lastSeen };
+}
+
+export default useServerStatus;
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Alternate curated and generated points so every page mixes both,
+ * each list keeping its own order
+ */
+function mixPoints(curated, generated) {
+  const mixed = [];
+  for (let i = 0; i < Math.max(curated.length, generated.length); i++) {
+    if (curated[i]) mixed.push(curated[i]);
+    if (generated[i]) mixed.push(generated[i]);
+  }
+  return mixed;
+}
+
+/**
+ * Custom hook for fetching the active talking points: curated quotes
+ * mixed with points generated from live market data
+ * Refetched regularly so expired or no-longer-true points leave the wall
+ *
+ * @param {number} refreshInterval - Refresh interval in milliseconds
+ * @returns {Object} { points, loading, error, refresh }
+ */
+export function useTalkingPoints(refreshInterval = 300000) {
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPoints = useCallback(async () => {
+    try {
+      const [curated, generated] = await Promise.all([
+        fetch('/api/talking-points').then(response => response.json()),
+        // Generated points are optional; the curated ones still show without them
+        fetch('/api/talking-points/generated')
+          .then(response => response.json())
+          .catch(() => ({ success: false, points: [] }))
+      ]);
+
+      if (curated.success) {
+        setPoints(mixPoints(curated.points, generated.success ? generated.points : []));
+        setError(null);
+      } else {
+        setError(curated.error || 'Failed to fetch talking points');
+      }
+    } catch (err) {
+      console.error('[useTalkingPoints] Fetch error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPoints();
+    const intervalId = setInterval(fetchPoints, refreshInterval);
+    return () => clearInterval(intervalId);
+  }, [fetchPoints, refreshInterval]);
+
+  return { points, loading, error, refresh: fetchPoints };
+}
+
+export default useTalkingPoints;
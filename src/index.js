@@ -1,10 +1,14 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import EmbedApp from './EmbedApp';
+
+// /embed/<widget> renders a single widget for other sites (see EmbedApp)
+const isEmbed = window.location.pathname.startsWith('/embed/');
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {isEmbed ? <EmbedApp /> : <App />}
   </React.StrictMode>
 );